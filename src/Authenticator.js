@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import { systemClock } from './clock';
+
+/**
+ * Create a random nonce.
+ *
+ * @param {Number} [size=8] - Size of the nonce in bytes.
+ * @return {String} - Hex encoded nonce.
+ */
+export function createNonce(size = 8) {
+  return crypto.randomBytes(size).toString('hex');
+}
+
+/**
+ * Sign and verify protocol messages with a shared secret.
+ *
+ * Signed messages carry an `auth` entry `{ timestamp, nonce, hmac }` in their
+ * payload, the HMAC covering the role of the sender, the type, id and payload
+ * of the message, the timestamp and the nonce. Messages older than
+ * `replayWindow` (which implies clocks of the devices are roughly in sync,
+ * timestamps being given by `clock.date()`) or whose nonce has already been
+ * seen are refused.
+ *
+ * @private
+ */
+class Authenticator {
+  constructor({
+    secret,
+    role, // 'server' or 'client'
+    replayWindow = 30000, // ms
+    clock = systemClock,
+  }) {
+    this.secret = secret;
+    this.role = role;
+    this.peerRole = role === 'server' ? 'client' : 'server';
+    this.replayWindow = replayWindow;
+    this.clock = clock;
+
+    // nonces seen during the current and the previous window
+    this._nonces = new Set();
+    this._previousNonces = new Set();
+    this._windowStart = clock.date();
+  }
+
+  _hmac(role, type, messageId, payload, timestamp, nonce) {
+    const hmac = crypto.createHmac('sha256', this.secret);
+    hmac.update([role, type, messageId, JSON.stringify(payload), timestamp, nonce].join(' '));
+
+    return hmac.digest('hex');
+  }
+
+  /**
+   * Return a signed copy of a payload.
+   */
+  sign(type, messageId, payload) {
+    const signed = Object.assign({}, payload);
+    const timestamp = this.clock.date();
+    const nonce = createNonce();
+    const hmac = this._hmac(this.role, type, messageId, signed, timestamp, nonce);
+
+    signed.auth = { timestamp, nonce, hmac };
+
+    return signed;
+  }
+
+  /**
+   * Verify a decoded message and remove its `auth` entry.
+   *
+   * @return {String|null} - Reason of the rejection (`'unsigned'`,
+   *  `'signature'`, `'expired'` or `'replay'`), `null` if the message is valid.
+   */
+  verify(msg) {
+    if (msg.legacy || !msg.payload || !msg.payload.auth) {
+      return 'unsigned';
+    }
+
+    const payload = Object.assign({}, msg.payload);
+    const { timestamp, nonce, hmac } = payload.auth;
+    delete payload.auth;
+
+    const expected = Buffer.from(this._hmac(this.peerRole, msg.type, msg.messageId, payload, timestamp, nonce));
+    const received = Buffer.from(String(hmac));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return 'signature';
+    }
+
+    const now = this.clock.date();
+
+    if (Math.abs(now - timestamp) > this.replayWindow) {
+      return 'expired';
+    }
+
+    // rotate nonces so that memory stays bounded, older messages are expired
+    if (now - this._windowStart > this.replayWindow) {
+      this._previousNonces = this._nonces;
+      this._nonces = new Set();
+      this._windowStart = now;
+    }
+
+    if (this._nonces.has(nonce) || this._previousNonces.has(nonce)) {
+      return 'replay';
+    }
+
+    this._nonces.add(nonce);
+    msg.payload = payload;
+
+    return null;
+  }
+}
+
+export default Authenticator;
@@ -0,0 +1,37 @@
+/**
+ * Exponential backoff with random jitter, so that devices retrying at the
+ * same time (e.g. after a server restart) spread their messages.
+ *
+ * @private
+ */
+class Backoff {
+  constructor({
+    initial, // ms
+    max, // ms
+    multiplier = 2,
+    jitter = 0, // ratio, delays vary randomly by +/- jitter * delay
+  }) {
+    this.initial = initial;
+    this.max = max;
+    this.multiplier = multiplier;
+    this.jitter = jitter;
+
+    this.reset();
+  }
+
+  reset() {
+    this.delay = this.initial;
+  }
+
+  /**
+   * @return {Number} - Delay before the next attempt (ms).
+   */
+  next() {
+    const delay = this.delay;
+    this.delay = Math.max(this.initial, Math.min(this.max, this.delay * this.multiplier));
+
+    return delay * (1 + this.jitter * (2 * Math.random() - 1));
+  }
+}
+
+export default Backoff;
@@ -0,0 +1,64 @@
+/**
+ * Round-trip time and clock offset estimation from request / response
+ * timestamps, as in NTP:
+ *
+ * - `originate`: client time when the request is sent
+ * - `receive`: server time when the request is received
+ * - `transmit`: server time when the response is sent
+ * - `destination`: client time when the response is received
+ *
+ * The offset is taken from the sample with the lowest round-trip time among
+ * the last `size` ones, as it is the least affected by network delays. Times
+ * are in seconds.
+ *
+ * @private
+ */
+class ClockSync {
+  constructor({ size = 8 } = {}) {
+    this.size = size;
+    this.reset();
+  }
+
+  reset() {
+    this.samples = [];
+    this.stats = {
+      rtt: null, // last round-trip time
+      jitter: null, // mean deviation of the round-trip time (RFC 3550)
+      offset: null, // server time - client time
+    };
+  }
+
+  addSample(originate, receive, transmit, destination) {
+    const rtt = (destination - originate) - (transmit - receive);
+    const offset = ((receive - originate) + (transmit - destination)) / 2;
+    const stats = this.stats;
+
+    if (stats.rtt === null) {
+      stats.jitter = 0;
+    } else {
+      stats.jitter += (Math.abs(rtt - stats.rtt) - stats.jitter) / 16;
+    }
+
+    stats.rtt = rtt;
+
+    this.samples.push({ rtt, offset });
+
+    if (this.samples.length > this.size) {
+      this.samples.shift();
+    }
+
+    let best = this.samples[0];
+
+    for (let i = 1; i < this.samples.length; i++) {
+      if (this.samples[i].rtt < best.rtt) {
+        best = this.samples[i];
+      }
+    }
+
+    stats.offset = best.offset;
+
+    return stats;
+  }
+}
+
+export default ClockSync;
@@ -1,283 +1,1412 @@
-import dgram from 'dgram';
+import crypto from 'crypto';
+import fs from 'fs';
 import { EventEmitter } from 'events';
-import { BROADCAST_PORT } from './config';
+import {
+  BROADCAST_PORT,
+  BROADCAST_ADDRESS,
+  MDNS_ADDRESS,
+  MDNS_PORT,
+  MDNS_SERVICE,
+  ID_FILE,
+} from './config';
+import { getInterfaces, findInterface } from './utils';
+import { systemClock } from './clock';
+import { encode, decode, ProtocolError, MAX_PAYLOAD_SIZE } from './protocol';
+import RpcChannel, { RequestError } from './RpcChannel';
+import Authenticator from './Authenticator';
+import Session, { createKeyExchange } from './Session';
+import ClockSync from './ClockSync';
+import LinkQuality from './LinkQuality';
+import Backoff from './Backoff';
+import FragmentChannel from './FragmentChannel';
+import UdpTransport from './UdpTransport';
+import MdnsBrowser from './MdnsBrowser';
+import { connectStream, createStreamProof, endStream } from './stream';
+import PacketCapture from './PacketCapture';
+import { getLogger, withFields } from './logger';
 
-const BROADCAST_ADDRESS = '255.255.255.255';
+// read the persistent id of the device, create it if needed
+function getPersistentId(idFile) {
+  try {
+    const id = fs.readFileSync(idFile, 'utf8').trim();
+
+    if (id !== '') {
+      return id;
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  fs.writeFileSync(idFile, id);
+
+  return id;
+}
+
+function getKey(rinfo) {
+  return rinfo.address + ':' + rinfo.port;
+}
+
+// payloads are sent from timers, where a payload too large to be
+// reassembled by the server couldn't be reported
+function checkPayloadSize(payload) {
+  const size = Buffer.byteLength(JSON.stringify(payload));
+
+  if (size > MAX_PAYLOAD_SIZE) {
+    const err = new Error(`Payload too large (${size} bytes)`);
+    err.code = 'EMSGSIZE';
+    throw err;
+  }
+}
+
+// ms, how long messages received from the server are remembered, so that
+// retried messages are only emitted once
+const MESSAGE_DEDUP_TIMEOUT = 30000;
+
+// sort functions for the `serverSelection` option, best server first
+const selectionPolicies = {
+  priority: (a, b) => (b.priority - a.priority) || (a.latency - b.latency),
+  latency: (a, b) => a.latency - b.latency,
+};
 
 /**
  * Create a client that tries to connect to a DiscoveryServer.
  *
+ * Clients only speak the framed protocol (see `protocol.js`), which servers
+ * running a previous version of the library don't understand, while
+ * servers still answer legacy clients: when upgrading a fleet, servers must
+ * be upgraded first.
+ *
+ * Unless an `id` is given, the device keeps the id generated on first start
+ * in `idFile` (`~/.node-discovery-id` by default), so that servers know it
+ * after a restart or an address change. Clients running side by side on the
+ * same device must have their own `id` or `idFile`.
+ *
  * @example
  * import { DiscoveryClient } from '@ircam/node-discovery';
  *
  * const client = new DiscoveryClient({
  *   port: BROADCAST_PORT + Math.floor(Math.random() * 1000),
  *   broadcastPort: BROADCAST_PORT,
+ *   interfaces: 'all', // broadcast on every network interface
+ *   encrypt: true, // encrypt all messages once connected
+ *   idFile: '.device-id', // defaults to ~/.node-discovery-id
  *   verbose: true,
  * });
  * client.on('connection', rinfo => console.log('connection', rinfo));
- * client.on('close', () => console.log('close'));
+ * client.on('close', reason => console.log('close', reason));
+ *
+ * await client.start();
+ * await client.waitForConnection({ timeout: 5000 });
+ *
+ * // servers that answered the discovery, the client connects to the one
+ * // with the highest priority (see `serverSelection` and `serverName`)
+ * console.log(client.servers);
+ *
+ * // later, notify the server of a change
+ * client.setPayload({ battery: 0.8 });
+ *
+ * // estimate the server clock, e.g. to schedule synchronized events
+ * client.on('stats', stats => console.log(stats.rtt, stats.jitter));
+ * const serverTime = client.getSyncTime();
+ *
+ * // answer requests sent with `server.request`
+ * client.handle('setVolume', ({ volume }) => {
+ *   player.volume = volume;
+ *   return player.volume;
+ * });
+ *
+ * // bulk data, if the server opens streams (see its `stream` option)
+ * client.on('stream', socket => fs.createReadStream('recording.wav').pipe(socket));
+ *
+ * @fires DiscoveryClient#close
+ * @fires DiscoveryClient#stream
+ * @fires DiscoveryClient#stats
+ * @fires DiscoveryClient#quality
+ * @fires DiscoveryClient#protocol-error
+ * @fires DiscoveryClient#state
+ * @fires DiscoveryClient#packet
  */
 class DiscoveryClient extends EventEmitter {
   constructor({
+    id = null, // identity of the device, see also `idFile`
+    idFile = ID_FILE, // file storing the id generated on first start, null for a new id on each start
     port = BROADCAST_PORT,
     broadcastPort = BROADCAST_PORT,
     broadcastAddress = BROADCAST_ADDRESS,
-    discoverInterval = 2000, // ms
+    interfaces = null, // 'all' or names of the interfaces to broadcast on
+    transport = 'broadcast', // 'broadcast', 'multicast', 'ipv6' or a transport instance
+    multicastAddress = null, // defaults to config MULTICAST_ADDRESS(_IPV6)
+    multicastTTL = 1,
+    multicastLoopback = true,
+    discovery = 'broadcast', // 'broadcast' or 'mdns' to browse DNS-SD services
+    mdnsAddress = MDNS_ADDRESS,
+    mdnsPort = MDNS_PORT,
+    discoverInterval = 2000, // ms, first interval between discoveries
+    maxDiscoverInterval = 16000, // ms
+    discoverWindow = 200, // ms, wait for other servers after first response
+    serverSelection = 'priority', // 'priority' or 'latency'
+    serverName = null, // only connect to the server(s) with this name
+    namespace = null, // only connect to servers of the same namespace
+    secret = null, // shared secret, enables authentication of the server
+    replayWindow = 30000, // ms, max age of authenticated messages
+    encrypt = false, // only connect to servers supporting encryption
     keepaliveInterval = 1000, // ms
+    adaptiveKeepalive = false, // adapt keepaliveInterval to the connection quality
+    minKeepaliveInterval = 250, // ms
+    maxKeepaliveInterval = 5000, // ms, keep well below server disconnectTimeout
     retryTimeout = 1000, // ms, try request again after duration
+    maxRetryTimeout = 4000, // ms, for connection requests
+    maxDatagramSize = 1400, // bytes, larger messages are fragmented
+    backoffMultiplier = 2, // growth of the discovery and connection intervals
+    backoffJitter = 0.5, // ratio, random variation of these intervals
     disconnectTimeout = 10000, // ms, reset connection after duration
-    payload = {},
-    verbose = false,
+    payload = {}, // at most MAX_PAYLOAD_SIZE bytes once serialized
+    clock = systemClock, // time and timers, see VirtualClock
+    capture = null, // file or stream recording the datagrams, see replayCapture
+    logger = null, // see createConsoleLogger
+    verbose = false, // log everything to the console, if no `logger` is given
   } = {}) {
     super();
 
+    this.clock = clock;
+
+    let idError = null;
+
+    if (id === null && idFile) {
+      try {
+        id = getPersistentId(idFile);
+      } catch (err) {
+        // e.g. read-only home directory, only an explicit file is required
+        if (idFile !== ID_FILE) {
+          throw err;
+        }
+
+        idError = err;
+      }
+    }
+
+    if (id === null) {
+      id = crypto.randomBytes(8).toString('hex');
+    }
+
+    this.id = id;
     this.port = port;
     this.broadcastPort = broadcastPort;
-    this.broadcastAddress = broadcastAddress;
+    checkPayloadSize(payload);
     this.payload = payload;
-    this.verbose = verbose;
+    this.payloadRevision = 0;
+    this.logger = withFields(getLogger(logger, verbose), { client: id });
+
+    if (idError !== null) {
+      this.logger.warn('cannot store id, the device will have a new id on restart', {
+        file: idFile,
+        error: idError.message,
+      });
+    }
 
-    this.udp = null;
+    if (typeof transport === 'string') {
+      transport = new UdpTransport({
+        type: transport,
+        broadcastAddress,
+        multicastAddress,
+        multicastTTL,
+        multicastLoopback,
+        interfaces,
+        logger: this.logger,
+      });
+    }
+
+    this.transport = transport;
+
+    this.transport.on('message', (buffer, rinfo) => this._receiveDatagram(buffer, rinfo));
+    this.transport.on('error', err => this.emit('error', err));
+
+    if (discovery !== 'broadcast' && discovery !== 'mdns') {
+      throw new Error(`Invalid discovery "${discovery}"`);
+    }
+
+    // servers are then contacted directly at the address found
+    this._mdnsBrowser = null;
+
+    if (discovery === 'mdns') {
+      if (this.transport.family !== 'IPv4') {
+        throw new Error('mDNS discovery requires an IPv4 transport');
+      }
+
+      this._mdnsBrowser = new MdnsBrowser({
+        service: MDNS_SERVICE,
+        address: mdnsAddress,
+        mdnsPort,
+        logger: this.logger,
+      });
+
+      this._mdnsBrowser.on('service', service => this._receiveService(service));
+      this._mdnsBrowser.on('error', err => this.emit('error', err));
+    }
+    this._started = false;
+    this._starting = null; // pending start, awaited by stop
+    this._connectionState = 'stopped'; // see 'state' event
+
+    this._capture = null;
+
+    if (capture !== null) {
+      this._capture = new PacketCapture({ output: capture, emitter: this, clock });
+    }
+
+    this.encrypt = encrypt;
+    this._secret = secret;
+    this._auth = null;
+    this._session = null;
+    this._keyExchange = null;
+
+    if (secret !== null) {
+      this._auth = new Authenticator({ secret, role: 'client', replayWindow, clock });
+    }
+
+    if (!selectionPolicies[serverSelection]) {
+      throw new Error(`Invalid serverSelection "${serverSelection}"`);
+    }
 
     this.state = 'disconnected';
     this.server = null;
+    this.servers = new Map(); // id -> { id, name, priority, latency, ... }
+    this._serverKey = null; // key of the current server in `servers`
+    this.serverSelection = serverSelection;
+    this.serverName = serverName;
+    this.namespace = namespace;
+    this._rejectedServers = new Set(); // servers that refused the connection
 
     this.broadcast = this.broadcast.bind(this);
     this.messageId = -1; // ID of _last_ message
+    this._serverRevision = null; // payload revision known by the server
+    this._pendingRevision = null; // payload revision of the _last_ message
     this.send = this.send.bind(this);
 
     this.retryTimeout = retryTimeout;
     this.retryTimeoutId = null;
+    this._connectBackoff = new Backoff({
+      initial: retryTimeout,
+      max: maxRetryTimeout,
+      multiplier: backoffMultiplier,
+      jitter: backoffJitter,
+    });
 
     this.disconnectTimeout = disconnectTimeout;
     this.disconnectTimeoutId = null;
 
     this.discoverInterval = discoverInterval;
     this.discoverTimeoutId = null; // periodic
+    this._discoverBackoff = new Backoff({
+      initial: discoverInterval,
+      max: maxDiscoverInterval,
+      multiplier: backoffMultiplier,
+      jitter: backoffJitter,
+    });
+    this._discoverTime = null;
     this._sendDiscoverReq = this._sendDiscoverReq.bind(this);
     this._receiveDiscoverAck = this._receiveDiscoverAck.bind(this);
 
+    this.discoverWindow = discoverWindow;
+    this.selectTimeoutId = null;
+    this._selectServer = this._selectServer.bind(this);
+
     this._sendConnectReq = this._sendConnectReq.bind(this);
     this._receiveConnectAck = this._receiveConnectAck.bind(this);
 
     this.keepaliveInterval = keepaliveInterval;
     this.keepaliveTimeoutId = null; // periodic
+    this.adaptiveKeepalive = adaptiveKeepalive;
+    this.minKeepaliveInterval = minKeepaliveInterval;
+    this.maxKeepaliveInterval = maxKeepaliveInterval;
+    this._initialKeepaliveInterval = keepaliveInterval;
     this._sendKeepaliveReq = this._sendKeepaliveReq.bind(this);
+    this._retryKeepaliveReq = this._retryKeepaliveReq.bind(this);
     this._receiveKeepaliveAck = this._receiveKeepaliveAck.bind(this);
+    this._clockSync = new ClockSync();
+    this._linkQuality = new LinkQuality();
 
     this._resetConnection = this._resetConnection.bind(this);
+    this._receivedMessages = new Map(); // messageId -> time, see `MESSAGE`
+    this._stream = null; // socket, see `stream`
+
+    this._rpc = new RpcChannel({
+      send: (type, messageId, payload) => {
+        // e.g. a handler resolving after the connection closed
+        if (this.state === 'connected') {
+          this._sendMessage(type, payload, messageId);
+        }
+      },
+      clock,
+      logger: this.logger,
+    });
+
+    this._fragments = new FragmentChannel({
+      send: (buffer, rinfo, callback) => this._sendDatagram(buffer, rinfo, callback),
+      maxDatagramSize,
+      clock,
+      logger: this.logger,
+    });
 
     this._receiveError = this._receiveError.bind(this);
   }
 
   /**
    * Start the client.
+   *
+   * @return {Promise} - Resolves when the socket is bound, rejects if it
+   *  cannot be bound (e.g. `EADDRINUSE`).
    */
   start() {
-    this._setupSocket();
+    this._discoverBackoff.reset();
+    this._connectBackoff.reset();
+
+    const started = this.transport.bind(this.port)
+      .then(() => {
+        if (this._mdnsBrowser !== null) {
+          // don't leave the transport bound if the browser can't start
+          return this._mdnsBrowser.start().catch(err => {
+            return this.transport.close().then(() => { throw err; });
+          });
+        }
+      })
+      .then(() => {
+        if (this._capture !== null) {
+          this._capture.open();
+        }
+
+        this.logger.info('start', { port: this.port });
+
+        this._started = true;
+        this._setState('discovering');
+        this._sendDiscoverReq();
+      });
+
+    const done = () => this._starting = null;
+
+    this._starting = started.then(done, done);
+
+    return started;
   }
 
   /**
-   * Stop the client.
+   * Stop the client, notifying the server if connected. The client can be
+   * started again afterwards.
+   *
+   * @return {Promise} - Resolves when the socket is closed, after the
+   *  pending `start` if any.
    */
   stop() {
-    this.udp.close();
+    if (this._starting !== null) {
+      return this._starting.then(() => this.stop());
+    }
+
+    return new Promise(resolve => {
+      if (!this._started) {
+        resolve();
+        return;
+      }
+
+      let sent = Promise.resolve();
+
+      if (this.state === 'connected') {
+        this.messageId += 1;
+        sent = new Promise(resolve => {
+          this._sendMessage('DISCONNECT', { reason: 'goodbye' }, this.messageId, resolve);
+        });
+      }
+
+      this._serverKey = null;
+      this._closeConnection('goodbye');
+      this._started = false;
+      this._setState('stopped', 'goodbye');
+
+      if (this._mdnsBrowser !== null) {
+        sent = Promise.all([sent, this._mdnsBrowser.stop()]);
+      }
+
+      // close once the message is actually sent
+      sent
+        .then(() => {
+          const closed = [this.transport.close()];
+
+          if (this._capture !== null) {
+            closed.push(this._capture.close());
+          }
+
+          return Promise.all(closed);
+        })
+        .then(() => {
+          this.logger.info('stop');
+          resolve();
+        });
+    });
+  }
+
+  /**
+   * Wait for the client to be connected to a server.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.timeout=null] - Maximum time to wait (ms).
+   * @return {Promise} - Resolves with the address of the server, rejects
+   *  with an `ETIMEDOUT` error after `timeout`.
+   */
+  waitForConnection({ timeout = null } = {}) {
+    if (this.state === 'connected') {
+      return Promise.resolve(this.server);
+    }
+
+    return new Promise((resolve, reject) => {
+      let timeoutId = null;
+
+      const onConnection = rinfo => {
+        this.clock.clearTimeout(timeoutId);
+        resolve(rinfo);
+      };
+
+      this.once('connection', onConnection);
+
+      if (timeout !== null) {
+        timeoutId = this.clock.setTimeout(() => {
+          const err = new Error('Connection timed out');
+          err.code = 'ETIMEDOUT';
+
+          this.removeListener('connection', onConnection);
+          reject(err);
+        }, timeout);
+      }
+    });
+  }
+
+  /**
+   * Latency and clock offset estimations, updated on each keepalive:
+   * - `rtt`: last round-trip time
+   * - `jitter`: mean deviation of the round-trip time
+   * - `offset`: server time - local time, filtered over the last keepalives
+   *
+   * Values are in seconds, `null` until the first keepalive is answered.
+   *
+   * @type {Object}
+   */
+  get stats() {
+    return this._clockSync.stats;
+  }
+
+  /**
+   * Quality of the connection with the server, updated on each keepalive:
+   * - `state`: `'good'`, `'degraded'` (keepalives lost recently) or `'lost'`
+   *  (several consecutive keepalives lost)
+   * - `lossRate`: ratio of keepalives lost over the last ones
+   * - `misses`: number of consecutive keepalives lost
+   *
+   * @type {Object}
+   */
+  get quality() {
+    return this._linkQuality.stats;
+  }
+
+  /**
+   * TCP stream of the connection, opened if the server advertises one (see
+   * the `stream` option of DiscoveryServer), `null` otherwise.
+   *
+   * @type {net.Socket}
+   */
+  get stream() {
+    return this._stream;
+  }
+
+  /**
+   * Estimate the time of the server clock (see the `clock` option).
+   *
+   * @param {Number} [localTime=clock.now()] - Local time to convert (sec).
+   * @return {Number} - Server time (sec), or `localTime` if the offset is
+   *  not known yet.
+   */
+  getSyncTime(localTime = this.clock.now()) {
+    const { offset } = this._clockSync.stats;
+
+    return offset !== null ? localTime + offset : localTime;
+  }
+
+  /**
+   * Update the payload of the client. If connected, the changes are sent
+   * to the server right away, which emits an `'update'` event.
+   *
+   * @param {Object} patch - Entries to add or replace in the payload, set an
+   *  entry to `undefined` to remove it.
+   * @throws {Error} - `EMSGSIZE` if the payload is larger than
+   *  `MAX_PAYLOAD_SIZE` once serialized, the payload being left unchanged.
+   */
+  setPayload(patch) {
+    const payload = Object.assign({}, this.payload, patch);
+
+    checkPayloadSize(payload);
+
+    this.payload = payload;
+    this.payloadRevision += 1;
+    // servers filtering clients may accept the new payload
+    this._rejectedServers.clear();
+
+    if (this.state === 'connected') {
+      this._sendKeepaliveReq();
+    }
+  }
+
+  /**
+   * Send a request to the server and wait for its response. The request is
+   * sent again if no response is received before `timeout`, the server
+   * executing it only once.
+   *
+   * @param {String} method - Method registered by the server with `handle`.
+   * @param {*} [params=null] - Parameters of the request, must be JSON
+   *  serializable.
+   * @param {Object} [options]
+   * @param {Number} [options.timeout=retryTimeout] - Time to wait for the
+   *  response before sending the request again (ms).
+   * @param {Number} [options.retries=3] - Number of times the request is sent
+   *  again before failing.
+   * @return {Promise} - Resolves with the result returned by the server
+   *  handler, rejects with a `RequestError`.
+   */
+  request(method, params = null, {
+    timeout = this.retryTimeout,
+    retries = 3,
+  } = {}) {
+    if (this.state !== 'connected') {
+      return Promise.reject(new RequestError('ENOTCONNECTED', 'Client not connected'));
+    }
+
+    return this._rpc.request(this.server, 'server', method, params, { timeout, retries });
+  }
+
+  /**
+   * Register the function executed on requests sent with `server.request`.
+   *
+   * @param {String} method - Name of the method.
+   * @param {Function} fn - Function called with `(params)`, its return value
+   *  (or the value its returned Promise resolves with) is sent back to the
+   *  server. Set to `null` to remove the handler.
+   */
+  handle(method, fn) {
+    this._rpc.handle(method, fn);
   }
 
   /**
    * Send a message to the server.
    *
    * @param {String} msg - Message to send.
+   * @throws {Error} - `ENOTCONNECTED` if the client is not connected.
    */
   send(msg) {
-    if (this.udp) {
-      const buf = Buffer.from(msg);
-      const { port, address } = this.server;
+    if (this.state !== 'connected') {
+      const err = new Error('Client not connected');
+      err.code = 'ENOTCONNECTED';
+      throw err;
+    }
 
-      this.udp.setBroadcast(false);
-      this.udp.send(buf, 0, buf.length, port, address);
+    // never send application data in clear
+    if (this.encrypt && this._session === null) {
+      this.logger.debug('ignore send, not connected');
+      return;
+    }
+
+    this._send(Buffer.from(msg), 0);
+    this.logger.debug('send message', { direction: 'out', peer: getKey(this.server) });
+  }
 
-      if(this.verbose) {
-        console.log('send: ', msg);
+  /**
+   * Broadcast a message, on each interface selected by the `interfaces`
+   * option (or to the multicast group, see `transport`).
+   *
+   * @param {String} msg - Message to send.
+   */
+  broadcast(msg) {
+    if (this._started) {
+      this._broadcastDatagram(Buffer.from(msg));
+      this.logger.debug('broadcast message', { direction: 'out', port: this.broadcastPort });
+    }
+  }
+
+  _sendDatagram(buffer, rinfo, callback) {
+    if (this._started) {
+      if (this._capture !== null) {
+        this._capture.record('out', buffer, rinfo);
       }
+
+      this.transport.send(buffer, rinfo.port, rinfo.address, callback);
     }
   }
 
-  broadcast(msg) {
-    if (this.udp) {
-      const buf = Buffer.from(msg);
-      const port =  this.broadcastPort;
-      const address = this.broadcastAddress;
+  _broadcastDatagram(buffer) {
+    if (this._capture !== null) {
+      this._capture.record('out', buffer, { address: null, port: this.broadcastPort });
+    }
 
-      this.udp.setBroadcast(true);
-      this.udp.send(buf, 0, buf.length, port, address);
+    this.transport.broadcast(buffer, this.broadcastPort);
+  }
+
+  _receiveDatagram(buffer, rinfo) {
+    if (this._capture !== null) {
+      this._capture.record('in', buffer, rinfo);
+    }
+
+    this._handleMessage(buffer, rinfo);
+  }
+
+  _sign(type, messageId, payload) {
+    return this._auth !== null ? this._auth.sign(type, messageId, payload) : payload;
+  }
 
-      if(this.verbose) {
-        console.log('broadcast: ', msg);
+  _send(buf, messageId, callback) {
+    if (this._started && this.server !== null) {
+      if (this._session !== null) {
+        buf = encode('ENCRYPTED', messageId, this._session.encrypt(buf));
       }
+
+      this._fragments.sendDatagram(buf, this.server, getKey(this.server), callback);
     }
   }
 
-  _setupSocket() {
-    this.udp = dgram.createSocket('udp4');
+  _sendMessage(type, payload = null, messageId = this.messageId, callback = undefined) {
+    payload = this._sign(type, messageId, payload);
+
+    if (this._started) {
+      this._tracePacket('out', { type, messageId, payload }, this.server, this._session !== null);
+    }
+
+    this._send(encode(type, messageId, payload), messageId, callback);
+  }
 
-    this.udp.on('message', (buffer, rinfo) => {
-      const msg = buffer.toString().split(' ');
+  _broadcastMessage(type, payload = null) {
+    payload = this._sign(type, this.messageId, payload);
+
+    if (this._started) {
+      this._tracePacket('out', { type, messageId: this.messageId, payload }, null, false);
+      this._broadcastDatagram(encode(type, this.messageId, payload));
+    }
+  }
+
+  // `rinfo` is null for broadcasts
+  _tracePacket(direction, { type, messageId, payload, legacy = false }, rinfo, encrypted) {
+    this.logger.debug(direction === 'in' ? 'receive' : 'send', {
+      direction,
+      type,
+      messageId,
+      peer: rinfo !== null ? getKey(rinfo) : null,
+    });
+
+    if (this.listenerCount('packet') > 0) {
+      /**
+       * Diagnostics event, emitted for each protocol message sent or
+       * received, before it is checked. Fragments and encryption are not
+       * reported, but the messages they carry are.
+       *
+       * @event DiscoveryClient#packet
+       * @param {Object} packet - `{ time, direction, type, messageId,
+       *  payload, rinfo, legacy, encrypted }`, `direction` being `'in'` or
+       *  `'out'`, `rinfo` being `null` for broadcasts and `time` the time of
+       *  the `clock` (sec).
+       */
+      this.emit('packet', {
+        time: this.clock.now(),
+        direction,
+        type,
+        messageId,
+        payload,
+        rinfo,
+        legacy,
+        encrypted,
+      });
+    }
+  }
+
+  _setState(state, reason = null) {
+    const previous = this._connectionState;
+
+    if (state === previous) {
+      return;
+    }
 
-      if(this.verbose) {
-        console.log('receive: ', msg);
+    this._connectionState = state;
+
+    const fields = { from: previous, to: state };
+
+    if (this.server !== null) {
+      fields.peer = getKey(this.server);
+    }
+
+    if (reason !== null) {
+      fields.reason = reason;
+    }
+
+    this.logger.info('state', fields);
+
+    /**
+     * Diagnostics event, emitted on each transition of the connection
+     * process, which is more detailed than `client.state` (`'connected'` or
+     * `'disconnected'`).
+     *
+     * @event DiscoveryClient#state
+     * @param {String} state - `'stopped'`, `'discovering'`, `'connecting'`
+     *  or `'connected'`.
+     * @param {String} previous - Previous state.
+     * @param {String|null} reason - Reason of the transition when leaving
+     *  the `'connected'` state (see the `'close'` event), or of a
+     *  connection attempt failing.
+     */
+    this.emit('state', state, previous, reason);
+  }
+
+  _protocolError(err, rinfo) {
+    this.logger.warn('protocol error', { code: err.code, error: err.message, peer: getKey(rinfo) });
+
+    /**
+     * Emitted when a malformed or incompatible protocol message is
+     * received, the message is dropped.
+     *
+     * @event DiscoveryClient#protocol-error
+     * @param {ProtocolError} err - Error, `err.code` is `'EMALFORMED'`,
+     *  `'EVERSION'`, `'EDECRYPT'` or `'EREPLAY'`.
+     * @param {Object} rinfo - Address of the sender.
+     */
+    this.emit('protocol-error', err, rinfo);
+  }
+
+  _handleMessage(buffer, rinfo, encrypted = false) {
+    const secure = encrypted || this._session === null;
+    let msg;
+
+    try {
+      msg = decode(buffer);
+    } catch (err) {
+      this._protocolError(err, rinfo);
+      return;
+    }
+
+    if (msg === null) {
+      if (!secure) {
+        this.logger.debug('ignore clear message', { peer: getKey(rinfo) });
+        return;
       }
 
-      switch(msg[0]) {
-        case 'DISCOVER_ACK': {
-          this._receiveDiscoverAck(msg, rinfo);
-          break;
-        }
-        case 'CONNECT_ACK': {
-          this._receiveConnectAck(msg, rinfo);
-          break;
-        }
-        case 'KEEPALIVE_ACK': {
-          this._receiveKeepaliveAck(msg, rinfo);
-          break;
-        }
-        case 'ERROR': {
-          this._receiveError(msg, rinfo);
-          break;
-        }
-        default: {
-          // forward messages that are not part of the connection protocol
-          this.emit('message', buffer, rinfo);
-          break;
-        }
+      // forward messages that are not part of the connection protocol
+      this.emit('message', buffer, rinfo);
+      return;
+    }
+
+    if (msg.type === 'ENCRYPTED') {
+      this._receiveEncrypted(msg, rinfo);
+      return;
+    }
 
+    // the reassembled datagram is checked as any other
+    if (msg.type === 'FRAGMENT') {
+      const datagram = this._fragments.receiveFragment(msg, rinfo, getKey(rinfo));
+
+      if (datagram !== null) {
+        this._handleMessage(datagram, rinfo);
       }
-    });
 
-    this.udp.on('listening', this._sendDiscoverReq);
+      return;
+    }
+
+    if (msg.type === 'FRAGMENT_ACK') {
+      this._fragments.receiveAck(msg, getKey(rinfo));
+      return;
+    }
 
-    this.udp.bind(this.port, () => {
-      if (this.verbose)
-        console.log('binded to port:', this.port);
-    });
+    this._tracePacket('in', msg, rinfo, encrypted);
+
+    // e.g. requests of legacy clients, servers never answer in text
+    if (msg.legacy) {
+      this.logger.debug('ignore legacy message', { type: msg.type, messageId: msg.messageId, peer: getKey(rinfo) });
+      return;
+    }
+
+    // errors are sent in clear by a server that lost the connection (e.g.
+    // restarted), but their message id can be read in the header of the
+    // encrypted messages: they are only accepted if signed with the secret,
+    // otherwise the client notices the loss of the connection on timeout
+    if (!secure && (msg.type !== 'ERROR' || this._auth === null)) {
+      this.logger.debug('ignore clear message', { type: msg.type, messageId: msg.messageId, peer: getKey(rinfo) });
+      return;
+    }
+
+    if (this._auth !== null) {
+      const reason = this._auth.verify(msg);
+
+      if (reason !== null) {
+        this.logger.warn('reject', { type: msg.type, messageId: msg.messageId, peer: getKey(rinfo), reason });
+        return;
+      }
+    }
+
+    switch(msg.type) {
+      case 'DISCOVER_ACK': {
+        this._receiveDiscoverAck(msg, rinfo);
+        break;
+      }
+      case 'CONNECT_ACK': {
+        this._receiveConnectAck(msg, rinfo);
+        break;
+      }
+      case 'KEEPALIVE_ACK': {
+        this._receiveKeepaliveAck(msg, rinfo);
+        break;
+      }
+      case 'ERROR': {
+        this._receiveError(msg, rinfo);
+        break;
+      }
+      case 'REQUEST': {
+        this._receiveRequest(msg, rinfo);
+        break;
+      }
+      case 'RESPONSE': {
+        this._receiveResponse(msg, rinfo);
+        break;
+      }
+      case 'DISCONNECT': {
+        this._receiveDisconnect(msg, rinfo);
+        break;
+      }
+      case 'MESSAGE': {
+        this._receiveMessage(msg, rinfo);
+        break;
+      }
+      default: {
+        // requests are only meant for the server
+        this.logger.debug('ignore message', { type: msg.type, messageId: msg.messageId, peer: getKey(rinfo) });
+        break;
+      }
+    }
+  }
+
+  _receiveEncrypted(msg, rinfo) {
+    if (this._session === null) {
+      this.logger.debug('ignore encrypted message', { messageId: msg.messageId, peer: getKey(rinfo) });
+      return;
+    }
+
+    let buffer;
+
+    try {
+      buffer = this._session.decrypt(msg.payload);
+    } catch (err) {
+      if (err.code === 'EREPLAY') {
+        this._protocolError(new ProtocolError('EREPLAY', 'Replayed message'), rinfo);
+      } else {
+        this._protocolError(new ProtocolError('EDECRYPT', 'Cannot decrypt message'), rinfo);
+      }
+
+      return;
+    }
+
+    this._handleMessage(buffer, rinfo, true);
   }
 
   _sendDiscoverReq() {
-    clearTimeout(this.discoverTimeoutId);
+    this.clock.clearTimeout(this.discoverTimeoutId);
     this.messageId += 1;
-    const msg = 'DISCOVER_REQ ' + this.messageId;
-    this.broadcast(msg);
+    this._discoverTime = this.clock.now();
 
-    // send handshakes until we have a response from the server
-    this.discoverTimeoutId = setTimeout(this._sendDiscoverReq, this.discoverInterval);
+    if (this._mdnsBrowser !== null) {
+      this._mdnsBrowser.query();
+    } else {
+      this._broadcastMessage('DISCOVER_REQ', { namespace: this.namespace });
+    }
+
+    // send handshakes until we have a response from the server, less and
+    // less often so that many clients don't flood the network
+    this.discoverTimeoutId = this.clock.setTimeout(this._sendDiscoverReq, this._discoverBackoff.next());
+  }
+
+  _receiveService(service) {
+    const { txt } = service;
+
+    // only our servers, of the same namespace
+    if (txt.id === undefined || (txt.namespace || null) !== this.namespace) {
+      this.logger.debug('ignore service', { service: service.name });
+      return;
+    }
+
+    this.logger.debug('service', { service: service.name, addresses: service.addresses, port: service.port });
+
+    // the server answers with a regular DISCOVER_ACK
+    for (let address of service.addresses) {
+      const { messageId } = this;
+      const payload = this._sign('DISCOVER_REQ', messageId, { namespace: this.namespace });
+      const rinfo = { address, port: service.port };
+
+      this._tracePacket('out', { type: 'DISCOVER_REQ', messageId, payload }, rinfo, false);
+      this._sendDatagram(encode('DISCOVER_REQ', messageId, payload), rinfo);
+    }
   }
 
   _receiveDiscoverAck(msg, rinfo) {
-    const messageId = parseInt(msg[1]);
-    if(this.messageId !== messageId) {
-      if(this.verbose) {
-        console.log('ignore discover ack ' + msg[1]);
-      }
+    if(this.messageId !== msg.messageId) {
+      this.logger.debug('ignore discover ack', { messageId: msg.messageId, peer: getKey(rinfo) });
     } else {
-      clearTimeout(this.discoverTimeoutId);
+      const {
+        id = null,
+        name = null,
+        group = null,
+        priority = 0,
+        namespace = null,
+        challenge = null,
+      } = msg.payload || {};
 
-      this.server = rinfo;
-      if(this.verbose) {
-        console.log('> discover: ', this.server);
+      if (id === null) {
+        this.logger.debug('ignore discover ack without id', { peer: getKey(rinfo) });
+        return;
       }
 
-      if(this.state !== 'connected') {
-        this._sendConnectReq();
+      if (namespace !== this.namespace) {
+        this.logger.debug('ignore namespace', { namespace, peer: getKey(rinfo) });
+        return;
+      }
+
+      const now = this.clock.now();
+      const interfaces = getInterfaces({ family: this.transport.family, internal: true });
+      const reachedThrough = findInterface(rinfo.address, interfaces);
+      const server = {
+        key: id,
+        id,
+        name,
+        group,
+        priority,
+        rinfo,
+        interface: reachedThrough !== null ? reachedThrough.name : null,
+        latency: now - this._discoverTime,
+        lastSeen: now,
+        challenge,
+      };
+
+      server.rejected = this._rejectedServers.has(server.key);
+
+      this.servers.set(server.key, server);
+      this.logger.debug('discover', {
+        server: server.key,
+        name,
+        priority,
+        latency: server.latency,
+        peer: getKey(rinfo),
+      });
+
+      if (server.rejected || (this.serverName !== null && name !== this.serverName)) {
+        this.logger.debug('ignore server', { server: server.key, rejected: server.rejected });
+        return;
+      }
+
+      // wait for other servers to answer before choosing one
+      if (this.state !== 'connected' && this.selectTimeoutId === null) {
+        this.clock.clearTimeout(this.discoverTimeoutId);
+        this.selectTimeoutId = this.clock.setTimeout(this._selectServer, this.discoverWindow);
       }
     }
   }
 
+  _getBestServer() {
+    const candidates = [];
+
+    for (let server of this.servers.values()) {
+      if (server.rejected) {
+        continue;
+      }
+
+      if (this.serverName === null || server.name === this.serverName) {
+        candidates.push(server);
+      }
+    }
+
+    candidates.sort(selectionPolicies[this.serverSelection]);
+
+    return candidates.length > 0 ? candidates[0] : null;
+  }
+
+  _selectServer() {
+    this.selectTimeoutId = null;
+
+    const server = this._getBestServer();
+
+    if (server === null) {
+      this._sendDiscoverReq();
+    } else if (this.state !== 'connected') {
+      this.server = server.rinfo;
+      this._serverKey = server.key;
+      this._sendConnectReq();
+    }
+  }
+
   _sendConnectReq() {
-    clearTimeout(this.retryTimeoutId);
+    this.clock.clearTimeout(this.retryTimeoutId);
+    this._setState('connecting');
     this.messageId += 1;
-    const msg = 'CONNECT_REQ ' + this.messageId + ' ' + JSON.stringify(this.payload);
-    this.send(msg);
+    this._pendingRevision = this.payloadRevision;
+    const server = this.servers.get(this._serverKey);
+    const msg = {
+      id: this.id,
+      payload: this.payload,
+      revision: this.payloadRevision,
+      namespace: this.namespace,
+      challenge: server ? server.challenge : null,
+    };
+
+    // new keys for each connection
+    if (this.encrypt) {
+      this._keyExchange = createKeyExchange();
+      msg.encryption = this._keyExchange.offer;
+    }
 
-    this.retryTimeoutId = setTimeout(this._sendConnectReq, this.retryTimeout);
+    this._sendMessage('CONNECT_REQ', msg);
+
+    this.retryTimeoutId = this.clock.setTimeout(this._sendConnectReq, this._connectBackoff.next());
+    // give up on this server if it doesn't answer
+    if(!this.disconnectTimeoutId) {
+      this.disconnectTimeoutId = this.clock.setTimeout(this._resetConnection, this.disconnectTimeout);
+    }
   }
 
   _receiveConnectAck(msg, rinfo) {
-    const messageId = parseInt(msg[1]);
-    if(this.messageId !== messageId) {
-      if(this.verbose) {
-        console.log('ignore connect ack ' + msg[1]);
-      }
+    if(this.messageId !== msg.messageId) {
+      this.logger.debug('ignore connect ack', { messageId: msg.messageId, peer: getKey(rinfo) });
     } else {
-      clearTimeout(this.retryTimeoutId);
+      this.clock.clearTimeout(this.retryTimeoutId);
+      this.clock.clearTimeout(this.disconnectTimeoutId);
+      this.disconnectTimeoutId = null;
+      this._discoverBackoff.reset();
+      this._connectBackoff.reset();
+
+      if (this.encrypt) {
+        const { encryption = null } = msg.payload || {};
 
+        try {
+          this._session = new Session('client', this._keyExchange, encryption, this._secret);
+        } catch (err) {
+          // the server doesn't support encryption
+          this._rejectedServers.add(this._serverKey);
+          this._resetConnection(true, 'error');
+          return;
+        }
+      }
+
+      this._serverRevision = this._pendingRevision;
       this.state = 'connected';
+      this._setState('connected');
       this.emit('connection', rinfo);
       this._sendKeepaliveReq();
+
+      const { stream = null } = msg.payload || {};
+
+      // stopped or disconnected from a 'connection' listener
+      if (stream !== null && this.state === 'connected') {
+        this._openStream(stream);
+      }
     }
   }
 
+  _openStream({ port, token }) {
+    const proof = createStreamProof(token, { session: this._session, secret: this._secret });
+    const socket = connectStream({ address: this.server.address, port, token, proof });
+
+    this._stream = socket;
+
+    // e.g. connection refused, the socket is then closed
+    socket.on('error', err => {
+      this.logger.debug('stream error', { error: err.message });
+    });
+
+    socket.on('connect', () => {
+      if (socket === this._stream) {
+        /**
+         * Emitted when the TCP stream advertised by the server is open,
+         * after the `'connection'`. The stream is closed with the
+         * connection, and the connection is closed (with the reason
+         * `'stream-closed'`) if the stream closes, so that a new stream is
+         * opened when connecting again.
+         *
+         * @event DiscoveryClient#stream
+         * @param {net.Socket} socket - See `client.stream`.
+         */
+        this.emit('stream', socket);
+      }
+    });
+
+    // the stream is part of the connection
+    socket.on('close', () => {
+      if (socket === this._stream) {
+        this._stream = null;
+        this.messageId += 1;
+        this._sendMessage('DISCONNECT', { reason: 'stream-closed' });
+        this._resetConnection(false, 'stream-closed');
+      }
+    });
+  }
+
   _sendKeepaliveReq() {
-    clearTimeout(this.retryTimeoutId);
-    clearTimeout(this.keepaliveTimeoutId);
+    this.clock.clearTimeout(this.retryTimeoutId);
+    this.clock.clearTimeout(this.keepaliveTimeoutId);
 
     this.messageId += 1;
-    const msg = 'KEEPALIVE_REQ ' + this.messageId + ' ' + JSON.stringify(this.payload);
-    this.send(msg);
+    // only send the payload if the server doesn't already know it
+    const revision = this.payloadRevision;
+    // id allows the server to recognize us if our address changed
+    const msg = {
+      id: this.id,
+      revision,
+      time: this.clock.now(),
+      interval: this.keepaliveInterval, // lets the server detect missed keepalives
+    };
 
-    this.retryTimeoutId = setTimeout(this._sendKeepaliveReq, this.retryTimeout);
+    if (revision !== this._serverRevision) {
+      msg.payload = this.payload;
+    }
+
+    // share our estimations with the server
+    if (this._clockSync.stats.rtt !== null) {
+      msg.stats = this._clockSync.stats;
+    }
+
+    this._pendingRevision = revision;
+    this._sendMessage('KEEPALIVE_REQ', msg);
+
+    this.retryTimeoutId = this.clock.setTimeout(this._retryKeepaliveReq, this.retryTimeout);
     if(!this.disconnectTimeoutId) {
-      this.disconnectTimeoutId = setTimeout(this._resetConnection, this.disconnectTimeout);
+      this.disconnectTimeoutId = this.clock.setTimeout(this._resetConnection, this.disconnectTimeout);
+    }
+  }
+
+  _retryKeepaliveReq() {
+    this._recordKeepalive(false);
+    this._sendKeepaliveReq();
+  }
+
+  _recordKeepalive(received) {
+    if (this._linkQuality.record(received)) {
+      /**
+       * Emitted when the quality of the connection changes.
+       *
+       * @event DiscoveryClient#quality
+       * @param {Object} quality - See `client.quality`.
+       */
+      this.emit('quality', this._linkQuality.stats);
+      this.logger.info('quality', {
+        quality: this._linkQuality.stats.state,
+        lossRate: this._linkQuality.stats.lossRate,
+      });
+    }
+
+    if (this.adaptiveKeepalive) {
+      // slowly back off while the connection is good, tighten quickly
+      // otherwise to detect failures sooner
+      const interval = this._linkQuality.stats.state === 'good' ?
+        this.keepaliveInterval * 1.25 : this.keepaliveInterval / 2;
+
+      this.keepaliveInterval = Math.min(this.maxKeepaliveInterval,
+        Math.max(this.minKeepaliveInterval, interval));
     }
   }
 
   _receiveKeepaliveAck(msg, rinfo) {
-    const messageId = parseInt(msg[1]);
+    const destinationTime = this.clock.now();
 
-    if (this.messageId !== messageId) {
-      if (this.verbose) {
-        console.log('ignore keepalive ack ' + msg[1]);
-      }
+    if (this.messageId !== msg.messageId) {
+      this.logger.debug('ignore keepalive ack', { messageId: msg.messageId, peer: getKey(rinfo) });
     } else {
-      clearTimeout(this.retryTimeoutId);
-      clearTimeout(this.keepaliveTimeoutId);
-      clearTimeout(this.disconnectTimeoutId);
+      this.clock.clearTimeout(this.retryTimeoutId);
+      this.clock.clearTimeout(this.keepaliveTimeoutId);
+      this.clock.clearTimeout(this.disconnectTimeoutId);
       this.disconnectTimeoutId = null;
 
-      this.keepaliveTimeoutId = setTimeout(this._sendKeepaliveReq, this.keepaliveInterval);
+      this._serverRevision = this._pendingRevision;
+      this._recordKeepalive(true);
+      this.keepaliveTimeoutId = this.clock.setTimeout(this._sendKeepaliveReq, this.keepaliveInterval);
+
+      const { time = null, receiveTime, transmitTime } = msg.payload || {};
+
+      if (time !== null) {
+        const stats = this._clockSync.addSample(time, receiveTime, transmitTime, destinationTime);
+
+        /**
+         * Emitted when latency and clock offset estimations are updated.
+         *
+         * @event DiscoveryClient#stats
+         * @param {Object} stats - See `client.stats`.
+         */
+        this.emit('stats', stats);
+      }
     }
   }
 
-  _receiveError(msg, rinfo) {
-    const messageId = parseInt(msg[1]);
-    if (this.messageId !== messageId) {
-      if (this.verbose) {
-        console.log('ignore error ' + msg[1]);
+  _receiveRequest(msg, rinfo) {
+    if (this.state !== 'connected' || getKey(rinfo) !== getKey(this.server)) {
+      this.logger.debug('ignore request', { messageId: msg.messageId, peer: getKey(rinfo) });
+    } else {
+      this._rpc.receiveRequest(msg, rinfo, 'server');
+    }
+  }
+
+  _receiveResponse(msg, rinfo) {
+    if (this.server === null || getKey(rinfo) !== getKey(this.server)) {
+      this.logger.debug('ignore response', { messageId: msg.messageId, peer: getKey(rinfo) });
+    } else {
+      this._rpc.receiveResponse(msg, 'server');
+    }
+  }
+
+  _receiveMessage(msg, rinfo) {
+    if (this.state !== 'connected' || getKey(rinfo) !== getKey(this.server)) {
+      this.logger.debug('ignore message', { type: msg.type, messageId: msg.messageId, peer: getKey(rinfo) });
+      return;
+    }
+
+    const now = this.clock.now();
+
+    // ack retries too, the previous ack may have been lost
+    this._sendMessage('MESSAGE_ACK', null, msg.messageId);
+
+    for (let [messageId, time] of this._receivedMessages.entries()) {
+      if (now - time > 0.001 * MESSAGE_DEDUP_TIMEOUT) {
+        this._receivedMessages.delete(messageId);
       }
+    }
+
+    if (this._receivedMessages.has(msg.messageId)) {
+      return;
+    }
+
+    this._receivedMessages.set(msg.messageId, now);
+
+    const { data = '' } = msg.payload || {};
+    this.emit('message', Buffer.from(data, 'base64'), rinfo);
+  }
+
+  _receiveError(msg, rinfo) {
+    if (this.messageId !== msg.messageId) {
+      this.logger.debug('ignore error', { messageId: msg.messageId, peer: getKey(rinfo) });
     } else {
-      this._resetConnection();
-      if(this.verbose) {
-        console.log('> error: ' + msg);
+      // malformed errors have no code
+      const { code = null, message = null } = msg.payload || {};
+
+      this.logger.warn('error', { code, error: message, peer: getKey(rinfo) });
+
+      if (code === 'ENAMESPACE') {
+        // another application's server, just wait for ours
+        return;
+      }
+
+      if ((code === 'EREJECTED' || code === 'EENCRYPTION') && this._serverKey !== null) {
+        // don't try this server again, until our payload changes
+        this._rejectedServers.add(this._serverKey);
+        this._resetConnection(true, 'error');
+      } else {
+        const reason = code === 'EDUPLICATE' ? 'duplicate-connect' : 'error';
+        // the server is alive, don't fail over to another one
+        this._resetConnection(false, reason);
       }
     }
   }
 
-  _resetConnection() {
-    this.messageId += 1; // discard any previous message
+  _receiveDisconnect(msg, rinfo) {
+    if (this.state !== 'connected' || getKey(rinfo) !== getKey(this.server)) {
+      this.logger.debug('ignore disconnect', { peer: getKey(rinfo) });
+    } else {
+      const { reason = 'goodbye' } = msg.payload || {};
 
-    clearTimeout(this.retryTimeoutId);
-    clearTimeout(this.disconnectTimeoutId);
-    clearTimeout(this.discoverTimeoutId);
-    clearTimeout(this.keepaliveTimeoutId);
+      // don't try this server again, until our payload changes
+      if (reason === 'kicked') {
+        this._rejectedServers.add(this._serverKey);
+      }
 
-    if (this.state === 'connected') {
-      this.emit('close');
+      // fail over to another server if any
+      this._resetConnection(true, reason);
     }
+  }
+
+  _closeConnection(reason) {
+    const connected = this.state === 'connected';
+
+    this.messageId += 1; // discard any previous message
+
+    this.clock.clearTimeout(this.retryTimeoutId);
+    this.clock.clearTimeout(this.disconnectTimeoutId);
+    this.clock.clearTimeout(this.discoverTimeoutId);
+    this.clock.clearTimeout(this.keepaliveTimeoutId);
+    this.clock.clearTimeout(this.selectTimeoutId);
+    this.disconnectTimeoutId = null;
+    this.selectTimeoutId = null;
 
     this.state = 'disconnected';
     this.server = null;
+    this._serverRevision = null;
+    this._session = null;
+    this._keyExchange = null;
+    // next server may use another clock
+    this._clockSync.reset();
+    this._linkQuality.reset();
+    this.keepaliveInterval = this._initialKeepaliveInterval;
+
+    this._rpc.cancel();
+    this._fragments.cancel();
+    // message ids of the next server are unrelated
+    this._receivedMessages.clear();
+
+    if (this._stream !== null) {
+      endStream(this._stream, this.retryTimeout);
+      this._stream = null;
+    }
 
-    this._sendDiscoverReq();
+    if (connected) {
+      /**
+       * Emitted when the connection to the server is closed.
+       *
+       * @event DiscoveryClient#close
+       * @param {String} reason - One of `'timeout'` (the server stopped
+       *  answering), `'goodbye'` (the client was stopped), `'error'`,
+       *  `'duplicate-connect'`, `'server-stopped'`, `'kicked'` (see
+       *  `server.disconnect`, the client won't connect to this server again
+       *  until its payload changes), `'stream-closed'` (see the `'stream'`
+       *  event) or any reason given to `server.disconnect`.
+       */
+      this.emit('close', reason);
+    }
+  }
+
+  _resetConnection(failover = true, reason = 'timeout') {
+    // forget the unresponsive server, it will show up again if it answers
+    // to a later discovery
+    if (failover && this._serverKey !== null) {
+      this.servers.delete(this._serverKey);
+    }
+
+    this._serverKey = null;
+    this._closeConnection(reason);
+
+    // stopped from a 'close' listener
+    if (!this._started) {
+      return;
+    }
+
+    const next = failover ? this._getBestServer() : null;
+
+    if (next !== null) {
+      this.logger.info('failover', { server: next.key, peer: getKey(next.rinfo) });
+
+      this.server = next.rinfo;
+      this._serverKey = next.key;
+      this._setState('connecting', reason);
+      this._sendConnectReq();
+    } else {
+      this._setState('discovering', reason);
+
+      // don't rediscover at the same time as the other clients of a stopped
+      // or restarted server
+      const { delay: interval, jitter } = this._discoverBackoff;
+      const delay = Math.random() * jitter * interval;
+      this.discoverTimeoutId = this.clock.setTimeout(this._sendDiscoverReq, delay);
+    }
   }
 }
 
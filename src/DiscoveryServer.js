@@ -1,38 +1,271 @@
-import dgram from 'dgram';
 import os from 'os';
+import net from 'net';
 import { EventEmitter } from 'events';
-import { getTime } from './utils';
-import { BROADCAST_PORT } from './config';
+import { diffPayload, isPlainObject, getInterfaces, findInterface } from './utils';
+import { systemClock } from './clock';
+import { BROADCAST_PORT, MDNS_ADDRESS, MDNS_PORT, MDNS_SERVICE } from './config';
+import { encode, encodeLegacy, decode, ProtocolError, PROTOCOL_VERSION, MAX_MESSAGE_SIZE } from './protocol';
+import RpcChannel, { RequestError } from './RpcChannel';
+import Authenticator, { createNonce } from './Authenticator';
+import Session, { createKeyExchange } from './Session';
+import LinkQuality from './LinkQuality';
+import RateLimiter from './RateLimiter';
+import FragmentChannel from './FragmentChannel';
+import UdpTransport from './UdpTransport';
+import MdnsResponder from './MdnsResponder';
+import Inventory from './Inventory';
+import JsonFileStore from './JsonFileStore';
+import HttpEndpoint from './HttpEndpoint';
+import PacketCapture from './PacketCapture';
+import { getLogger, withFields } from './logger';
+import { readStreamToken, createStreamProof, checkStreamProof, endStream } from './stream';
+
+const TRANSPORTS = ['broadcast', 'multicast', 'ipv6'];
 
 function getKey(rinfo) {
   return rinfo.address + ':' + rinfo.port;
 }
 
+// `accept` option and `getClients` filters can be a function or a set of
+// payload entries to match
+function createPayloadFilter(filter) {
+  if (filter === null) {
+    return () => true;
+  } else if (typeof filter === 'function') {
+    return filter;
+  } else {
+    return payload => {
+      return Object.keys(filter).every(key => payload[key] === filter[key]);
+    };
+  }
+}
+
 /**
  * Create a server that waits for new connection from DiscoveryClient.
  *
  * @example
  * import { DiscoveryServer } from '@ircam/node-discovery'
  *
- * const server = new DiscoveryServer();
- * server.on('connection', (rinfo, list) => console.log('connection', rinfo, list));
- * server.on('close', list => console.log('close', list));
+ * const server = new DiscoveryServer({
+ *   name: 'main',
+ *   priority: 1,
+ *   namespace: 'my-app', // only answer clients of the same namespace
+ *   accept: { role: 'speaker' }, // only accept speakers
+ *   secret: 'shared-secret', // only accept clients knowing the secret
+ *   encrypt: true, // encrypt all messages once connected
+ *   stream: true, // open a TCP stream with each client
+ *   httpPort: 8080, // GET /clients, /events (SSE) and /metrics
+ * });
+ * server.on('connection', (client, list) => console.log('connection', client.id, list));
+ * server.on('close', (client, list, reason) => console.log('close', reason));
+ * server.on('stream', (client, socket) => socket.pipe(fs.createWriteStream(client.id)));
+ *
+ * // query the connected clients by payload
+ * const speakers = server.getClients({ role: 'speaker' });
+ *
+ * // call a method registered with `client.handle`
+ * server.request(client.id, 'setVolume', { volume: 0.5 })
+ *   .then(result => console.log(result))
+ *   .catch(err => console.error(err.code));
+ *
+ * @fires DiscoveryServer#close
+ * @fires DiscoveryServer#offline
+ * @fires DiscoveryServer#stream
+ * @fires DiscoveryServer#address-change
+ * @fires DiscoveryServer#update
+ * @fires DiscoveryServer#stats
+ * @fires DiscoveryServer#quality
+ * @fires DiscoveryServer#rejected
+ * @fires DiscoveryServer#protocol-error
+ * @fires DiscoveryServer#state
+ * @fires DiscoveryServer#packet
  */
 class DiscoveryServer extends EventEmitter {
   constructor({
     broadcastPort = BROADCAST_PORT,
+    transports = ['broadcast'], // 'broadcast', 'multicast', 'ipv6' and/or transport instances
+    multicastAddress = null, // defaults to config MULTICAST_ADDRESS
+    multicastAddressIPv6 = null, // defaults to config MULTICAST_ADDRESS_IPV6
+    networkInterface = null, // only answer clients reached through this interface
+    mdns = false, // also announce the server as a DNS-SD service over mDNS
+    mdnsAddress = MDNS_ADDRESS,
+    mdnsPort = MDNS_PORT,
     monitorInterval = 2000, // ms
     disconnectTimeout = 10000, // ms
-    verbose = false
+    retryTimeout = 1000, // ms, default timeout of requests before retry
+    maxDatagramSize = 1400, // bytes, larger messages are fragmented
+    stream = false, // open a TCP stream with each client, see 'stream' event
+    streamPort = 0, // TCP port of the streams, any free port by default
+    id = `${os.hostname()}:${broadcastPort}`, // identity advertised to clients
+    name = null,
+    group = null,
+    priority = 0, // clients prefer servers with higher priority
+    namespace = null, // only answer clients of the same namespace
+    rejectForeign = false, // send an error to clients of other namespaces
+    accept = null, // payload entries or `(payload, rinfo) => Boolean`
+    secret = null, // shared secret, enables authentication of clients
+    replayWindow = 30000, // ms, max age of authenticated messages
+    encrypt = false, // only accept encrypted connections
+    duplicateId = 'replace', // 'replace' or 'reject' clients reusing a connected id
+    handshakeRate = 50, // max discovery and connection requests per second, null for no limit
+    handshakeBurst = 100,
+    inventory = null, // JSON file path or store remembering devices across restarts
+    inventorySize = 1000, // max devices remembered, the longest offline are forgotten first
+    httpPort = null, // serve the clients and metrics over HTTP, see HttpEndpoint
+    httpHost = '127.0.0.1', // address of the HTTP endpoint, null for any
+    clock = systemClock, // time and timers, see VirtualClock
+    capture = null, // file or stream recording the datagrams, see replayCapture
+    logger = null, // see createConsoleLogger
+    verbose = false, // log everything to the console, if no `logger` is given
   } = {}) {
     super();
 
+    this.clock = clock;
+
+    this.encrypt = encrypt;
+    this._secret = secret;
+    this._auth = null;
+    this._challenges = new Map(); // rinfo key -> { challenge, time }
+
+    if (secret !== null) {
+      this._auth = new Authenticator({ secret, role: 'server', replayWindow, clock });
+    }
+
+    this.namespace = namespace;
+    this.rejectForeign = rejectForeign;
+    this._accept = createPayloadFilter(accept);
+
+    this.id = id;
+    this.name = name;
+    this.group = group;
+    this.priority = priority;
+
     this.broadcastPort = broadcastPort;
-    this.verbose = verbose;
-    this.clients = new Map();
+    this.networkInterface = networkInterface;
+    this._interfaces = []; // refreshed periodically, as they may change
+    this.logger = withFields(getLogger(logger, verbose), { server: id });
+    if (duplicateId !== 'replace' && duplicateId !== 'reject') {
+      throw new Error(`Invalid duplicateId "${duplicateId}"`);
+    }
+
+    this.clients = new Map(); // id -> client
+    this.duplicateId = duplicateId;
+    this._addresses = new Map(); // address:port -> id
+    this._deliveries = new Map(); // messageId -> { pending, report, ... }
+    this._deliveryId = -1; // ID of _last_ delivered message
+    this._links = new Map(); // id -> { quality, messageId, interval }
+
+    this.stream = stream;
+    this.streamPort = streamPort;
+    this._streamServer = null;
+    this._streams = new Map(); // id -> { token, socket }
+
+    if (typeof inventory === 'string') {
+      inventory = new JsonFileStore({ file: inventory });
+    }
+
+    // every device seen, connected or not
+    this._inventory = new Inventory({ store: inventory, maxDevices: inventorySize });
+
+    this._metrics = {
+      handshakes: { discover: 0, connect: 0 },
+      errors: {}, // code -> count
+      dropped: {}, // reason -> count
+    };
+
+    this._http = null;
+
+    if (httpPort !== null) {
+      this._http = new HttpEndpoint({ server: this, port: httpPort, host: httpHost, logger: this.logger });
+    }
+
+    this._capture = null;
+
+    if (capture !== null) {
+      this._capture = new PacketCapture({ output: capture, emitter: this, clock });
+    }
+
+    const types = transports.filter(transport => typeof transport === 'string');
+
+    types.forEach(type => {
+      if (TRANSPORTS.indexOf(type) === -1) {
+        throw new Error(`Invalid transport "${type}"`);
+      }
+    });
+
+    // an IPv4 socket bound to any address receives broadcast messages as
+    // well as multicast ones, so a single socket serves both
+    const transportOptions = [];
+
+    if (types.indexOf('multicast') !== -1) {
+      transportOptions.push({ type: 'multicast', multicastAddress });
+    } else if (types.indexOf('broadcast') !== -1) {
+      transportOptions.push({ type: 'broadcast' });
+    }
+
+    if (types.indexOf('ipv6') !== -1) {
+      transportOptions.push({ type: 'ipv6', multicastAddress: multicastAddressIPv6 });
+    }
+
+    this.transports = transportOptions.map(options => {
+      return new UdpTransport(Object.assign({
+        // use SO_REUSEADDR or SO_REUSEPORT depending on OS
+        // it might help with firewall, but seems insufficient
+        // see https://stackoverflow.com/questions/25586327/bizarre-firewall-related-socket-leak-on-mac-os-x
+        reuseAddr: true,
+        interfaces: networkInterface !== null ? [networkInterface] : null,
+        logger: this.logger,
+      }, options));
+    });
+
+    // injected transports
+    transports
+      .filter(transport => typeof transport !== 'string')
+      .forEach(transport => this.transports.push(transport));
+
+    this.transports.forEach(transport => {
+      transport.on('message', (buffer, rinfo) => this._receiveDatagram(buffer, rinfo));
+      transport.on('error', err => this.emit('error', err));
+    });
+
+    this.mdns = mdns;
+    this.mdnsAddress = mdnsAddress;
+    this.mdnsPort = mdnsPort;
+    this._mdnsResponder = null;
+
+    this._started = false;
+    this._starting = null; // pending start, awaited by stop
+
+    // excess handshakes are dropped, clients retry later with backoff
+    this._handshakeLimiter = null;
+
+    if (handshakeRate !== null) {
+      this._handshakeLimiter = new RateLimiter({ rate: handshakeRate, burst: handshakeBurst, clock });
+    }
 
     this.monitorInterval = monitorInterval;
     this.disconnectTimeout = disconnectTimeout;
+    this.retryTimeout = retryTimeout;
+
+    // resolve the address of the client on each send, as it may change
+    this._rpc = new RpcChannel({
+      send: (type, messageId, payload, id) => {
+        const client = this.clients.get(id);
+
+        if (client) {
+          this._sendMessage(type, messageId, payload, client.rinfo);
+        }
+      },
+      clock,
+      logger: this.logger,
+    });
+
+    this._fragments = new FragmentChannel({
+      send: (buffer, rinfo, callback) => this._sendDatagram(buffer, rinfo, callback),
+      maxDatagramSize,
+      clock,
+      logger: this.logger,
+    });
 
     this._receiveDiscoverReq.bind(this);
     this._sendDiscoverAck.bind(this);
@@ -49,187 +282,1433 @@ class DiscoveryServer extends EventEmitter {
 
   /**
    * Start the server.
+   *
+   * @return {Promise} - Resolves when the socket is bound, rejects if it
+   *  cannot be bound or if the `inventory` cannot be loaded.
    */
   start() {
-    this._setupSocket();
-    this._monitorIntervalId = setInterval(this._monitorClients, this.monitorInterval);
+    // known devices are loaded before any client can connect
+    const started = this._inventory.load().then(() => this._bind());
+    const done = () => this._starting = null;
+
+    this._starting = started.then(done, done);
+
+    return started;
   }
 
   /**
-   * Stop the server
+   * Stop the server, notifying connected clients. The server can be started
+   * again afterwards.
+   *
+   * @return {Promise} - Resolves when the socket is closed, after the
+   *  pending `start` if any.
    */
   stop() {
-    clearInterval(this._monitorIntervalId);
-    this.udp.close();
+    if (this._starting !== null) {
+      return this._starting.then(() => this.stop());
+    }
+
+    return new Promise(resolve => {
+      this.clock.clearInterval(this._monitorIntervalId);
+
+      if (!this._started) {
+        resolve();
+        return;
+      }
+
+      const sent = [];
+
+      for (let [id, client] of this.clients.entries()) {
+        // legacy clients don't know about disconnection
+        if (!client.legacy) {
+          sent.push(new Promise(resolve => {
+            const payload = { reason: 'server-stopped' };
+            this._sendMessage('DISCONNECT', 0, payload, client.rinfo, false, resolve);
+          }));
+        }
+
+        this._disconnectClient(id, 'server-stopped');
+      }
+
+      this._challenges.clear();
+      this._rpc.cancel();
+      this._fragments.cancel();
+      this._started = false;
+
+      // tell mDNS browsers the service is gone
+      if (this._mdnsResponder !== null) {
+        sent.push(this._mdnsResponder.stop());
+        this._mdnsResponder = null;
+      }
+
+      sent.push(this._saveInventory());
+
+      // close once the messages are actually sent
+      Promise.all(sent)
+        .then(() => {
+          const closed = this.transports.map(transport => transport.close());
+
+          if (this._streamServer !== null) {
+            closed.push(this._closeStreamServer());
+          }
+
+          if (this._http !== null) {
+            closed.push(this._http.stop());
+          }
+
+          if (this._capture !== null) {
+            closed.push(this._capture.close());
+          }
+
+          return Promise.all(closed);
+        })
+        .then(() => {
+          this.logger.info('stop');
+          resolve();
+        });
+    });
+  }
+
+  /**
+   * Counters since the server was created, also served by the `httpPort`
+   * endpoint:
+   * - `handshakes`: discovery and connection requests received,
+   *   `{ discover, connect }`
+   * - `errors`: errors sent to clients, by code
+   * - `dropped`: messages dropped, by reason (see the `'rejected'` and
+   *   `'protocol-error'` events)
+   *
+   * @type {Object}
+   */
+  get metrics() {
+    return this._metrics;
   }
 
   /**
-   * Send a message to a client.
+   * Get the connected clients matching a filter.
+   *
+   * @example
+   * const speakers = server.getClients({ role: 'speaker' });
+   * const lowBattery = server.getClients(payload => payload.battery < 0.2);
+   * // including the devices that were connected before
+   * const all = server.getClients(null, { offline: true });
+   *
+   * @param {Object|Function} [filter=null] - Payload entries to match, or
+   *  function called with `(payload, client)` returning a Boolean.
+   * @param {Object} [options]
+   * @param {Boolean} [options.offline=false] - Also return the known devices
+   *  that are not connected.
+   * @return {Array<Object>} - Clients, see `getClient`.
+   */
+  getClients(filter = null, { offline = false } = {}) {
+    const match = createPayloadFilter(filter);
+    const clients = Array.from(this.clients.values());
+
+    if (offline) {
+      for (let device of this._inventory.devices.values()) {
+        if (!this.clients.has(device.id)) {
+          clients.push(this._getOfflineClient(device));
+        }
+      }
+    }
+
+    return clients.filter(client => match(client.payload, client));
+  }
+
+  /**
+   * Get a client, connected or not.
+   *
+   * Clients have an `online` flag and a `history`:
+   * - `firstSeen`: date of the first connection (ms since epoch)
+   * - `lastConnection`, `lastDisconnection`: dates, `null` if none yet
+   * - `connections`: number of connections
+   * - `disconnectReason`: reason of the last disconnection (see the
+   *   `'close'` event)
+   *
+   * Offline devices are only `{ id, payload, history, online }`, their
+   * payload being the last one received. They are remembered across
+   * restarts if an `inventory` is given.
+   *
+   * @param {String} id - Id of the client.
+   * @return {Object} - The client, `null` if unknown.
+   */
+  getClient(id) {
+    if (this.clients.has(id)) {
+      return this.clients.get(id);
+    }
+
+    const device = this._inventory.devices.get(id);
+
+    return device !== undefined ? this._getOfflineClient(device) : null;
+  }
+
+  /**
+   * Disconnect a client. Unless the reason is `'kicked'` (the default), the
+   * client tries to connect again right away.
+   *
+   * @param {String} id - Id of the client (key in `clients`).
+   * @param {String} [reason='kicked'] - Reason given to the client, and in
+   *  the `'close'` event.
+   * @return {Boolean} - `false` if the client is not connected.
+   */
+  disconnect(id, reason = 'kicked') {
+    const client = this.clients.get(id);
+
+    if (!client) {
+      return false;
+    }
+
+    // legacy clients don't know about disconnection
+    if (!client.legacy) {
+      this._sendMessage('DISCONNECT', 0, { reason }, client.rinfo);
+    }
+
+    this._disconnectClient(id, reason);
+
+    return true;
+  }
+
+  /**
+   * Send a message to a client, without acknowledgement (see
+   * `sendToClient`).
    *
    * @param {String} msg - Message to send.
    * @param {Number} port - Port of the client.
    * @param {String} address - Ip address of the client.
    */
   send(msg, port, address) {
-    if (this.udp) {
-      const buf = Buffer.from(msg);
-      this.udp.send(buf, 0, buf.length, port, address);
+    const client = this._findClient({ port, address });
 
-      if (this.verbose) {
-        console.log('send: ', msg);
-      }
+    // never send application data in clear
+    if (this.encrypt && (!client || !client.session)) {
+      this.logger.debug('ignore send, not connected', { peer: address + ':' + port });
+      return;
     }
+
+    this._send(Buffer.from(msg), 0, { port, address });
+    this.logger.debug('send message', { direction: 'out', peer: address + ':' + port });
   }
 
-  _setupSocket() {
-    this.udp = dgram.createSocket({
-      type: 'udp4',
-      // use SO_REUSEADDR or SO_REUSEPORT depending on OS
-      // it might help with firewall, but seems insufficient
-      // see https://stackoverflow.com/questions/25586327/bizarre-firewall-related-socket-leak-on-mac-os-x
-      reuseAddr: true,
-    });
+  /**
+   * Send a message to a connected client, the client acknowledging its
+   * reception. The message is sent again if no acknowledgement is received
+   * before `timeout`, the client emitting it only once.
+   *
+   * @param {String} id - Id of the client (key in `clients`).
+   * @param {String|Buffer} msg - Message to send.
+   * @param {Object} [options] - See `sendTo`.
+   * @return {Promise} - Resolves with the delivery report, see `sendTo`.
+   */
+  sendToClient(id, msg, options = {}) {
+    const client = this.clients.get(id);
 
-    this.udp.on('message', (buffer, rinfo) => {
-      const msg = buffer.toString().split(' ');
+    if (!client) {
+      return Promise.resolve({ delivered: [], failed: [id] });
+    }
 
-      if (this.verbose) {
-        console.log('receive: ', msg);
-      }
+    return this._deliver([client], msg, options);
+  }
 
-      switch(msg[0]) {
-        case 'DISCOVER_REQ': {
-          this._receiveDiscoverReq(msg, rinfo);
-          break;
+  /**
+   * Send a message to the connected clients matching a filter, see
+   * `sendToClient`.
+   *
+   * @example
+   * server.sendTo({ room: 'A' }, 'lights-off')
+   *   .then(({ delivered, failed }) => console.log('not delivered to', failed));
+   *
+   * @param {Object|Function} filter - See `getClients`.
+   * @param {String|Buffer} msg - Message to send.
+   * @param {Object} [options]
+   * @param {Number} [options.timeout=retryTimeout] - Time to wait for the
+   *  acknowledgements before sending the message again (ms).
+   * @param {Number} [options.retries=3] - Number of times the message is sent
+   *  again to the clients that didn't acknowledge it.
+   * @return {Promise} - Resolves once every client acknowledged the message
+   *  or all retries are done, with the delivery report
+   *  `{ delivered, failed }` (ids of the clients). Legacy clients, which
+   *  can't acknowledge messages, are sent the message once and reported as
+   *  failed, as are the clients disconnected in the meantime. Messages
+   *  larger than `MAX_MESSAGE_SIZE` (about 767 KB) are not sent, every
+   *  client being reported as failed.
+   */
+  sendTo(filter, msg, options = {}) {
+    return this._deliver(this.getClients(filter), msg, options);
+  }
+
+  /**
+   * Send a message to every connected client, see `sendTo`.
+   *
+   * @param {String|Buffer} msg - Message to send.
+   * @param {Object} [options] - See `sendTo`.
+   * @return {Promise} - Resolves with the delivery report, see `sendTo`.
+   */
+  broadcast(msg, options = {}) {
+    return this.sendTo(null, msg, options);
+  }
+
+  /**
+   * Send a request to a connected client and wait for its response. The
+   * request is sent again if no response is received before `timeout`, the
+   * client executing it only once.
+   *
+   * @param {String} id - Id of the client (key in `clients`).
+   * @param {String} method - Method registered by the client with `handle`.
+   * @param {*} [params=null] - Parameters of the request, must be JSON
+   *  serializable.
+   * @param {Object} [options]
+   * @param {Number} [options.timeout=retryTimeout] - Time to wait for the
+   *  response before sending the request again (ms).
+   * @param {Number} [options.retries=3] - Number of times the request is sent
+   *  again before failing.
+   * @return {Promise} - Resolves with the result returned by the client
+   *  handler, rejects with a `RequestError`.
+   */
+  request(id, method, params = null, {
+    timeout = this.retryTimeout,
+    retries = 3,
+  } = {}) {
+    const client = this.clients.get(id);
+
+    if (!client) {
+      return Promise.reject(new RequestError('ENOTCONNECTED', `Unknown client "${id}"`));
+    }
+
+    if (client.legacy) {
+      return Promise.reject(new RequestError('ENOTSUPPORTED', `Client "${id}" does not support requests`));
+    }
+
+    return this._rpc.request(id, id, method, params, { timeout, retries });
+  }
+
+  /**
+   * Register the function executed on requests sent with `client.request`.
+   *
+   * @param {String} method - Name of the method.
+   * @param {Function} fn - Function called with `(params, client)`, its
+   *  return value (or the value its returned Promise resolves with) is sent
+   *  back to the client. Set to `null` to remove the handler.
+   */
+  handle(method, fn) {
+    this._rpc.handle(method, fn);
+  }
+
+  _bind() {
+    this._updateInterfaces();
+
+    const bound = this.transports.map(transport => transport.bind(this.broadcastPort));
+
+    if (this.mdns) {
+      this._mdnsResponder = new MdnsResponder({
+        service: MDNS_SERVICE,
+        instance: this.name !== null ? this.name : this.id,
+        port: this.broadcastPort,
+        txt: this._getTxtRecord(),
+        address: this.mdnsAddress,
+        mdnsPort: this.mdnsPort,
+        hostname: os.hostname(),
+        clock: this.clock,
+        logger: this.logger,
+      });
+
+      this._mdnsResponder.on('error', err => this.emit('error', err));
+      bound.push(this._mdnsResponder.start());
+    }
+
+    return Promise.all(bound)
+      .then(() => {
+        if (this.stream) {
+          return this._listenStreams();
         }
-        case 'CONNECT_REQ': {
-          this._receiveConnectReq(msg, rinfo);
-          break;
+      })
+      .then(() => {
+        if (this._http !== null) {
+          return this._http.start();
         }
-        case 'KEEPALIVE_REQ': {
-          this._receiveKeepaliveReq(msg, rinfo);
-          break;
+      })
+      .then(() => {
+        if (this._capture !== null) {
+          this._capture.open();
         }
-        case 'ERROR': {
-          this._receiveError(msg, rinfo);
-          break;
+
+        this.logger.info('start', { port: this.broadcastPort });
+
+        this._started = true;
+        this._monitorIntervalId = this.clock.setInterval(this._monitorClients, this.monitorInterval);
+
+        for (let device of this._inventory.devices.values()) {
+          this._emitOffline(device);
         }
-        default: {
-          // forward any message that are not related to the protocol
-          this.emit('message', buffer, rinfo);
-          break;
+      })
+      .catch(err => {
+        // release the transports that could be bound
+        const closed = this.transports.map(transport => transport.close());
+
+        if (this._mdnsResponder !== null) {
+          closed.push(this._mdnsResponder.stop());
+          this._mdnsResponder = null;
+        }
+
+        if (this._streamServer !== null) {
+          closed.push(this._closeStreamServer());
+        }
+
+        if (this._http !== null) {
+          closed.push(this._http.stop());
         }
+
+        return Promise.all(closed).then(() => { throw err; });
+      });
+  }
+
+  _listenStreams() {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer(socket => this._receiveStream(socket));
+
+      server.once('error', reject);
+      server.listen(this.streamPort, () => {
+        server.removeListener('error', reject);
+        server.on('error', err => this.emit('error', err));
+        this._streamServer = server;
+        resolve();
+      });
+    });
+  }
+
+  _closeStreamServer() {
+    const server = this._streamServer;
+    this._streamServer = null;
+
+    // resolves once the streams, closed with their client, are gone
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  // IPv6 peers are matched by subnet when their address is not scoped
+  _updateInterfaces() {
+    this._interfaces = getInterfaces({ internal: true })
+      .concat(getInterfaces({ family: 'IPv6', internal: true }));
+  }
+
+  // name of the local interface the peer is reached through
+  _getInterface(rinfo) {
+    const info = findInterface(rinfo.address, this._interfaces);
+    return info !== null ? info.name : null;
+  }
+
+  _findClient(rinfo) {
+    const id = this._addresses.get(getKey(rinfo));
+    return id !== undefined ? this.clients.get(id) : undefined;
+  }
+
+  // DNS-SD description of the server
+  _getTxtRecord() {
+    const txt = { version: PROTOCOL_VERSION, id: this.id };
+
+    ['name', 'group', 'priority', 'namespace'].forEach(key => {
+      if (this[key] !== null) {
+        txt[key] = this[key];
       }
     });
 
-    this.udp.bind(this.broadcastPort, () => {
-      if (this.verbose) {
-        console.log('binded server at:', this.udp.address());
+    if (this._auth !== null) {
+      txt.auth = 1;
+    }
+
+    if (this.encrypt) {
+      txt.encrypt = 1;
+    }
+
+    return txt;
+  }
+
+  // transport handling the address family of the peer
+  _getTransport(rinfo) {
+    const family = rinfo.address.indexOf(':') !== -1 ? 'IPv6' : 'IPv4';
+
+    for (let transport of this.transports) {
+      if (transport.family === family) {
+        return transport;
       }
+    }
+
+    return null;
+  }
+
+  _send(buf, messageId, rinfo, callback) {
+    const client = this._findClient(rinfo);
+
+    if (client && client.session) {
+      buf = encode('ENCRYPTED', messageId, client.session.encrypt(buf));
+    }
+
+    // legacy clients don't know about fragments
+    if (client && client.legacy) {
+      this._sendDatagram(buf, rinfo, callback);
+    } else {
+      this._fragments.sendDatagram(buf, rinfo, getKey(rinfo), callback);
+    }
+  }
+
+  _sendDatagram(buf, rinfo, callback) {
+    const transport = this._started ? this._getTransport(rinfo) : null;
+
+    if (transport === null) {
+      if (callback) {
+        callback();
+      }
+
+      return;
+    }
+
+    if (this._capture !== null) {
+      this._capture.record('out', buf, rinfo);
+    }
+
+    transport.send(buf, rinfo.port, rinfo.address, callback);
+  }
+
+  _receiveDatagram(buffer, rinfo) {
+    if (this._capture !== null) {
+      this._capture.record('in', buffer, rinfo);
+    }
+
+    this._handleMessage(buffer, rinfo);
+  }
+
+  _sendMessage(type, messageId, payload, rinfo, legacy = false, callback = undefined) {
+    if (this._auth !== null && !legacy) {
+      payload = this._auth.sign(type, messageId, payload);
+    }
+
+    const encodeMessage = legacy ? encodeLegacy : encode;
+    const client = this._findClient(rinfo);
+    const encrypted = !!(client && client.session);
+
+    this._tracePacket('out', { type, messageId, payload, legacy }, rinfo, encrypted);
+    this._send(encodeMessage(type, messageId, payload), messageId, rinfo, callback);
+  }
+
+  _tracePacket(direction, { type, messageId, payload, legacy }, rinfo, encrypted) {
+    this.logger.debug(direction === 'in' ? 'receive' : 'send', {
+      direction,
+      type,
+      messageId,
+      peer: getKey(rinfo),
     });
+
+    if (this.listenerCount('packet') > 0) {
+      /**
+       * Diagnostics event, emitted for each protocol message sent or
+       * received, before it is checked. Fragments and encryption are not
+       * reported, but the messages they carry are.
+       *
+       * @event DiscoveryServer#packet
+       * @param {Object} packet - `{ time, direction, type, messageId,
+       *  payload, rinfo, legacy, encrypted }`, `direction` being `'in'` or
+       *  `'out'` and `time` the time of the `clock` (sec).
+       */
+      this.emit('packet', {
+        time: this.clock.now(),
+        direction,
+        type,
+        messageId,
+        payload,
+        rinfo,
+        legacy,
+        encrypted,
+      });
+    }
+  }
+
+  /**
+   * Answer a protocol message, using the text protocol if the request
+   * comes from a legacy device.
+   * @private
+   */
+  _reply(req, type, payload, rinfo) {
+    this._sendMessage(type, req.messageId, payload, rinfo, req.legacy);
+  }
+
+  _protocolError(err, rinfo) {
+    this.logger.warn('protocol error', { code: err.code, error: err.message, peer: getKey(rinfo) });
+
+    this._countDropped(err.code);
+
+    /**
+     * Emitted when a malformed or incompatible protocol message is
+     * received, the message is dropped.
+     *
+     * @event DiscoveryServer#protocol-error
+     * @param {ProtocolError} err - Error, `err.code` is `'EMALFORMED'`,
+     *  `'EVERSION'`, `'EDECRYPT'` or `'EREPLAY'`.
+     * @param {Object} rinfo - Address of the sender.
+     */
+    this.emit('protocol-error', err, rinfo);
+  }
+
+  _handleMessage(buffer, rinfo, encrypted = false) {
+    // broadcasts are only received when bound to any address, so the socket
+    // can't be bound to the address of the interface
+    if (this.networkInterface !== null && this._getInterface(rinfo) !== this.networkInterface) {
+      this.logger.debug('ignore message from another interface', { peer: getKey(rinfo) });
+      return;
+    }
+
+    const client = this._findClient(rinfo);
+    // only handshake messages may be sent in clear by an encrypted client
+    const secure = encrypted || !client || !client.session;
+    let msg;
+
+    try {
+      msg = decode(buffer);
+    } catch (err) {
+      this._protocolError(err, rinfo);
+      return;
+    }
+
+    if (msg === null) {
+      if (!secure) {
+        this.logger.debug('ignore clear message', { peer: getKey(rinfo) });
+        return;
+      }
+
+      // forward any message that are not related to the protocol
+      this.emit('message', buffer, rinfo);
+      return;
+    }
+
+    if (msg.type === 'ENCRYPTED') {
+      this._receiveEncrypted(msg, rinfo);
+      return;
+    }
+
+    // the reassembled datagram is checked as any other
+    if (msg.type === 'FRAGMENT') {
+      const datagram = this._fragments.receiveFragment(msg, rinfo, getKey(rinfo));
+
+      if (datagram !== null) {
+        this._handleMessage(datagram, rinfo);
+      }
+
+      return;
+    }
+
+    if (msg.type === 'FRAGMENT_ACK') {
+      this._fragments.receiveAck(msg, getKey(rinfo));
+      return;
+    }
+
+    this._tracePacket('in', msg, rinfo, encrypted);
+
+    if (!secure && msg.type !== 'DISCOVER_REQ' && msg.type !== 'CONNECT_REQ') {
+      this.logger.debug('ignore clear message', { type: msg.type, messageId: msg.messageId, peer: getKey(rinfo) });
+      return;
+    }
+
+    if (msg.type === 'DISCOVER_REQ') {
+      this._metrics.handshakes.discover += 1;
+    } else if (msg.type === 'CONNECT_REQ') {
+      this._metrics.handshakes.connect += 1;
+    }
+
+    if (
+      (msg.type === 'DISCOVER_REQ' || msg.type === 'CONNECT_REQ') &&
+      this._handshakeLimiter !== null &&
+      !this._handshakeLimiter.take()
+    ) {
+      this._reject(msg, rinfo, 'rate-limit');
+      return;
+    }
+
+    if (this._auth !== null) {
+      const reason = this._auth.verify(msg);
+
+      if (reason !== null) {
+        this._reject(msg, rinfo, reason);
+        return;
+      }
+    }
+
+    switch(msg.type) {
+      case 'DISCOVER_REQ': {
+        this._receiveDiscoverReq(msg, rinfo);
+        break;
+      }
+      case 'CONNECT_REQ': {
+        this._receiveConnectReq(msg, rinfo);
+        break;
+      }
+      case 'KEEPALIVE_REQ': {
+        this._receiveKeepaliveReq(msg, rinfo);
+        break;
+      }
+      case 'ERROR': {
+        this._receiveError(msg, rinfo);
+        break;
+      }
+      case 'REQUEST': {
+        this._receiveRequest(msg, rinfo);
+        break;
+      }
+      case 'RESPONSE': {
+        this._receiveResponse(msg, rinfo);
+        break;
+      }
+      case 'DISCONNECT': {
+        this._receiveDisconnect(msg, rinfo);
+        break;
+      }
+      case 'MESSAGE_ACK': {
+        this._receiveMessageAck(msg, rinfo);
+        break;
+      }
+      default: {
+        // acks are only meant for clients
+        this.logger.debug('ignore message', { type: msg.type, messageId: msg.messageId, peer: getKey(rinfo) });
+        break;
+      }
+    }
+  }
+
+  _receiveEncrypted(msg, rinfo) {
+    const client = this._findClient(rinfo);
+
+    if (!client || !client.session) {
+      // probably restarted, let the client connect again
+      this._sendError(msg, rinfo, 'ENOTCONNECTED', 'Client not connected');
+      return;
+    }
+
+    let buffer;
+
+    try {
+      buffer = client.session.decrypt(msg.payload);
+    } catch (err) {
+      if (err.code === 'EREPLAY') {
+        this._protocolError(new ProtocolError('EREPLAY', 'Replayed message'), rinfo);
+      } else {
+        this._protocolError(new ProtocolError('EDECRYPT', 'Cannot decrypt message'), rinfo);
+      }
+
+      return;
+    }
+
+    this._handleMessage(buffer, rinfo, true);
+  }
+
+  _checkNamespace(msg, rinfo) {
+    // legacy clients don't have any namespace
+    const { namespace = null } = msg.payload || {};
+
+    if (namespace === this.namespace) {
+      return true;
+    }
+
+    this._reject(msg, rinfo, 'namespace');
+
+    if (this.rejectForeign) {
+      this._sendError(msg, rinfo, 'ENAMESPACE', `Unknown namespace "${namespace}"`);
+    }
+
+    return false;
   }
 
   _receiveDiscoverReq(msg, rinfo) {
-    // unconditional
-    this._sendDiscoverAck(msg, rinfo);
+    if (this._checkNamespace(msg, rinfo)) {
+      this._sendDiscoverAck(msg, rinfo);
+    }
   }
 
   _sendDiscoverAck(msg, rinfo) {
-    const messageId = parseInt(msg[1]);
-    this.send('DISCOVER_ACK ' + messageId, rinfo.port, rinfo.address);
+    const { id, name, group, priority, namespace } = this;
+    const payload = { id, name, group, priority, namespace };
+
+    // the client must sign this challenge in its connection request
+    if (this._auth !== null) {
+      payload.challenge = createNonce();
+      this._challenges.set(getKey(rinfo), {
+        challenge: payload.challenge,
+        time: this.clock.now(),
+      });
+    }
+
+    this._reply(msg, 'DISCOVER_ACK', payload, rinfo);
+  }
+
+  _checkChallenge(msg, rinfo) {
+    const { challenge = null } = msg.payload || {};
+    const issued = this._challenges.get(getKey(rinfo));
+
+    if (
+      issued === undefined ||
+      issued.challenge !== challenge ||
+      this.clock.now() - issued.time > 0.001 * this._auth.replayWindow
+    ) {
+      this._reject(msg, rinfo, 'challenge');
+      return false;
+    }
+
+    return true;
   }
 
   _receiveConnectReq(msg, rinfo) {
-    const key = getKey(rinfo);
+    if (!this._checkNamespace(msg, rinfo)) {
+      return;
+    }
 
-    if (this.clients.has(key)) {
-      this._disconnectClient(key);
-      this._sendError(msg, rinfo);
+    if (this._auth !== null && !this._checkChallenge(msg, rinfo)) {
+      return;
+    }
+
+    const {
+      id = getKey(rinfo), // legacy clients are identified by their address
+      revision = null,
+      encryption = null,
+    } = msg.payload || {};
+    // anything else than an object (e.g. `null`) is an empty payload
+    const payload = isPlainObject((msg.payload || {}).payload) ? msg.payload.payload : {};
+
+    const existing = this.clients.get(id);
+
+    if (existing && getKey(existing.rinfo) === getKey(rinfo)) {
+      this._disconnectClient(id, 'duplicate-connect');
+      this._sendError(msg, rinfo, 'EDUPLICATE', 'Client already connected');
+    } else if (existing && this.duplicateId === 'reject') {
+      this._reject(msg, rinfo, 'duplicate-id');
+      this._sendError(msg, rinfo, 'EDUPLICATEID', `Id "${id}" already connected`);
     } else {
-      let payload = null;
-      try {
-        payload = JSON.parse(msg[2]);
-      } catch(e) {
-        payload = {};
+
+      if (!this._accept(payload, rinfo)) {
+        this._reject(msg, rinfo, 'filter');
+        this._sendError(msg, rinfo, 'EREJECTED', 'Client rejected');
+        return;
+      }
+
+      let session = null;
+      let ackPayload = null;
+
+      if (this.encrypt) {
+        // new keys for each connection
+        const keyExchange = createKeyExchange();
+
+        try {
+          session = new Session('server', keyExchange, encryption, this._secret);
+        } catch (err) {
+          // no or invalid key exchange offer
+          this._reject(msg, rinfo, 'encryption');
+          this._sendError(msg, rinfo, 'EENCRYPTION', 'Encryption required');
+          return;
+        }
+
+        ackPayload = { encryption: keyExchange.offer };
+      }
+
+      let stream = null;
+
+      // legacy clients don't know about streams
+      if (this._streamServer !== null && !msg.legacy) {
+        stream = { token: createNonce(16), socket: null };
+        ackPayload = Object.assign({}, ackPayload, {
+          stream: { port: this._streamServer.address().port, token: stream.token },
+        });
+      }
+
+      // ack before registering the client, so that it is not encrypted
+      this._sendConnectAck(msg, rinfo, ackPayload);
+
+      // the stream of the previous connection is stale
+      this._closeStream(id);
+
+      if (stream !== null) {
+        this._streams.set(id, stream);
+      }
+
+      if (existing) {
+        // same device, reconnecting from another address
+        existing.legacy = msg.legacy;
+        existing.session = session;
+        existing.lastSeen = this.clock.now();
+        // message ids restart from the new connection
+        this._links.get(existing.id).messageId = null;
+        // requests of the previous connection won't be answered
+        this._rpc.cancel(existing.id);
+
+        this._changeAddress(existing, rinfo);
+        this._updateClient(existing, payload, revision);
+        this._inventory.connect(existing.id, existing.payload);
+        this._saveInventory();
+      } else {
+        this._connectClient(id, rinfo, payload, {
+          revision,
+          legacy: msg.legacy,
+          session,
+        });
       }
-      this._connectClient(key, rinfo, payload);
-      this._sendConnectAck(msg, rinfo);
     }
   }
 
-  _sendConnectAck(msg, rinfo) {
-    const messageId = parseInt(msg[1]);
-    this.send('CONNECT_ACK ' + messageId, rinfo.port, rinfo.address);
+  _sendConnectAck(msg, rinfo, payload = null) {
+    this._reply(msg, 'CONNECT_ACK', payload, rinfo);
   }
 
 
   _receiveKeepaliveReq(msg, rinfo) {
-    const key = getKey(rinfo);
+    const receiveTime = this.clock.now();
+    const {
+      id = null,
+      payload,
+      revision = null,
+      stats = null,
+      interval = null,
+    } = msg.payload || {};
+    let client = this._findClient(rinfo);
+
+    // same device, sending from another address (encrypted clients must
+    // connect again to exchange new keys)
+    if (
+      !client &&
+      this.duplicateId === 'replace' &&
+      this.clients.has(id) &&
+      !this.clients.get(id).session
+    ) {
+      client = this.clients.get(id);
+      this._changeAddress(client, rinfo);
+    }
+
+    if (!client) {
+      this._sendError(msg, rinfo, 'ENOTCONNECTED', 'Client not connected');
+    } else {
+      client.lastSeen = this.clock.now();
+
+      // legacy clients always send their payload without revision, anything
+      // else than an object (e.g. `null`) is ignored
+      if (isPlainObject(payload) && (revision === null || revision !== client.revision)) {
+        this._updateClient(client, payload, revision);
+      }
+
+      if (stats !== null) {
+        this._updateStats(client, stats);
+      }
+
+      this._recordKeepalive(client, msg.messageId, interval);
+
+      this._sendKeepaliveAck(msg, rinfo, receiveTime);
+    }
+  }
+
+  _sendKeepaliveAck(msg, rinfo, receiveTime) {
+    // timestamps allowing the client to estimate latency and clock offset
+    const { time = null } = msg.payload || {};
+    const payload = time !== null ? { time, receiveTime, transmitTime: this.clock.now() } : null;
+
+    this._reply(msg, 'KEEPALIVE_ACK', payload, rinfo);
+  }
+
+  _receiveStream(socket) {
+    // e.g. connection reset by the client
+    socket.on('error', err => {
+      this.logger.debug('stream error', { error: err.message });
+    });
+
+    readStreamToken(socket, this.retryTimeout, (token, proof) => {
+      let client = null;
+      let stream = null;
+
+      for (let [id, entry] of this._streams.entries()) {
+        if (entry.token === token && entry.socket === null) {
+          client = this.clients.get(id);
+          stream = entry;
+          break;
+        }
+      }
+
+      if (client === null) {
+        this.logger.warn('ignore stream with unknown token', {
+          peer: socket.remoteAddress + ':' + socket.remotePort,
+        });
+
+        socket.destroy();
+        return;
+      }
+
+      // the token was sent in clear, the client may still open the stream
+      const expected = createStreamProof(token, { session: client.session, secret: this._secret });
+
+      if (!checkStreamProof(proof, expected)) {
+        this.logger.warn('ignore stream with invalid proof', {
+          id: client.id,
+          peer: socket.remoteAddress + ':' + socket.remotePort,
+        });
+
+        socket.destroy();
+        return;
+      }
+
+      stream.socket = socket;
+
+      // the stream is part of the connection
+      socket.on('close', () => {
+        if (this._streams.get(client.id) === stream) {
+          this.disconnect(client.id, 'stream-closed');
+        }
+      });
+
+      /**
+       * Emitted when the TCP stream of a client is open (see the `stream`
+       * option), after its `'connection'`. The stream is closed with the
+       * connection, and the client is disconnected if the stream closes,
+       * so that it connects again with a new stream. Streams are not
+       * encrypted, but the stream of an encrypted (or signed) connection
+       * can only be opened by its client.
+       *
+       * @event DiscoveryServer#stream
+       * @param {Object} client - Client.
+       * @param {net.Socket} socket - Stream of the client.
+       */
+      this.emit('stream', client, socket);
+      this.logger.info('stream', { id: client.id });
+    });
+  }
+
+  _closeStream(id) {
+    const stream = this._streams.get(id);
 
-    if (!this.clients.has(key)) {
-      this._sendError(msg, rinfo);
+    if (stream === undefined) {
+      return;
+    }
+
+    this._streams.delete(id);
+
+    if (stream.socket !== null) {
+      endStream(stream.socket, this.retryTimeout);
+    }
+  }
+
+  _receiveRequest(msg, rinfo) {
+    const client = this._findClient(rinfo);
+
+    if (!client) {
+      const error = { code: 'ENOTCONNECTED', message: 'Client not connected' };
+      this._sendMessage('RESPONSE', msg.messageId, { error }, rinfo);
     } else {
-      const client = this.clients.get(key);
-      client.lastSeen = getTime();
-      this._sendKeepaliveAck(msg, rinfo);
+      this._rpc.receiveRequest(msg, client.id, client.id, client);
+    }
+  }
+
+  _receiveResponse(msg, rinfo) {
+    const client = this._findClient(rinfo);
+
+    if (!client) {
+      this.logger.debug('ignore response', { messageId: msg.messageId, peer: getKey(rinfo) });
+    } else {
+      this._rpc.receiveResponse(msg, client.id);
+    }
+  }
+
+  _deliver(clients, msg, {
+    timeout = this.retryTimeout,
+    retries = 3,
+  }) {
+    return new Promise(resolve => {
+      this._deliveryId = (this._deliveryId + 1) % 0x100000000;
+
+      const messageId = this._deliveryId;
+      const buffer = Buffer.from(msg);
+      const payload = { data: buffer.toString('base64') };
+      const report = { delivered: [], failed: [] };
+      const delivery = { pending: new Set(), report, resolve, timeoutId: null };
+
+      if (buffer.length > MAX_MESSAGE_SIZE && clients.length > 0) {
+        this.logger.warn('message too large', { messageId, size: buffer.length });
+      }
+
+      for (let client of clients) {
+        if (buffer.length > MAX_MESSAGE_SIZE) {
+          // clients couldn't reassemble it
+          report.failed.push(client.id);
+        } else if (client.legacy) {
+          this._send(buffer, 0, client.rinfo);
+          report.failed.push(client.id);
+        } else {
+          delivery.pending.add(client.id);
+        }
+      }
+
+      const attempt = remaining => {
+        for (let id of delivery.pending) {
+          this._sendMessage('MESSAGE', messageId, payload, this.clients.get(id).rinfo);
+        }
+
+        delivery.timeoutId = this.clock.setTimeout(() => {
+          if (remaining > 0) {
+            attempt(remaining - 1);
+          } else {
+            delivery.pending.forEach(id => report.failed.push(id));
+            delivery.pending.clear();
+            this._endDelivery(messageId);
+          }
+        }, timeout);
+      };
+
+      this._deliveries.set(messageId, delivery);
+
+      if (delivery.pending.size > 0) {
+        attempt(retries);
+      } else {
+        this._endDelivery(messageId);
+      }
+    });
+  }
+
+  _endDelivery(messageId) {
+    const delivery = this._deliveries.get(messageId);
+
+    this.clock.clearTimeout(delivery.timeoutId);
+    this._deliveries.delete(messageId);
+    delivery.resolve(delivery.report);
+  }
+
+  _receiveMessageAck(msg, rinfo) {
+    const client = this._findClient(rinfo);
+    const delivery = this._deliveries.get(msg.messageId);
+
+    // late or duplicated acknowledgement
+    if (!client || !delivery || !delivery.pending.has(client.id)) {
+      this.logger.debug('ignore message ack', { messageId: msg.messageId, peer: getKey(rinfo) });
+      return;
+    }
+
+    delivery.pending.delete(client.id);
+    delivery.report.delivered.push(client.id);
+
+    if (delivery.pending.size === 0) {
+      this._endDelivery(msg.messageId);
+    }
+  }
+
+  // messages not acknowledged yet can't be delivered anymore
+  _cancelDeliveries(id) {
+    for (let [messageId, delivery] of this._deliveries.entries()) {
+      if (delivery.pending.delete(id)) {
+        delivery.report.failed.push(id);
+
+        if (delivery.pending.size === 0) {
+          this._endDelivery(messageId);
+        }
+      }
     }
   }
 
-  _sendKeepaliveAck(msg, rinfo) {
-    const messageId = parseInt(msg[1]);
-    this.send('KEEPALIVE_ACK ' + messageId, rinfo.port, rinfo.address);
+  _receiveDisconnect(msg, rinfo) {
+    const client = this._findClient(rinfo);
+
+    if (client) {
+      this._disconnectClient(client.id, 'goodbye');
+    }
   }
 
   _receiveError(msg, rinfo) {
-    const key = getKey(rinfo);
+    const client = this._findClient(rinfo);
 
-    if (this.clients.has(key)) {
-      this._disconnectClient(key);
+    if (client) {
+      this._disconnectClient(client.id, 'error');
     }
 
-    this._sendError(msg, rinfo);
+    this._sendError(msg, rinfo, 'ENOTCONNECTED', 'Client not connected');
   }
 
-  _sendError(msg, rinfo) {
-    const messageId = msg[1];
-    this.send('ERROR ' + messageId + ' ' + msg[0], rinfo.port, rinfo.address);
+  _reject(msg, rinfo, reason) {
+    this.logger.warn('reject', { type: msg.type, messageId: msg.messageId, peer: getKey(rinfo), reason });
+
+    this._countDropped(reason);
+
+    /**
+     * Emitted when a message is refused.
+     *
+     * @event DiscoveryServer#rejected
+     * @param {Object} rinfo - Address of the sender.
+     * @param {String} reason - One of `'namespace'` (client of another
+     *  namespace), `'filter'` (client refused by the `accept` filter),
+     *  `'rate-limit'` (too many handshakes, see `handshakeRate`),
+     *  and if a `secret` is set `'unsigned'`, `'signature'` (invalid
+     *  signature), `'expired'`, `'replay'` or `'challenge'` (connection
+     *  request without a valid challenge), `'duplicate-id'` (see
+     *  `duplicateId`), and if `encrypt` is set
+     *  `'encryption'` (client not supporting encryption).
+     * @param {String} type - Type of the refused message.
+     */
+    this.emit('rejected', rinfo, reason, msg.type);
   }
 
-  _connectClient(key, rinfo, payload) {
+  /**
+   * Error codes:
+   * - `'ENOTCONNECTED'`: message from a client that is not connected
+   * - `'EDUPLICATE'`: connection request from an already connected client
+   * - `'EDUPLICATEID'`: id used by another connected client (see
+   *   `duplicateId`)
+   * - `'ENAMESPACE'`: client from another namespace (see `rejectForeign`)
+   * - `'EREJECTED'`: client payload refused by the `accept` filter
+   * - `'EENCRYPTION'`: client not supporting encryption (see `encrypt`)
+   * @private
+   */
+  _sendError(msg, rinfo, code, message) {
+    const { errors } = this._metrics;
+    errors[code] = (errors[code] || 0) + 1;
+
+    this._reply(msg, 'ERROR', { type: msg.type, code, message }, rinfo);
+  }
+
+  _countDropped(reason) {
+    const { dropped } = this._metrics;
+    dropped[reason] = (dropped[reason] || 0) + 1;
+  }
+
+  _connectClient(id, rinfo, payload, { revision, legacy, session }) {
+    const addressKey = getKey(rinfo);
+
+    // another client was using this address, e.g. restarted with a new id
+    if (this._addresses.has(addressKey)) {
+      this._disconnectClient(this._addresses.get(addressKey), 'duplicate-connect');
+    }
+
+    const link = { quality: new LinkQuality(), messageId: null, interval: null };
     const client = {
+      id,
       rinfo,
-      lastSeen: getTime(),
+      interface: this._getInterface(rinfo),
+      lastSeen: this.clock.now(),
       payload,
+      revision,
+      legacy,
+      session,
+      rtt: null,
+      jitter: null,
+      offset: null,
+      quality: link.quality.stats,
+      history: this._inventory.connect(id, payload).history,
+      online: true,
     };
 
-    this.clients.set(key, client);
+    this.clients.set(id, client);
+    this._links.set(id, link);
+    this._addresses.set(addressKey, id);
+    this._emitState(client, 'connected', 'disconnected');
     this.emit('connection', client, this.clients);
+    this._saveInventory();
+  }
+
+  _emitState(client, state, previous, reason = null) {
+    const fields = { id: client.id, peer: getKey(client.rinfo), from: previous, to: state };
 
-    if (this.verbose) {
-      console.log('> connection:', client);
+    if (reason !== null) {
+      fields.reason = reason;
     }
+
+    this.logger.info('state', fields);
+
+    /**
+     * Diagnostics event, emitted on each state transition of a client, i.e.
+     * right before its `'connection'` and `'close'`.
+     *
+     * @event DiscoveryServer#state
+     * @param {Object} client - Client.
+     * @param {String} state - `'connected'` or `'disconnected'`.
+     * @param {String} previous - Previous state.
+     * @param {String|null} reason - Reason of the disconnection, see the
+     *  `'close'` event.
+     */
+    this.emit('state', client, state, previous, reason);
   }
 
-  _disconnectClient(key) {
-    const client = this.clients.get(key);
+  _updateClient(client, payload, revision) {
+    const changes = diffPayload(client.payload, payload);
 
-    this.clients.delete(key);
-    this.emit('close', client, this.clients);
+    client.payload = payload;
+    client.revision = revision;
+    this._inventory.update(client.id, payload);
 
-    if (this.verbose) {
-      console.log('> close:', client);
+    if (Object.keys(changes).length > 0) {
+      /**
+       * Emitted when a connected client changed its payload.
+       *
+       * @event DiscoveryServer#update
+       * @param {Object} client - Updated client.
+       * @param {Object} changes - New values of the changed payload entries,
+       *  removed entries are set to `undefined`.
+       * @param {Map} clients - Connected clients.
+       */
+      this.emit('update', client, changes, this.clients);
+      this.logger.debug('update', { id: client.id, changes: Object.keys(changes) });
     }
   }
 
+  _updateStats(client, { rtt = null, jitter = null, offset = null }) {
+    client.rtt = rtt;
+    client.jitter = jitter;
+    client.offset = offset;
+
+    /**
+     * Emitted when a client reports new latency and clock offset estimations
+     * (sent with its keepalives).
+     *
+     * @event DiscoveryServer#stats
+     * @param {Object} client - Client, with its updated `rtt`, `jitter` and
+     *  `offset` (server time - client time), in seconds.
+     * @param {Map} clients - Connected clients.
+     */
+    this.emit('stats', client, this.clients);
+  }
+
+  _recordKeepalive(client, messageId, interval) {
+    const link = this._links.get(client.id);
+    // clients increment the message id of each keepalive they send, even
+    // when retrying, so gaps are keepalives lost on the way
+    const gap = link.messageId !== null ? (messageId - link.messageId) >>> 0 : 1;
+
+    // ignore duplicated or reordered keepalives
+    if (gap === 0 || gap > 0x7fffffff) {
+      return;
+    }
+
+    link.messageId = messageId;
+    link.interval = interval;
+
+    let changed = false;
+
+    if (gap > 1) {
+      changed = link.quality.record(false, gap - 1);
+    }
+
+    changed = link.quality.record(true) || changed;
+
+    if (changed) {
+      this._emitQuality(client);
+    }
+  }
+
+  _emitQuality(client) {
+    /**
+     * Emitted when the quality of the connection with a client changes.
+     *
+     * @event DiscoveryServer#quality
+     * @param {Object} client - Client, with its updated `quality`
+     *  (`{ state, lossRate, misses }`, `state` being `'good'`, `'degraded'`
+     *  or `'lost'`).
+     * @param {Map} clients - Connected clients.
+     */
+    this.emit('quality', client, this.clients);
+    this.logger.info('quality', {
+      id: client.id,
+      quality: client.quality.state,
+      lossRate: client.quality.lossRate,
+    });
+  }
+
+  _changeAddress(client, rinfo) {
+    const previous = client.rinfo;
+    const addressKey = getKey(rinfo);
+
+    // another client was using this address, it is stale
+    if (this._addresses.has(addressKey)) {
+      this._disconnectClient(this._addresses.get(addressKey), 'duplicate-connect');
+    }
+
+    this._addresses.delete(getKey(previous));
+    this._addresses.set(addressKey, client.id);
+    client.rinfo = rinfo;
+    client.interface = this._getInterface(rinfo);
+
+    /**
+     * Emitted when a connected client is reached through a new address, e.g.
+     * after a new DHCP lease or a restart on another port.
+     *
+     * @event DiscoveryServer#address-change
+     * @param {Object} client - Client, with its new `rinfo`.
+     * @param {Object} previous - Previous address of the client.
+     * @param {Map} clients - Connected clients.
+     */
+    this.emit('address-change', client, previous, this.clients);
+    this.logger.info('address change', { id: client.id, from: getKey(previous), to: getKey(rinfo) });
+  }
+
+  _disconnectClient(id, reason) {
+    const client = this.clients.get(id);
+
+    this.clients.delete(id);
+    this._links.delete(id);
+    this._addresses.delete(getKey(client.rinfo));
+    this._rpc.cancel(id);
+    this._fragments.cancel(getKey(client.rinfo));
+    this._cancelDeliveries(id);
+    this._closeStream(id);
+    this._inventory.disconnect(id, reason);
+    client.online = false;
+    this._emitState(client, 'disconnected', 'connected', reason);
+
+    /**
+     * Emitted when a client is disconnected.
+     *
+     * @event DiscoveryServer#close
+     * @param {Object} client - Disconnected client.
+     * @param {Map} clients - Connected clients.
+     * @param {String} reason - One of `'timeout'` (no keepalive received
+     *  during `disconnectTimeout`), `'goodbye'` (the client was stopped),
+     *  `'duplicate-connect'` (the client connected again, e.g. after a
+     *  restart), `'error'`, `'server-stopped'`, `'stream-closed'` (see the
+     *  `'stream'` event) or the reason given to `disconnect`.
+     */
+    this.emit('close', client, this.clients, reason);
+    this._emitOffline(this._inventory.devices.get(id));
+    this._saveInventory();
+  }
+
+  _getOfflineClient({ id, payload, history }) {
+    return { id, payload, history, online: false };
+  }
+
+  _emitOffline(device) {
+    /**
+     * Emitted when a device known by the server is offline: after its
+     * disconnection, and on start for the devices remembered by the
+     * `inventory`.
+     *
+     * @event DiscoveryServer#offline
+     * @param {Object} client - Offline device, see `getClient`.
+     */
+    this.emit('offline', this._getOfflineClient(device));
+  }
+
+  _saveInventory() {
+    return this._inventory.save().catch(err => this.emit('error', err));
+  }
+
   _monitorClients() {
-    const now = getTime();
+    const now = this.clock.now();
+
+    this._updateInterfaces();
+
+    if (this._auth !== null) {
+      for (let [key, { time }] of this._challenges.entries()) {
+        if (now - time > 0.001 * this._auth.replayWindow) {
+          this._challenges.delete(key);
+        }
+      }
+    }
 
-    for (let [key, client] of this.clients.entries()) {
+    for (let [id, client] of this.clients.entries()) {
       const { lastSeen } = client;
+      const { quality, interval } = this._links.get(id);
 
       // times in seconds, timeout in milliseconds
       if (now - lastSeen > 0.001 * this.disconnectTimeout) {
-        this._disconnectClient(key);
+        this._disconnectClient(id, 'timeout');
+      } else if (
+        interval !== null &&
+        now - lastSeen > 0.001 * interval * (quality.lostMisses + 1) &&
+        quality.timeout()
+      ) {
+        // silent for longer than the keepalives it should have sent
+        this._emitQuality(client);
       }
     }
   }
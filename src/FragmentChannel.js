@@ -0,0 +1,289 @@
+import { systemClock } from './clock';
+import { encode, MAX_DATAGRAM_SIZE } from './protocol';
+import { silentLogger } from './logger';
+
+const HEADER_SIZE = 13 + 4; // protocol header + fragment header
+// incomplete datagrams per peer, bounds the memory used by peers sending
+// incomplete datagrams without starving the others
+const MAX_PENDING = 64;
+// indices per FRAGMENT_ACK, so that it fits in a single datagram
+const MAX_MISSING = 128;
+
+/**
+ * Split datagrams larger than `maxDatagramSize` into `FRAGMENT` messages and
+ * reassemble them on the other side. Used by DiscoveryServer and
+ * DiscoveryClient below encryption, so that any message (application
+ * message, payload of connection requests and keepalives) can exceed the
+ * MTU.
+ *
+ * Fragments of a datagram share the same message id, their binary payload
+ * starting with `index (uint16 BE) | count (uint16 BE)`. The receiver
+ * acknowledges complete datagrams with a `FRAGMENT_ACK` (`{ missing: [] }`),
+ * and asks for the `missing` fragments if the datagram is still incomplete
+ * after `timeout`, giving up after `retries`. Datagrams whose fragments are
+ * all lost are not sent again, protocol messages being retried anyway.
+ *
+ * @private
+ */
+class FragmentChannel {
+  constructor({
+    send, // (buffer, peer, callback) => void
+    maxDatagramSize = 1400, // bytes
+    timeout = 200, // ms
+    retries = 3,
+    clock = systemClock,
+    logger = silentLogger,
+  }) {
+    if (maxDatagramSize <= HEADER_SIZE) {
+      throw new Error(`Invalid maxDatagramSize ${maxDatagramSize}`);
+    }
+
+    this.send = send;
+    this.maxDatagramSize = maxDatagramSize;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.clock = clock;
+    this.logger = logger;
+
+    this.fragmentId = -1; // ID of _last_ fragmented datagram
+
+    this._sent = new Map(); // peerKey:fragmentId -> { fragments, peer, timeoutId }
+    this._received = new Map(); // peerKey:fragmentId -> reassembly
+  }
+
+  /**
+   * Send a datagram, fragmented if needed.
+   *
+   * @throws {Error} - `EMSGSIZE` if the datagram is too large to be
+   *  reassembled.
+   */
+  sendDatagram(buffer, peer, peerKey, callback = undefined) {
+    if (buffer.length <= this.maxDatagramSize) {
+      this.send(buffer, peer, callback);
+      return;
+    }
+
+    if (buffer.length > MAX_DATAGRAM_SIZE) {
+      const err = new Error(`Message too large (${buffer.length} bytes)`);
+      err.code = 'EMSGSIZE';
+      throw err;
+    }
+
+    this.fragmentId = (this.fragmentId + 1) % 0x100000000;
+
+    const fragmentId = this.fragmentId;
+    const chunkSize = this.maxDatagramSize - HEADER_SIZE;
+    const count = Math.ceil(buffer.length / chunkSize);
+    const fragments = [];
+
+    for (let index = 0; index < count; index++) {
+      const header = Buffer.alloc(4);
+      header.writeUInt16BE(index, 0);
+      header.writeUInt16BE(count, 2);
+
+      const chunk = buffer.slice(index * chunkSize, (index + 1) * chunkSize);
+      fragments.push(encode('FRAGMENT', fragmentId, Buffer.concat([header, chunk])));
+    }
+
+    // kept for retransmissions until acknowledged
+    const key = peerKey + ':' + fragmentId;
+    const sent = { fragments, peer, timeoutId: null };
+
+    sent.timeoutId = this.clock.setTimeout(() => {
+      this._sent.delete(key);
+    }, this.timeout * (this.retries + 2));
+
+    this._sent.set(key, sent);
+
+    // callback once every fragment is sent
+    let remaining = count;
+    const onSent = () => {
+      remaining -= 1;
+
+      if (remaining === 0 && callback) {
+        callback();
+      }
+    };
+
+    fragments.forEach(fragment => this.send(fragment, peer, onSent));
+  }
+
+  /**
+   * Handle a `FRAGMENT` message.
+   *
+   * @return {Buffer|null} - The reassembled datagram once complete.
+   */
+  receiveFragment(msg, peer, peerKey) {
+    const payload = msg.payload;
+
+    if (!Buffer.isBuffer(payload) || payload.length < 4) {
+      this.logger.debug('ignore malformed fragment', { messageId: msg.messageId, peer: peerKey });
+
+      return null;
+    }
+
+    const index = payload.readUInt16BE(0);
+    const count = payload.readUInt16BE(2);
+    const key = peerKey + ':' + msg.messageId;
+    let reassembly = this._received.get(key);
+
+    if (reassembly === undefined) {
+      if (count < 2 || this._countPending(peerKey) >= MAX_PENDING) {
+        this.logger.debug('ignore fragment', { messageId: msg.messageId, peer: peerKey, count });
+
+        return null;
+      }
+
+      reassembly = {
+        messageId: msg.messageId,
+        peer,
+        count,
+        fragments: new Array(count),
+        received: 0,
+        size: 0,
+        retries: this.retries,
+        complete: false,
+        timeoutId: null,
+      };
+
+      this._received.set(key, reassembly);
+      this._waitFragments(key, reassembly);
+    }
+
+    if (reassembly.complete) {
+      // our acknowledgement was lost
+      this._sendAck(reassembly, []);
+      return null;
+    }
+
+    if (count !== reassembly.count || index >= count || reassembly.fragments[index] !== undefined) {
+      return null;
+    }
+
+    const chunk = payload.slice(4);
+
+    reassembly.fragments[index] = chunk;
+    reassembly.received += 1;
+    reassembly.size += chunk.length;
+
+    if (reassembly.size > MAX_DATAGRAM_SIZE) {
+      this._forget(key);
+      return null;
+    }
+
+    if (reassembly.received < count) {
+      return null;
+    }
+
+    const buffer = Buffer.concat(reassembly.fragments);
+
+    // remember the datagram for a while, to acknowledge retransmissions
+    this.clock.clearTimeout(reassembly.timeoutId);
+    reassembly.complete = true;
+    reassembly.fragments = null;
+    reassembly.timeoutId = this.clock.setTimeout(() => {
+      this._received.delete(key);
+    }, this.timeout * (this.retries + 2));
+
+    this._sendAck(reassembly, []);
+
+    return buffer;
+  }
+
+  /**
+   * Handle a `FRAGMENT_ACK` message.
+   */
+  receiveAck(msg, peerKey) {
+    const key = peerKey + ':' + msg.messageId;
+    const sent = this._sent.get(key);
+
+    if (sent === undefined) {
+      return;
+    }
+
+    const { missing = [] } = msg.payload || {};
+
+    if (!Array.isArray(missing)) {
+      this.logger.debug('ignore malformed fragment ack', { messageId: msg.messageId, peer: peerKey });
+
+      return;
+    }
+
+    if (missing.length === 0) {
+      this.clock.clearTimeout(sent.timeoutId);
+      this._sent.delete(key);
+      return;
+    }
+
+    this.logger.debug('resend fragments', { messageId: msg.messageId, peer: peerKey, missing });
+
+    for (let index of missing) {
+      if (Number.isInteger(index) && sent.fragments[index] !== undefined) {
+        this.send(sent.fragments[index], sent.peer);
+      }
+    }
+  }
+
+  /**
+   * Forget the datagrams sent to or received from a peer (or any peer if
+   * `peerKey` is null).
+   */
+  cancel(peerKey = null) {
+    for (let map of [this._sent, this._received]) {
+      for (let [key, entry] of map.entries()) {
+        if (peerKey === null || key.indexOf(peerKey + ':') === 0) {
+          this.clock.clearTimeout(entry.timeoutId);
+          map.delete(key);
+        }
+      }
+    }
+  }
+
+  _countPending(peerKey) {
+    let count = 0;
+
+    for (let [key, reassembly] of this._received.entries()) {
+      if (!reassembly.complete && key.indexOf(peerKey + ':') === 0) {
+        count += 1;
+      }
+    }
+
+    return count;
+  }
+
+  _waitFragments(key, reassembly) {
+    reassembly.timeoutId = this.clock.setTimeout(() => {
+      if (reassembly.retries === 0) {
+        const { messageId, peer } = reassembly;
+
+        this.logger.debug('drop incomplete datagram', { messageId, peer: peer.address + ':' + peer.port });
+
+        this._received.delete(key);
+        return;
+      }
+
+      const missing = [];
+
+      for (let index = 0; index < reassembly.count && missing.length < MAX_MISSING; index++) {
+        if (reassembly.fragments[index] === undefined) {
+          missing.push(index);
+        }
+      }
+
+      reassembly.retries -= 1;
+      this._sendAck(reassembly, missing);
+      this._waitFragments(key, reassembly);
+    }, this.timeout);
+  }
+
+  _sendAck(reassembly, missing) {
+    this.send(encode('FRAGMENT_ACK', reassembly.messageId, { missing }), reassembly.peer);
+  }
+
+  _forget(key) {
+    this.clock.clearTimeout(this._received.get(key).timeoutId);
+    this._received.delete(key);
+  }
+}
+
+export default FragmentChannel;
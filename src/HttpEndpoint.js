@@ -0,0 +1,287 @@
+import http from 'http';
+import { silentLogger } from './logger';
+import { MAX_MESSAGE_SIZE } from './protocol';
+
+// events forwarded to the `/events` stream
+const EVENTS = ['connection', 'close', 'update'];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Prometheus text format
+function formatMetric(name, type, help, values) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+  if (typeof values === 'number') {
+    lines.push(`${name} ${values}`);
+  } else {
+    const label = Object.keys(values)[0];
+
+    for (let value of Object.keys(values[label])) {
+      lines.push(`${name}{${label}="${escapeLabel(value)}"} ${values[label][value]}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * HTTP endpoint exposing the clients of a DiscoveryServer (see its
+ * `httpPort` option) to tools that don't speak the discovery protocol:
+ * - `GET /clients`: connected clients, `?offline=true` to include the known
+ *   devices that are not connected
+ * - `GET /clients/:id`: a client, connected or not
+ * - `POST /clients/:id/message`: send the request body to a connected client
+ *   (see `server.sendToClient`), answers with the delivery report (status
+ *   `504` if the client didn't acknowledge the message, `413` if the body is
+ *   larger than `MAX_MESSAGE_SIZE`)
+ * - `GET /events`: server-sent events stream of the `connection`, `close`
+ *   and `update` events, whose data is `{ client, reason, changes }`
+ * - `GET /metrics`: metrics in Prometheus text format, see `server.metrics`
+ *
+ * Clients are serialized as JSON objects, with their `lastSeen` time as a
+ * date (ms since epoch). The endpoint has no authentication, it is only
+ * bound to the loopback interface by default.
+ *
+ * @example
+ * curl http://localhost:8080/clients/device-1
+ * curl -X POST --data 'lights-off' http://localhost:8080/clients/device-1/message
+ *
+ * @private
+ */
+class HttpEndpoint {
+  constructor({
+    server, // DiscoveryServer
+    port,
+    host = '127.0.0.1',
+    logger = silentLogger,
+  }) {
+    this.server = server;
+    this.port = port;
+    this.host = host;
+    this.logger = logger;
+
+    this._httpServer = null;
+    this._responses = new Set(); // open event streams
+    this._listeners = {}; // event -> listener on the discovery server
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      const httpServer = http.createServer((req, res) => this._handleRequest(req, res));
+
+      httpServer.once('error', reject);
+      httpServer.listen(this.port, this.host, () => {
+        httpServer.removeListener('error', reject);
+        httpServer.on('error', err => this.server.emit('error', err));
+        this._httpServer = httpServer;
+
+        EVENTS.forEach(event => {
+          this._listeners[event] = (client, ...args) => this._sendEvent(event, client, args);
+          this.server.on(event, this._listeners[event]);
+        });
+
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * @return {Promise} - Resolves once the HTTP server is closed.
+   */
+  stop() {
+    if (this._httpServer === null) {
+      return Promise.resolve();
+    }
+
+    const httpServer = this._httpServer;
+    this._httpServer = null;
+
+    EVENTS.forEach(event => this.server.removeListener(event, this._listeners[event]));
+    this._responses.forEach(res => res.end());
+    this._responses.clear();
+
+    return new Promise(resolve => httpServer.close(() => resolve()));
+  }
+
+  _handleRequest(req, res) {
+    let url;
+    let path;
+    let allowed;
+
+    try {
+      url = new URL(req.url, 'http://localhost');
+      path = url.pathname.split('/').filter(part => part !== '').map(decodeURIComponent);
+    } catch (err) {
+      // e.g. `//[`, parsed as a host
+      this._sendJson(res, 400, { error: 'Invalid path' });
+      return;
+    }
+
+    if (path[0] === 'clients' && (path.length === 1 || path.length === 2)) {
+      allowed = 'GET';
+    } else if (path.length === 3 && path[0] === 'clients' && path[2] === 'message') {
+      allowed = 'POST';
+    } else if (path.length === 1 && (path[0] === 'events' || path[0] === 'metrics')) {
+      allowed = 'GET';
+    } else {
+      this._sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    if (req.method !== allowed) {
+      res.setHeader('Allow', allowed);
+      this._sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    this.logger.debug('http request', { method: req.method, url: req.url });
+
+    switch (path[0]) {
+      case 'clients': {
+        if (path.length === 1) {
+          const offline = url.searchParams.get('offline') === 'true';
+          const clients = this.server.getClients(null, { offline });
+
+          this._sendJson(res, 200, clients.map(client => this._serializeClient(client)));
+        } else if (path.length === 2) {
+          const client = this.server.getClient(path[1]);
+
+          if (client === null) {
+            this._sendJson(res, 404, { error: 'Unknown client' });
+          } else {
+            this._sendJson(res, 200, this._serializeClient(client));
+          }
+        } else {
+          this._postMessage(req, res, path[1]);
+        }
+        break;
+      }
+      case 'events': {
+        this._openEvents(req, res);
+        break;
+      }
+      case 'metrics': {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+        res.end(this._formatMetrics());
+        break;
+      }
+    }
+  }
+
+  _sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  _serializeClient(client) {
+    const { id, online, payload, history } = client;
+    const entry = { id, online, payload, history };
+
+    // offline devices only have a payload and an history
+    if (online) {
+      const { clock } = this.server;
+
+      Object.assign(entry, {
+        rinfo: client.rinfo,
+        interface: client.interface,
+        lastSeen: Math.round(Date.now() - 1000 * (clock.now() - client.lastSeen)),
+        legacy: client.legacy,
+        encrypted: !!client.session,
+        rtt: client.rtt,
+        jitter: client.jitter,
+        offset: client.offset,
+        quality: client.quality,
+      });
+    }
+
+    return entry;
+  }
+
+  _postMessage(req, res, id) {
+    const chunks = [];
+    let size = 0;
+
+    // the rest of a body too large is read and dropped, so that the client
+    // gets the answer rather than a reset connection
+    req.on('data', chunk => {
+      size += chunk.length;
+
+      if (size <= MAX_MESSAGE_SIZE) {
+        chunks.push(chunk);
+      }
+    });
+
+    req.on('end', () => {
+      if (size > MAX_MESSAGE_SIZE) {
+        this._sendJson(res, 413, { error: 'Message too large' });
+        return;
+      }
+
+      if (!this.server.clients.has(id)) {
+        this._sendJson(res, 404, { error: 'Client not connected' });
+        return;
+      }
+
+      this.server.sendToClient(id, Buffer.concat(chunks))
+        .then(report => {
+          this._sendJson(res, report.delivered.length > 0 ? 200 : 504, report);
+        })
+        .catch(err => {
+          this.logger.warn('cannot send message', { id, error: err.message });
+          this._sendJson(res, err.code === 'EMSGSIZE' ? 413 : 500, { error: err.message });
+        });
+    });
+  }
+
+  _openEvents(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+    // send the headers right away
+    res.write(': connected\n\n');
+
+    this._responses.add(res);
+    res.on('close', () => this._responses.delete(res));
+  }
+
+  _sendEvent(event, client, args) {
+    if (this._responses.size === 0) {
+      return;
+    }
+
+    const data = { client: this._serializeClient(client) };
+
+    // `close` is emitted with `(client, clients, reason)`, `update` with
+    // `(client, changes, clients)`
+    if (event === 'close') {
+      data.reason = args[1];
+    } else if (event === 'update') {
+      data.changes = args[0];
+    }
+
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+    this._responses.forEach(res => res.write(message));
+  }
+
+  _formatMetrics() {
+    const { handshakes, errors, dropped } = this.server.metrics;
+
+    return [
+      formatMetric('discovery_clients_connected', 'gauge',
+        'Number of connected clients.', this.server.clients.size),
+      formatMetric('discovery_handshakes_total', 'counter',
+        'Discovery and connection requests received.', { type: handshakes }),
+      formatMetric('discovery_errors_total', 'counter',
+        'Errors sent to clients.', { code: errors }),
+      formatMetric('discovery_dropped_packets_total', 'counter',
+        'Messages dropped, see the rejected and protocol-error events.', { reason: dropped }),
+    ].join('');
+  }
+}
+
+export default HttpEndpoint;
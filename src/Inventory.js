@@ -0,0 +1,133 @@
+function createHistory(now) {
+  return {
+    firstSeen: now,
+    lastConnection: null,
+    lastDisconnection: null,
+    connections: 0,
+    disconnectReason: null,
+  };
+}
+
+/**
+ * Devices known by a DiscoveryServer, connected or not, with their
+ * connection history. Devices are remembered across restarts if a `store`
+ * is given (see JsonFileStore).
+ *
+ * At most `maxDevices` devices are kept, the offline devices disconnected
+ * for the longest time being forgotten first (connected devices are always
+ * kept).
+ *
+ * History timestamps are dates (ms since epoch), so that they remain
+ * meaningful once saved.
+ *
+ * @private
+ */
+class Inventory {
+  constructor({
+    store = null, // `{ load, save }`
+    maxDevices = 1000,
+  } = {}) {
+    this.store = store;
+    this.maxDevices = maxDevices;
+    this.devices = new Map(); // id -> { id, payload, history }
+    this._online = new Set(); // ids of the connected devices
+    this._saving = Promise.resolve();
+  }
+
+  /**
+   * @return {Promise} - Resolves once the saved devices are loaded.
+   */
+  load() {
+    if (this.store === null) {
+      return Promise.resolve();
+    }
+
+    return this.store.load().then(records => {
+      for (let { id, payload = {}, history = {} } of records) {
+        this.devices.set(id, {
+          id,
+          payload,
+          history: Object.assign(createHistory(null), history),
+        });
+      }
+
+      this._evict();
+    });
+  }
+
+  /**
+   * Record a new connection of a device.
+   *
+   * @return {Object} - The device.
+   */
+  connect(id, payload) {
+    const now = Date.now();
+    let device = this.devices.get(id);
+
+    if (device === undefined) {
+      device = { id, payload, history: createHistory(now) };
+      this.devices.set(id, device);
+    }
+
+    device.payload = payload;
+    device.history.lastConnection = now;
+    device.history.connections += 1;
+    this._online.add(id);
+    this._evict();
+
+    return device;
+  }
+
+  update(id, payload) {
+    this.devices.get(id).payload = payload;
+  }
+
+  disconnect(id, reason) {
+    const { history } = this.devices.get(id);
+
+    history.lastDisconnection = Date.now();
+    history.disconnectReason = reason;
+    this._online.delete(id);
+  }
+
+  _evict() {
+    if (this.devices.size <= this.maxDevices) {
+      return;
+    }
+
+    // Map iteration follows insertion order, so loaded devices without
+    // disconnection date are forgotten in the order they were saved
+    const offline = Array.from(this.devices.values())
+      .filter(device => !this._online.has(device.id))
+      .sort((a, b) => (a.history.lastDisconnection || 0) - (b.history.lastDisconnection || 0));
+
+    const count = Math.min(offline.length, this.devices.size - this.maxDevices);
+
+    for (let i = 0; i < count; i++) {
+      this.devices.delete(offline[i].id);
+    }
+  }
+
+  /**
+   * @return {Promise} - Resolves once the devices are saved, saves being
+   *  done one after the other.
+   */
+  save() {
+    if (this.store === null) {
+      return Promise.resolve();
+    }
+
+    // copy, the devices may change while saving
+    const records = Array.from(this.devices.values()).map(({ id, payload, history }) => {
+      return { id, payload, history: Object.assign({}, history) };
+    });
+
+    const saved = this._saving.then(() => this.store.save(records));
+    // a failed save doesn't prevent the next ones
+    this._saving = saved.catch(() => {});
+
+    return saved;
+  }
+}
+
+export default Inventory;
@@ -0,0 +1,77 @@
+import fs from 'fs';
+
+/**
+ * Store of the `inventory` of a DiscoveryServer, keeping the known devices
+ * in a JSON file.
+ *
+ * Other stores (e.g. a database) can be given to the server, they must
+ * implement the same interface:
+ * - `load()`: returns a Promise resolving with the saved records
+ * - `save(records)`: returns a Promise resolving once the records are saved
+ *
+ * Records are `{ id, payload, history }` objects, which must be JSON
+ * serializable.
+ *
+ * @example
+ * import { DiscoveryServer, JsonFileStore } from '@ircam/node-discovery';
+ *
+ * const server = new DiscoveryServer({
+ *   inventory: new JsonFileStore({ file: 'devices.json' }),
+ * });
+ */
+class JsonFileStore {
+  constructor({
+    file, // path of the file, created on first save
+  }) {
+    this.file = file;
+  }
+
+  /**
+   * @return {Promise} - Resolves with the saved records, an empty array if
+   *  the file doesn't exist yet.
+   */
+  load() {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.file, 'utf8', (err, data) => {
+        if (err) {
+          if (err.code === 'ENOENT') {
+            resolve([]);
+          } else {
+            reject(err);
+          }
+
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(data));
+        } catch (err) {
+          reject(new Error(`Invalid inventory file "${this.file}": ${err.message}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {Array<Object>} records
+   * @return {Promise} - Resolves once the file is written.
+   */
+  save(records) {
+    // write a temporary file first, so that a crash never leaves a
+    // truncated inventory
+    const tmp = this.file + '.tmp';
+
+    return new Promise((resolve, reject) => {
+      fs.writeFile(tmp, JSON.stringify(records, null, 2), err => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        fs.rename(tmp, this.file, err => err ? reject(err) : resolve());
+      });
+    });
+  }
+}
+
+export default JsonFileStore;
@@ -0,0 +1,87 @@
+/**
+ * Quality of a connection, from the keepalives received or missed.
+ *
+ * The state is:
+ * - `'good'`: no keepalive missed recently
+ * - `'degraded'`: last keepalive missed, or loss rate above `degradedLossRate`
+ *  over the last `window` keepalives
+ * - `'lost'`: at least `lostMisses` consecutive keepalives missed
+ *
+ * @private
+ */
+class LinkQuality {
+  constructor({
+    window = 20, // number of keepalives used to compute the loss rate
+    degradedLossRate = 0.1,
+    lostMisses = 3,
+  } = {}) {
+    this.window = window;
+    this.degradedLossRate = degradedLossRate;
+    this.lostMisses = lostMisses;
+
+    this.reset();
+  }
+
+  reset() {
+    this._history = []; // true if received
+    this.stats = {
+      state: 'good',
+      lossRate: 0,
+      misses: 0, // consecutive missed keepalives
+    };
+  }
+
+  /**
+   * Record received or missed keepalives.
+   *
+   * @param {Boolean} received
+   * @param {Number} [count=1]
+   * @return {Boolean} - True if the state changed.
+   */
+  record(received, count = 1) {
+    const stats = this.stats;
+    const history = this._history;
+
+    for (let i = 0; i < Math.min(count, this.window); i++) {
+      history.push(received);
+    }
+
+    history.splice(0, history.length - this.window);
+
+    stats.misses = received ? 0 : stats.misses + count;
+    stats.lossRate = history.filter(received => !received).length / history.length;
+
+    return this._setState(this._computeState());
+  }
+
+  /**
+   * Consider the connection as lost without recording misses, e.g. when the
+   * peer has been silent for too long.
+   *
+   * @return {Boolean} - True if the state changed.
+   */
+  timeout() {
+    return this._setState('lost');
+  }
+
+  _computeState() {
+    const { misses, lossRate } = this.stats;
+
+    if (misses >= this.lostMisses) {
+      return 'lost';
+    } else if (misses > 0 || lossRate > this.degradedLossRate) {
+      return 'degraded';
+    } else {
+      return 'good';
+    }
+  }
+
+  _setState(state) {
+    const changed = state !== this.stats.state;
+    this.stats.state = state;
+
+    return changed;
+  }
+}
+
+export default LinkQuality;
@@ -0,0 +1,154 @@
+import dgram from 'dgram';
+import { EventEmitter } from 'events';
+import { MDNS_PORT } from './config';
+import { encodePacket, decodePacket, CLASS_IN, CLASS_FLAG } from './dns';
+import { silentLogger } from './logger';
+
+/**
+ * Browse a DNS-SD service over mDNS.
+ *
+ * Queries are sent from an ephemeral port, so that responders answer in
+ * unicast and the mDNS port remains available to the system responder.
+ * Errors of the socket once bound, and of the queries, are emitted as
+ * `'error'`.
+ *
+ * @private
+ */
+class MdnsBrowser extends EventEmitter {
+  constructor({
+    service, // e.g. '_node-discovery._udp.local'
+    address, // mDNS group (or unicast address for testing)
+    mdnsPort = MDNS_PORT,
+    logger = silentLogger,
+  }) {
+    super();
+
+    this.service = service;
+    this.address = address;
+    this.mdnsPort = mdnsPort;
+    this.logger = logger;
+
+    this.socket = null;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+
+      const onError = err => {
+        socket.close();
+        this.socket = null;
+        reject(err);
+      };
+
+      this.socket = socket;
+      socket.on('message', (buffer, rinfo) => this._receiveResponse(buffer, rinfo));
+      socket.once('error', onError);
+
+      socket.bind(0, () => {
+        socket.removeListener('error', onError);
+        socket.on('error', err => this.emit('error', err));
+        socket.setMulticastTTL(255);
+        socket.setMulticastLoopback(true);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (this.socket === null) {
+        resolve();
+        return;
+      }
+
+      const socket = this.socket;
+      this.socket = null;
+      socket.close(resolve);
+    });
+  }
+
+  /**
+   * Ask the responders for the instances of the service, `'service'` is
+   * emitted for each instance found.
+   */
+  query() {
+    if (this.socket === null) {
+      return;
+    }
+
+    const buffer = encodePacket({
+      questions: [{ name: this.service, type: 'PTR', class: CLASS_IN | CLASS_FLAG }],
+    });
+
+    this.socket.send(buffer, 0, buffer.length, this.mdnsPort, this.address, err => {
+      // e.g. ENETUNREACH, the interface went down
+      if (err) {
+        this.emit('error', err);
+      }
+    });
+  }
+
+  _receiveResponse(buffer, rinfo) {
+    let response;
+
+    try {
+      response = decodePacket(buffer);
+    } catch (err) {
+      this.logger.debug('ignore malformed mdns response', {
+        peer: rinfo.address + ':' + rinfo.port,
+        error: err.message,
+      });
+
+      return;
+    }
+
+    if (!(response.flags & 0x8000)) {
+      return;
+    }
+
+    const records = response.answers.concat(response.additionals);
+    const service = this.service.toLowerCase();
+    const find = (name, type) => {
+      return records.filter(record => record.name.toLowerCase() === name.toLowerCase() && record.type === type);
+    };
+
+    for (let ptr of records) {
+      if (ptr.type !== 'PTR' || ptr.name.toLowerCase() !== service || ptr.ttl === 0) {
+        continue;
+      }
+
+      const instance = ptr.data;
+      const srv = find(instance, 'SRV')[0];
+      const txt = find(instance, 'TXT')[0];
+
+      if (srv === undefined) {
+        this.logger.debug('ignore mdns service without SRV record', { instance });
+
+        continue;
+      }
+
+      const { port, target } = srv.data;
+      let addresses = find(target, 'A').map(record => record.data);
+
+      // the responder is the host of the service
+      if (addresses.length === 0) {
+        addresses = [rinfo.address];
+      }
+
+      /**
+       * @event MdnsBrowser#service
+       * @param {Object} service - `{ name, host, port, addresses, txt }`
+       */
+      this.emit('service', {
+        name: instance.slice(0, instance.length - this.service.length - 1),
+        host: target,
+        port,
+        addresses,
+        txt: txt !== undefined ? txt.data : {},
+      });
+    }
+  }
+}
+
+export default MdnsBrowser;
@@ -0,0 +1,256 @@
+import dgram from 'dgram';
+import { EventEmitter } from 'events';
+import { MDNS_PORT } from './config';
+import { systemClock } from './clock';
+import { getInterfaces, findInterface } from './utils';
+import { encodePacket, decodePacket, CLASS_IN, CLASS_FLAG, FLAG_RESPONSE } from './dns';
+import { silentLogger } from './logger';
+
+const SERVICES = '_services._dns-sd._udp.local';
+const TTL = 120; // sec
+const HOST_TTL = 120; // sec
+const LEGACY_TTL = 10; // sec, max TTL of answers to legacy unicast queries
+
+function isMulticast(address) {
+  const firstByte = parseInt(address.split('.')[0]);
+  return firstByte >= 224 && firstByte <= 239;
+}
+
+/**
+ * Announce a DNS-SD service over mDNS and answer the queries about it, so
+ * that a DiscoveryServer can be browsed by Bonjour / Avahi tools and by
+ * clients in `'mdns'` discovery mode.
+ *
+ * Queries sent from a port other than the mDNS port are answered in
+ * unicast (RFC 6762, section 6.7), which allows to browse (and test) without
+ * binding the mDNS port. Name conflicts are not probed.
+ *
+ * Errors of the socket once bound, and of the sends, are emitted as
+ * `'error'`.
+ *
+ * @private
+ */
+class MdnsResponder extends EventEmitter {
+  constructor({
+    service, // e.g. '_node-discovery._udp.local'
+    instance, // instance name, e.g. 'Living Room'
+    port, // port of the service
+    txt = {},
+    address, // mDNS group (or unicast address for testing)
+    mdnsPort = MDNS_PORT,
+    hostname,
+    clock = systemClock,
+    logger = silentLogger,
+  }) {
+    super();
+
+    this.service = service;
+    this.instance = instance.replace(/\./g, '-') + '.' + service;
+    this.port = port;
+    this.txt = txt;
+    this.address = address;
+    this.mdnsPort = mdnsPort;
+    this.host = hostname.replace(/\./g, '-') + '.local';
+    this.clock = clock;
+    this.logger = logger;
+
+    this.socket = null;
+    this._announceTimeoutId = null;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+      const onError = err => {
+        socket.close();
+        this.socket = null;
+        reject(err);
+      };
+
+      this.socket = socket;
+      socket.on('message', (buffer, rinfo) => this._receiveQuery(buffer, rinfo));
+      socket.once('error', onError);
+
+      socket.bind(this.mdnsPort, () => {
+        socket.removeListener('error', onError);
+        socket.on('error', err => this.emit('error', err));
+
+        if (isMulticast(this.address)) {
+          socket.setMulticastTTL(255);
+          socket.setMulticastLoopback(true);
+
+          try {
+            socket.addMembership(this.address);
+          } catch (err) {
+            onError(err);
+            return;
+          }
+        }
+
+        resolve();
+
+        // announce twice, one second apart (RFC 6762, section 8.3)
+        this._announce(TTL);
+        this._announceTimeoutId = this.clock.setTimeout(() => this._announce(TTL), 1000);
+      });
+    });
+  }
+
+  /**
+   * Send goodbye announcements and close the socket.
+   */
+  stop() {
+    return new Promise(resolve => {
+      this.clock.clearTimeout(this._announceTimeoutId);
+
+      if (this.socket === null) {
+        resolve();
+        return;
+      }
+
+      const socket = this.socket;
+      this.socket = null;
+      // queries may still be received until the socket is closed
+      socket.removeAllListeners('message');
+
+      this._announce(0, socket, () => socket.close(resolve));
+    });
+  }
+
+  _getAddresses(rinfo = null) {
+    // answer with the address of the interface the query came from
+    if (rinfo !== null) {
+      const info = findInterface(rinfo.address, getInterfaces({ internal: true }));
+
+      if (info !== null) {
+        return [info.address];
+      }
+    }
+
+    return getInterfaces().map(info => info.address);
+  }
+
+  _getRecords(ttl, rinfo = null) {
+    const ptr = { name: this.service, type: 'PTR', ttl, data: this.instance };
+    const srv = {
+      name: this.instance,
+      type: 'SRV',
+      class: CLASS_IN | CLASS_FLAG,
+      ttl,
+      data: { priority: 0, weight: 0, port: this.port, target: this.host },
+    };
+    const txt = { name: this.instance, type: 'TXT', class: CLASS_IN | CLASS_FLAG, ttl, data: this.txt };
+    const addresses = this._getAddresses(rinfo).map(address => {
+      return { name: this.host, type: 'A', class: CLASS_IN | CLASS_FLAG, ttl: Math.min(ttl, HOST_TTL), data: address };
+    });
+    const services = { name: SERVICES, type: 'PTR', ttl, data: this.service };
+
+    return { ptr, srv, txt, addresses, services };
+  }
+
+  _announce(ttl, socket = this.socket, callback = undefined) {
+    if (socket === null) {
+      return;
+    }
+
+    const { ptr, srv, txt, addresses } = this._getRecords(ttl);
+    const buffer = encodePacket({
+      flags: FLAG_RESPONSE,
+      answers: [ptr, srv, txt].concat(addresses),
+    });
+
+    this._send(socket, buffer, this.mdnsPort, this.address, callback);
+  }
+
+  _send(socket, buffer, port, address, callback = undefined) {
+    socket.send(buffer, 0, buffer.length, port, address, err => {
+      // e.g. ENETUNREACH, the interface went down
+      if (err) {
+        this.emit('error', err);
+      }
+
+      if (callback) {
+        callback();
+      }
+    });
+  }
+
+  _receiveQuery(buffer, rinfo) {
+    let query;
+
+    try {
+      query = decodePacket(buffer);
+    } catch (err) {
+      this.logger.debug('ignore malformed mdns query', {
+        peer: rinfo.address + ':' + rinfo.port,
+        error: err.message,
+      });
+
+      return;
+    }
+
+    // ignore responses, including our own announcements
+    if (query.flags & 0x8000) {
+      return;
+    }
+
+    const legacy = rinfo.port !== this.mdnsPort;
+    const records = this._getRecords(legacy ? LEGACY_TTL : TTL, rinfo);
+    const answers = [];
+    const additionals = [];
+    let unicast = legacy;
+
+    for (let question of query.questions) {
+      const name = question.name.toLowerCase();
+      const type = question.type;
+      const any = type === 'ANY';
+
+      if (question.class & CLASS_FLAG) {
+        unicast = true;
+      }
+
+      if (name === SERVICES.toLowerCase() && (type === 'PTR' || any)) {
+        answers.push(records.services);
+      } else if (name === this.service.toLowerCase() && (type === 'PTR' || any)) {
+        answers.push(records.ptr);
+        additionals.push(records.srv, records.txt);
+        additionals.push.apply(additionals, records.addresses);
+      } else if (name === this.instance.toLowerCase()) {
+        if (type === 'SRV' || any) {
+          answers.push(records.srv);
+          additionals.push.apply(additionals, records.addresses);
+        }
+
+        if (type === 'TXT' || any) {
+          answers.push(records.txt);
+        }
+      } else if (name === this.host.toLowerCase() && (type === 'A' || any)) {
+        answers.push.apply(answers, records.addresses);
+      }
+    }
+
+    if (answers.length === 0) {
+      return;
+    }
+
+    const response = encodePacket({
+      // legacy unicast responses repeat the query id and questions
+      id: legacy ? query.id : 0,
+      flags: FLAG_RESPONSE,
+      questions: legacy ? query.questions : [],
+      answers,
+      additionals,
+    });
+
+    if (unicast) {
+      this._send(this.socket, response, rinfo.port, rinfo.address);
+    } else {
+      this._send(this.socket, response, this.mdnsPort, this.address);
+    }
+
+    this.logger.debug('answer mdns query', { peer: rinfo.address + ':' + rinfo.port, unicast });
+  }
+}
+
+export default MdnsResponder;
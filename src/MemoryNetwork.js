@@ -0,0 +1,193 @@
+import { EventEmitter } from 'events';
+import { systemClock } from './clock';
+
+function createError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+
+  return err;
+}
+
+/**
+ * Transport connected to a MemoryNetwork, created with
+ * `network.createTransport()`.
+ *
+ * Implements the transport interface of UdpTransport, so it can be given to
+ * the `transport` option of DiscoveryClient or to the `transports` option
+ * of DiscoveryServer.
+ */
+export class MemoryTransport extends EventEmitter {
+  constructor(network, address) {
+    super();
+
+    this.network = network;
+    this.address = address;
+    this.family = address.indexOf(':') !== -1 ? 'IPv6' : 'IPv4';
+    this.port = null;
+  }
+
+  bind(port) {
+    return this.network._bind(this, port);
+  }
+
+  send(buffer, port, address, callback) {
+    this.network._send(this, buffer, port, [address], callback);
+  }
+
+  broadcast(buffer, port, callback) {
+    this.network._send(this, buffer, port, null, callback);
+  }
+
+  close() {
+    this.network._unbind(this);
+    return Promise.resolve();
+  }
+}
+
+/**
+ * In-memory network, to test servers and clients in a single process without
+ * sockets, simulating the defects of a real network. Datagrams are delivered
+ * with the timers of `clock`, so a VirtualClock makes the tests
+ * deterministic.
+ *
+ * Options can be changed at any time, e.g. `network.loss = 0.5`.
+ *
+ * @example
+ * import { MemoryNetwork, VirtualClock } from '@ircam/node-discovery';
+ *
+ * const clock = new VirtualClock();
+ * const network = new MemoryNetwork({ clock, delay: 5, loss: 0.1 });
+ *
+ * const server = new DiscoveryServer({ clock, transports: [network.createTransport()] });
+ * const client = new DiscoveryClient({ clock, transport: network.createTransport() });
+ *
+ * // cut the client from the server
+ * network.partition([client.transport.address], [server.transports[0].address]);
+ * // and restore the connection
+ * network.heal();
+ */
+export class MemoryNetwork {
+  constructor({
+    loss = 0, // probability of a datagram being lost
+    delay = 0, // ms
+    jitter = 0, // ms, random additional delay, may reorder datagrams
+    duplicate = 0, // probability of a datagram being delivered twice
+    clock = systemClock,
+    random = Math.random, // replace to get reproducible defects
+  } = {}) {
+    this.loss = loss;
+    this.delay = delay;
+    this.jitter = jitter;
+    this.duplicate = duplicate;
+    this.clock = clock;
+    this.random = random;
+
+    this._hosts = 0;
+    this._ephemeralPort = 49152;
+    this._bound = new Map(); // address:port -> transport
+    this._partitions = []; // [Set, Set]
+  }
+
+  /**
+   * @param {String} [address] - Address of the transport, a new IPv4 one by
+   *  default. Transports only reach the transports of the same family.
+   * @return {MemoryTransport}
+   */
+  createTransport(address = null) {
+    if (address === null) {
+      this._hosts += 1;
+      address = `10.${(this._hosts >> 16) & 0xff}.${(this._hosts >> 8) & 0xff}.${this._hosts & 0xff}`;
+    }
+
+    return new MemoryTransport(this, address);
+  }
+
+  /**
+   * Drop the datagrams between two groups of addresses, until `heal`.
+   *
+   * @param {Array<String>} group1
+   * @param {Array<String>} group2
+   */
+  partition(group1, group2) {
+    this._partitions.push([new Set(group1), new Set(group2)]);
+  }
+
+  /**
+   * Remove all partitions.
+   */
+  heal() {
+    this._partitions = [];
+  }
+
+  _isPartitioned(from, to) {
+    return this._partitions.some(([group1, group2]) => {
+      return (group1.has(from) && group2.has(to)) || (group2.has(from) && group1.has(to));
+    });
+  }
+
+  _bind(transport, port) {
+    if (!port) {
+      port = this._ephemeralPort++;
+    }
+
+    const key = transport.address + ':' + port;
+
+    if (this._bound.has(key)) {
+      return Promise.reject(createError('EADDRINUSE', `bind EADDRINUSE ${key}`));
+    }
+
+    transport.port = port;
+    this._bound.set(key, transport);
+
+    return Promise.resolve();
+  }
+
+  _unbind(transport) {
+    if (transport.port !== null) {
+      this._bound.delete(transport.address + ':' + transport.port);
+      transport.port = null;
+    }
+  }
+
+  // `addresses` is null for broadcasts
+  _send(source, buffer, port, addresses, callback) {
+    if (source.port !== null) {
+      const rinfo = { address: source.address, family: source.family, port: source.port, size: buffer.length };
+
+      for (let transport of this._bound.values()) {
+        if (
+          transport.port === port &&
+          transport.family === source.family &&
+          (addresses === null || addresses.indexOf(transport.address) !== -1) &&
+          !this._isPartitioned(source.address, transport.address)
+        ) {
+          this._transmit(Buffer.from(buffer), rinfo, transport);
+        }
+      }
+    }
+
+    if (callback) {
+      Promise.resolve().then(callback);
+    }
+  }
+
+  _transmit(buffer, rinfo, transport) {
+    if (this.random() < this.loss) {
+      return;
+    }
+
+    const copies = this.random() < this.duplicate ? 2 : 1;
+    const port = transport.port;
+
+    for (let i = 0; i < copies; i++) {
+      const delay = this.delay + this.random() * this.jitter;
+
+      this.clock.setTimeout(() => {
+        // the transport may have been closed in the meantime
+        if (transport.port === port) {
+          transport.emit('message', buffer, Object.assign({}, rinfo));
+        }
+      }, delay);
+    }
+  }
+}
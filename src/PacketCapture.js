@@ -0,0 +1,211 @@
+import fs from 'fs';
+import { systemClock } from './clock';
+import { BROADCAST_PORT } from './config';
+import UdpTransport from './UdpTransport';
+
+/**
+ * Record of the datagrams sent and received by a DiscoveryServer or a
+ * DiscoveryClient (see their `capture` option), written as NDJSON, one
+ * `{ time, direction, address, port, data }` line per datagram:
+ * - `time`: ms, time of the `clock` of the server or client
+ * - `direction`: `'in'` or `'out'`
+ * - `address`, `port`: peer, `address` is `null` for broadcasts
+ * - `data`: datagram as sent on the network (i.e. fragmented and encrypted),
+ *   base64 encoded
+ *
+ * A capture spans the restarts of the server or client. It can be read
+ * with `readCapture` and replayed with `replayCapture`.
+ *
+ * @private
+ */
+class PacketCapture {
+  constructor({
+    output, // file path, or writable stream left open on close
+    emitter, // emits the write errors
+    clock = systemClock,
+  }) {
+    this.output = output;
+    this.emitter = emitter;
+    this.clock = clock;
+
+    this._stream = null;
+    this._created = false; // file truncated on first open only
+  }
+
+  open() {
+    if (this._stream !== null) {
+      return;
+    }
+
+    if (typeof this.output !== 'string') {
+      this._stream = this.output;
+      return;
+    }
+
+    this._stream = fs.createWriteStream(this.output, { flags: this._created ? 'a' : 'w' });
+    this._stream.on('error', err => this.emitter.emit('error', err));
+    this._created = true;
+  }
+
+  record(direction, buffer, rinfo) {
+    if (this._stream === null) {
+      return;
+    }
+
+    const record = {
+      time: 1000 * this.clock.now(),
+      direction,
+      address: rinfo.address,
+      port: rinfo.port,
+      data: buffer.toString('base64'),
+    };
+
+    this._stream.write(JSON.stringify(record) + '\n');
+  }
+
+  /**
+   * @return {Promise} - Resolves once the records are written.
+   */
+  close() {
+    const stream = this._stream;
+    this._stream = null;
+
+    if (stream === null || stream === this.output) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => stream.end(resolve));
+  }
+}
+
+/**
+ * Read a capture recorded with the `capture` option of DiscoveryServer or
+ * DiscoveryClient.
+ *
+ * @param {String} file
+ * @return {Promise} - Resolves with the records, `data` being a Buffer,
+ *  rejects if a line is not a valid record.
+ */
+export function readCapture(file) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(file, 'utf8', (err, text) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      const records = [];
+      const lines = text.split('\n');
+
+      for (let i = 0; i < lines.length; i++) {
+        if (lines[i].trim() === '') {
+          continue;
+        }
+
+        let record;
+
+        try {
+          record = JSON.parse(lines[i]);
+        } catch (err) {
+          reject(new Error(`Invalid capture record at line ${i + 1}`));
+          return;
+        }
+
+        records.push(Object.assign(record, { data: Buffer.from(record.data, 'base64') }));
+      }
+
+      resolve(records);
+    });
+  });
+}
+
+/**
+ * Replay a capture against a server, e.g. to reproduce a bug: the datagrams
+ * received by a captured server (or sent by a captured client) are sent
+ * again to `address:port`, with their original timing. Each original peer
+ * is replayed from its own transport, so that the server sees as many
+ * peers as in the capture. Encrypted connections cannot be replayed, as
+ * keys are exchanged for each connection.
+ *
+ * @example
+ * import { DiscoveryServer, replayCapture } from '@ircam/node-discovery';
+ *
+ * // recorded with `new DiscoveryServer({ capture: 'server.ndjson' })`
+ * const server = new DiscoveryServer({ logger });
+ *
+ * await server.start();
+ * await replayCapture('server.ndjson', { port: server.broadcastPort });
+ *
+ * @param {String|Array} capture - Capture file, or records from
+ *  `readCapture`.
+ * @param {Object} [options]
+ * @param {String} [options.address='127.0.0.1'] - Address of the server.
+ * @param {Number} [options.port=BROADCAST_PORT] - Port of the server.
+ * @param {String} [options.direction='in'] - Datagrams to replay, `'out'`
+ *  for the capture of a client.
+ * @param {Number} [options.speed=1] - Ratio, `2` replays twice as fast.
+ * @param {Object} [options.clock=systemClock]
+ * @param {Function} [options.createTransport] - Factory of the transports
+ *  sending the datagrams, UdpTransport by default.
+ * @return {Promise} - Resolves with the number of datagrams sent.
+ */
+export function replayCapture(capture, {
+  address = '127.0.0.1',
+  port = BROADCAST_PORT,
+  direction = 'in',
+  speed = 1,
+  clock = systemClock,
+  createTransport = () => new UdpTransport({ type: address.indexOf(':') !== -1 ? 'ipv6' : 'broadcast' }),
+} = {}) {
+  if (direction !== 'in' && direction !== 'out') {
+    return Promise.reject(new Error(`Invalid direction "${direction}"`));
+  }
+
+  const loaded = typeof capture === 'string' ? readCapture(capture) : Promise.resolve(capture);
+  const transports = new Map(); // original peer -> transport
+  const close = () => Promise.all(Array.from(transports.values()).map(transport => transport.close()));
+
+  return loaded.then(records => {
+    records = records.filter(record => record.direction === direction);
+
+    if (records.length === 0) {
+      return 0;
+    }
+
+    // the datagrams sent by a client all come from the client
+    const getSource = record => direction === 'in' ? record.address + ':' + record.port : 'client';
+
+    records.forEach(record => {
+      const source = getSource(record);
+
+      if (!transports.has(source)) {
+        transports.set(source, createTransport());
+      }
+    });
+
+    const bound = Array.from(transports.values()).map(transport => transport.bind(0));
+
+    return Promise.all(bound)
+      .then(() => new Promise(resolve => {
+        const start = records[0].time;
+        let sent = 0;
+
+        records.forEach(record => {
+          clock.setTimeout(() => {
+            const transport = transports.get(getSource(record));
+
+            transport.send(record.data, port, address, () => {
+              sent += 1;
+
+              if (sent === records.length) {
+                resolve(sent);
+              }
+            });
+          }, (record.time - start) / speed);
+        });
+      }))
+      .then(sent => close().then(() => sent), err => close().then(() => { throw err; }));
+  });
+}
+
+export default PacketCapture;
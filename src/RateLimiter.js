@@ -0,0 +1,39 @@
+import { systemClock } from './clock';
+
+/**
+ * Token bucket, allowing `rate` events per second on average and bursts of
+ * `burst` events.
+ *
+ * @private
+ */
+class RateLimiter {
+  constructor({ rate, burst = rate, clock = systemClock }) {
+    this.rate = rate;
+    this.burst = burst;
+    this.clock = clock;
+
+    this._tokens = burst;
+    this._time = clock.now();
+  }
+
+  /**
+   * @return {Boolean} - False if the event exceeds the rate and should be
+   *  dropped.
+   */
+  take() {
+    const now = this.clock.now();
+
+    this._tokens = Math.min(this.burst, this._tokens + (now - this._time) * this.rate);
+    this._time = now;
+
+    if (this._tokens < 1) {
+      return false;
+    }
+
+    this._tokens -= 1;
+
+    return true;
+  }
+}
+
+export default RateLimiter;
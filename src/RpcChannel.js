@@ -0,0 +1,229 @@
+import { systemClock } from './clock';
+import { silentLogger } from './logger';
+
+/**
+ * Error used to reject the promises returned by `request`.
+ *
+ * `code` is one of:
+ * - `'ETIMEDOUT'`: no response received after all retries
+ * - `'ENOTCONNECTED'`: the peer is not connected
+ * - `'ECLOSED'`: the connection closed while waiting for the response
+ * - `'ENOMETHOD'`: no handler registered for the method on the remote side
+ * - `'ENOTSUPPORTED'`: the peer runs a legacy version of the protocol
+ * - `'EREMOTE'` (or the `code` of the thrown error): the remote handler failed
+ */
+export class RequestError extends Error {
+  constructor(code, message) {
+    super(message);
+    // restore prototype chain, broken by transpiled `extends Error`
+    Object.setPrototypeOf(this, RequestError.prototype);
+
+    this.name = 'RequestError';
+    this.code = code;
+  }
+}
+
+/**
+ * Request / response channel used by DiscoveryServer and DiscoveryClient.
+ *
+ * Requests are sent as `REQUEST` messages and resent until a `RESPONSE` with
+ * the same message id is received. Handled requests are remembered for
+ * `dedupTimeout` so that a retried request is executed only once, its
+ * response being sent again.
+ *
+ * @private
+ */
+class RpcChannel {
+  constructor({
+    send, // (type, messageId, payload, peer) => void
+    dedupTimeout = 30000, // ms
+    clock = systemClock,
+    logger = silentLogger,
+  }) {
+    this.send = send;
+    this.dedupTimeout = dedupTimeout;
+    this.clock = clock;
+    this.logger = logger;
+
+    this.handlers = new Map();
+    this.requestId = -1; // ID of _last_ request
+
+    this._pending = new Map(); // requestId -> request
+    this._handled = new Map(); // peerKey -> requestId -> { response, time }
+  }
+
+  handle(method, fn) {
+    if (fn === null) {
+      this.handlers.delete(method);
+    } else {
+      this.handlers.set(method, fn);
+    }
+  }
+
+  request(peer, peerKey, method, params = null, {
+    timeout = 1000,
+    retries = 3,
+  } = {}) {
+    return new Promise((resolve, reject) => {
+      this.requestId = (this.requestId + 1) % 0x100000000;
+
+      const requestId = this.requestId;
+      const payload = { method, params };
+      const request = { peerKey, resolve, reject, timeoutId: null };
+
+      const attempt = (remaining) => {
+        this.send('REQUEST', requestId, payload, peer);
+
+        request.timeoutId = this.clock.setTimeout(() => {
+          if (remaining > 0) {
+            this.logger.debug('retry request', { messageId: requestId, method, peer: peerKey });
+
+            attempt(remaining - 1);
+          } else {
+            this._pending.delete(requestId);
+            reject(new RequestError('ETIMEDOUT', `Request "${method}" timed out`));
+          }
+        }, timeout);
+      };
+
+      this._pending.set(requestId, request);
+      attempt(retries);
+    });
+  }
+
+  receiveRequest(msg, peer, peerKey, context) {
+    const now = this.clock.now();
+
+    // forget old requests, times in seconds, timeout in milliseconds
+    for (let [handledPeerKey, requests] of this._handled.entries()) {
+      for (let [requestId, handled] of requests.entries()) {
+        if (now - handled.time > 0.001 * this.dedupTimeout) {
+          requests.delete(requestId);
+        }
+      }
+
+      if (requests.size === 0) {
+        this._handled.delete(handledPeerKey);
+      }
+    }
+
+    if (!this._handled.has(peerKey)) {
+      this._handled.set(peerKey, new Map());
+    }
+
+    const requests = this._handled.get(peerKey);
+
+    if (requests.has(msg.messageId)) {
+      const { response } = requests.get(msg.messageId);
+
+      // response is null while the handler is running
+      if (response !== null) {
+        this.send('RESPONSE', msg.messageId, response, peer);
+      }
+
+      this.logger.debug('ignore duplicate request', { messageId: msg.messageId, peer: peerKey });
+
+      return;
+    }
+
+    const handled = { response: null, time: now };
+    requests.set(msg.messageId, handled);
+
+    const respond = response => {
+      // the connection closed while the handler was running
+      if (this._handled.get(peerKey) !== requests || requests.get(msg.messageId) !== handled) {
+        this.logger.debug('drop response', { messageId: msg.messageId, peer: peerKey });
+        return;
+      }
+
+      handled.response = response;
+
+      try {
+        this.send('RESPONSE', msg.messageId, response, peer);
+      } catch (err) {
+        this.logger.warn('cannot send response', { messageId: msg.messageId, peer: peerKey, error: err && err.message });
+      }
+    };
+
+    // never throws, as it runs at the end of the handler promise chain
+    const fail = err => {
+      let message;
+
+      try {
+        message = (err && err.message) || String(err);
+      } catch (e) {
+        message = 'Remote error';
+      }
+
+      respond({ error: { code: (err && err.code) || 'EREMOTE', message } });
+    };
+
+    const { method, params } = msg.payload || {};
+    const handler = this.handlers.get(method);
+
+    if (!handler) {
+      fail(new RequestError('ENOMETHOD', `No handler for method "${method}"`));
+      return;
+    }
+
+    let result;
+
+    try {
+      result = handler(params, context);
+    } catch (err) {
+      fail(err);
+      return;
+    }
+
+    Promise.resolve(result)
+      .then(result => respond({ result: result === undefined ? null : result }))
+      .catch(fail);
+  }
+
+  /**
+   * @param {Object} msg
+   * @param {String} peerKey - Sender of the response, responses of other
+   *  peers than the one of the request are ignored.
+   */
+  receiveResponse(msg, peerKey) {
+    const request = this._pending.get(msg.messageId);
+
+    if (!request || request.peerKey !== peerKey) {
+      this.logger.debug('ignore response', { messageId: msg.messageId, peer: peerKey });
+
+      return;
+    }
+
+    this.clock.clearTimeout(request.timeoutId);
+    this._pending.delete(msg.messageId);
+
+    const { result = null, error } = msg.payload || {};
+
+    if (error) {
+      request.reject(new RequestError(error.code, error.message));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  /**
+   * Reject pending requests to a peer (or to any peer if `peerKey` is null).
+   */
+  cancel(peerKey = null) {
+    for (let [requestId, request] of this._pending.entries()) {
+      if (peerKey === null || request.peerKey === peerKey) {
+        this.clock.clearTimeout(request.timeoutId);
+        this._pending.delete(requestId);
+        request.reject(new RequestError('ECLOSED', 'Connection closed'));
+      }
+    }
+
+    if (peerKey === null) {
+      this._handled.clear();
+    } else {
+      this._handled.delete(peerKey);
+    }
+  }
+}
+
+export default RpcChannel;
@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import { createNonce } from './Authenticator';
+
+const CURVE = 'prime256v1';
+const CIPHER = 'aes-256-gcm';
+const IV_SIZE = 12;
+const TAG_SIZE = 16;
+const COUNTER_SIZE = 8;
+// counters accepted below the highest one received, as datagrams may be
+// reordered
+const REPLAY_WINDOW = 64;
+
+/**
+ * Create the ephemeral keys sent by a peer during the handshake.
+ *
+ * @return {Object} - `{ ecdh, offer }` where `offer` (`{ publicKey, nonce }`)
+ *  is sent to the other peer.
+ * @private
+ */
+export function createKeyExchange() {
+  const ecdh = crypto.createECDH(CURVE);
+  const publicKey = ecdh.generateKeys('hex');
+  const nonce = createNonce(16);
+
+  return { ecdh, offer: { publicKey, nonce } };
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Encryption context of a connection, derived from an ECDH key exchange
+ * made during the handshake (mixed with the shared secret if any), so that
+ * every connection uses new keys. Messages are encrypted with AES-256-GCM,
+ * each direction using its own key.
+ *
+ * Each encrypted message starts with the counter of its direction, so that
+ * replayed messages are refused: a counter is only accepted once, and if it
+ * is not older than `REPLAY_WINDOW` messages.
+ *
+ * @private
+ */
+class Session {
+  /**
+   * @param {String} role - 'server' or 'client'.
+   * @param {Object} keyExchange - Local result of `createKeyExchange`.
+   * @param {Object} offer - Offer received from the other peer.
+   * @param {String} [secret=null] - Shared secret.
+   */
+  constructor(role, keyExchange, offer, secret = null) {
+    const local = keyExchange.offer;
+    const shared = keyExchange.ecdh.computeSecret(offer.publicKey, 'hex');
+    // client nonce first, so that both peers compute the same salt
+    const nonces = role === 'client' ? [local.nonce, offer.nonce] : [offer.nonce, local.nonce];
+    const salt = Buffer.from(nonces.join(''), 'hex');
+    const material = secret !== null ? Buffer.concat([shared, Buffer.from(secret)]) : shared;
+    const key = hmac(salt, material);
+
+    const clientKey = hmac(key, 'client');
+    const serverKey = hmac(key, 'server');
+
+    this._encryptKey = role === 'client' ? clientKey : serverKey;
+    this._decryptKey = role === 'client' ? serverKey : clientKey;
+    this._clientKey = clientKey;
+
+    this._sendCounter = 0;
+    this._receivedCounter = -1; // highest counter received
+    this._receivedCounters = new Set(); // counters received in the window
+  }
+
+  /**
+   * HMAC of some data with the key of the client, the same on both sides,
+   * e.g. to authenticate the stream of the connection.
+   *
+   * @param {String} data
+   * @return {String} - Hex encoded HMAC.
+   */
+  sign(data) {
+    return hmac(this._clientKey, data).toString('hex');
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @return {Buffer} - `iv | tag | ciphertext`, the ciphertext being made of
+   *  `counter (uint64 BE) | buffer`.
+   */
+  encrypt(buffer) {
+    const counter = Buffer.alloc(COUNTER_SIZE);
+    counter.writeUInt32BE(Math.floor(this._sendCounter / 0x100000000), 0);
+    counter.writeUInt32BE(this._sendCounter % 0x100000000, 4);
+    this._sendCounter += 1;
+
+    const iv = crypto.randomBytes(IV_SIZE);
+    const cipher = crypto.createCipheriv(CIPHER, this._encryptKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(counter), cipher.update(buffer), cipher.final()]);
+
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  /**
+   * @param {Buffer} buffer - `iv | tag | ciphertext`
+   * @return {Buffer}
+   * @throws {Error} - If the message was altered or encrypted with another
+   *  key, or `EREPLAY` if it was already received.
+   */
+  decrypt(buffer) {
+    const iv = buffer.slice(0, IV_SIZE);
+    const tag = buffer.slice(IV_SIZE, IV_SIZE + TAG_SIZE);
+    const ciphertext = buffer.slice(IV_SIZE + TAG_SIZE);
+    const decipher = crypto.createDecipheriv(CIPHER, this._decryptKey, iv);
+
+    decipher.setAuthTag(tag);
+
+    const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+
+    if (plaintext.length < COUNTER_SIZE) {
+      throw new Error('Missing counter');
+    }
+
+    const counter = plaintext.readUInt32BE(0) * 0x100000000 + plaintext.readUInt32BE(4);
+
+    if (counter <= this._receivedCounter - REPLAY_WINDOW || this._receivedCounters.has(counter)) {
+      const err = new Error(`Replayed message (counter ${counter})`);
+      err.code = 'EREPLAY';
+      throw err;
+    }
+
+    this._receivedCounters.add(counter);
+
+    if (counter > this._receivedCounter) {
+      this._receivedCounter = counter;
+
+      for (let received of this._receivedCounters) {
+        if (received <= counter - REPLAY_WINDOW) {
+          this._receivedCounters.delete(received);
+        }
+      }
+    }
+
+    return plaintext.slice(COUNTER_SIZE);
+  }
+}
+
+export default Session;
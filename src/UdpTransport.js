@@ -0,0 +1,237 @@
+import dgram from 'dgram';
+import { EventEmitter } from 'events';
+import { BROADCAST_ADDRESS, MULTICAST_ADDRESS, MULTICAST_ADDRESS_IPV6 } from './config';
+import { getInterfaces } from './utils';
+import { getLogger } from './logger';
+
+/**
+ * UDP socket used by DiscoveryServer and DiscoveryClient, `type` defining
+ * how discovery messages reach the other devices:
+ * - `'broadcast'`: IPv4 broadcast to `broadcastAddress`, or to the directed
+ *  broadcast address of each interface selected by `interfaces`
+ * - `'multicast'`: IPv4 multicast group `multicastAddress`, for networks
+ *  filtering broadcast
+ * - `'ipv6'`: IPv6 link-local multicast group `multicastAddress`, on each
+ *  interface selected by `interfaces` (every interface by default)
+ *
+ * The socket is created on `bind` and destroyed on `close`, so that the
+ * transport can be bound again afterwards.
+ *
+ * Other transports (see MemoryNetwork) can be given to DiscoveryServer and
+ * DiscoveryClient, they must implement the same interface:
+ * - `family`: address family of the peers, e.g. `'IPv4'`
+ * - `bind(port)`: returns a Promise, rejected if the port cannot be bound
+ * - `send(buffer, port, address, callback)`
+ * - `broadcast(buffer, port, callback)`: send to every peer listening on `port`
+ * - `close()`: returns a Promise, the transport may be bound again afterwards
+ * - emit `'message'` with `(buffer, rinfo)`, `rinfo` being `{ address, port }`
+ */
+class UdpTransport extends EventEmitter {
+  constructor({
+    type = 'broadcast', // 'broadcast', 'multicast' or 'ipv6'
+    broadcastAddress = BROADCAST_ADDRESS,
+    multicastAddress = null, // defaults to config MULTICAST_ADDRESS(_IPV6)
+    multicastTTL = 1, // hops, 1 keeps messages on the local network
+    multicastLoopback = true, // receive own multicast messages
+    interfaces = null, // 'all' or names of the interfaces to use
+    reuseAddr = false,
+    logger = null, // see createConsoleLogger
+    verbose = false, // log everything to the console, if no `logger` is given
+  } = {}) {
+    super();
+
+    if (['broadcast', 'multicast', 'ipv6'].indexOf(type) === -1) {
+      throw new Error(`Invalid transport "${type}"`);
+    }
+
+    if (multicastAddress === null) {
+      multicastAddress = type === 'ipv6' ? MULTICAST_ADDRESS_IPV6 : MULTICAST_ADDRESS;
+    }
+
+    this.type = type;
+    this.family = type === 'ipv6' ? 'IPv6' : 'IPv4';
+    this.broadcastAddress = broadcastAddress;
+    this.multicastAddress = multicastAddress;
+    this.multicastTTL = multicastTTL;
+    this.multicastLoopback = multicastLoopback;
+    this.interfaces = interfaces;
+    this.reuseAddr = reuseAddr;
+    this.logger = getLogger(logger, verbose);
+
+    this.socket = null;
+  }
+
+  /**
+   * @param {Number} port - Port to listen on, `0` for any.
+   * @return {Promise} - Rejects if the socket cannot be bound.
+   */
+  bind(port) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({
+        type: this.family === 'IPv6' ? 'udp6' : 'udp4',
+        reuseAddr: this.reuseAddr,
+        ipv6Only: this.family === 'IPv6',
+      });
+
+      const onError = err => {
+        socket.close();
+        this.socket = null;
+        reject(err);
+      };
+
+      this.socket = socket;
+      socket.on('message', (buffer, rinfo) => this.emit('message', buffer, rinfo));
+      socket.once('error', onError);
+
+      socket.bind(port, () => {
+        socket.removeListener('error', onError);
+        socket.on('error', err => this.emit('error', err));
+
+        try {
+          this._setupSocket(socket);
+        } catch (err) {
+          onError(err);
+          return;
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  _setupSocket(socket) {
+    if (this.type === 'broadcast') {
+      socket.setBroadcast(true);
+      return;
+    }
+
+    socket.setMulticastTTL(this.multicastTTL);
+    socket.setMulticastLoopback(this.multicastLoopback);
+
+    const interfaces = this._getInterfaces();
+
+    if (interfaces === null) {
+      socket.addMembership(this.multicastAddress);
+    } else {
+      for (let { membership } of interfaces) {
+        try {
+          socket.addMembership(this.multicastAddress, membership);
+        } catch (err) {
+          // e.g. interface without multicast support
+          this.logger.warn('cannot join multicast group', {
+            group: this.multicastAddress,
+            interface: membership,
+            error: err.message,
+          });
+        }
+      }
+    }
+  }
+
+  // `null` when the OS chooses the interface
+  _getInterfaces() {
+    if (this.interfaces === null && this.family === 'IPv4') {
+      return null;
+    }
+
+    const names = this.interfaces === null || this.interfaces === 'all' ? null : this.interfaces;
+    const interfaces = getInterfaces({ family: this.family, names });
+
+    if (this.family === 'IPv6') {
+      // one entry per interface, link-local addresses are scoped by name
+      const uniqueNames = new Set(interfaces.map(info => info.name));
+
+      return Array.from(uniqueNames).map(name => ({
+        name,
+        membership: '::%' + name,
+        destination: this.multicastAddress + '%' + name,
+      }));
+    } else {
+      return interfaces.map(info => ({
+        name: info.name,
+        membership: info.address,
+        destination: this.type === 'broadcast' ? info.broadcast : this.multicastAddress,
+      }));
+    }
+  }
+
+  /**
+   * Send a datagram to a single peer.
+   */
+  send(buffer, port, address, callback) {
+    if (this.socket) {
+      this.socket.send(buffer, 0, buffer.length, port, address, callback);
+    }
+  }
+
+  /**
+   * Send a datagram to every device listening on `port`.
+   */
+  broadcast(buffer, port, callback) {
+    if (!this.socket) {
+      return;
+    }
+
+    // enumerate on each broadcast, as interfaces may go up and down
+    let interfaces = this._getInterfaces();
+
+    if (interfaces !== null && interfaces.length === 0) {
+      this.logger.debug('no interface available, use default interface');
+
+      interfaces = null;
+    }
+
+    if (interfaces === null) {
+      const address = this.type === 'broadcast' ? this.broadcastAddress : this.multicastAddress;
+      this.socket.send(buffer, 0, buffer.length, port, address, callback);
+      return;
+    }
+
+    const socket = this.socket;
+    const destinations = new Set(interfaces.map(info => info.destination));
+
+    // the outgoing interface of IPv4 multicast is a socket option, so
+    // messages must be sent one after the other
+    const sendNext = (remaining) => {
+      const info = remaining.shift();
+
+      if (info === undefined || socket !== this.socket) {
+        if (callback) {
+          callback();
+        }
+
+        return;
+      }
+
+      if (this.type === 'multicast') {
+        socket.setMulticastInterface(info.membership);
+      } else if (!destinations.delete(info.destination)) {
+        // several addresses on the same subnet
+        sendNext(remaining);
+        return;
+      }
+
+      socket.send(buffer, 0, buffer.length, port, info.destination, () => sendNext(remaining));
+    };
+
+    sendNext(interfaces.slice());
+  }
+
+  /**
+   * @return {Promise} - Resolves when the socket is closed.
+   */
+  close() {
+    return new Promise(resolve => {
+      if (this.socket === null) {
+        resolve();
+        return;
+      }
+
+      const socket = this.socket;
+      this.socket = null;
+      socket.close(resolve);
+    });
+  }
+}
+
+export default UdpTransport;
@@ -0,0 +1,598 @@
+/**
+ * Implementation of the `node-discovery` command-line tool (see
+ * `bin/node-discovery`), each command being also usable programmatically.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import { BROADCAST_PORT, BROADCAST_ADDRESS } from './config';
+import { systemClock } from './clock';
+import { encode, decode } from './protocol';
+import Authenticator from './Authenticator';
+import UdpTransport from './UdpTransport';
+import DiscoveryServer from './DiscoveryServer';
+import DiscoveryClient from './DiscoveryClient';
+import { replayCapture } from './PacketCapture';
+import { createConsoleLogger } from './logger';
+
+export const USAGE = `Usage: node-discovery <command> [options]
+
+Commands:
+  scan                 list the servers answering a discovery request
+  server               run a server, printing the events of its clients
+  client               run a client, printing its events
+  send <id> <message>  send a message to client <id> through the HTTP
+                       endpoint of a running server (see --http-port), or
+                       without --http-port run a server until the client
+                       connects, which must not be done next to a running
+                       server, as it may take over its clients
+  replay <file>        replay a capture (see --capture) against a server,
+                       options --address (default 127.0.0.1), --port,
+                       --direction (in, or out for a client capture) and
+                       --speed
+
+Options:
+  --json                 print NDJSON instead of a table
+  --timeout <ms>         duration of scan (default 1000), or time to wait
+                         for the client of send (default 10000)
+  --payload <json>       payload of client, entries can also be given as
+                         --payload.<key> <value>, values being strings
+  --payload-file <file>  JSON file containing the payload of client
+  --log-level <level>    log to stderr from this level (debug, info, warn
+                         or error)
+  --log-json             log NDJSON records instead of text
+  --capture <file>       record the datagrams of server or client
+  --id-file <file>       file keeping the id of client (default
+                         ~/.node-discovery-id), --no-id-file for a new id
+                         on each start
+  --http-port <port>     HTTP endpoint of server, or of the running server
+                         for send (with --http-host, default 127.0.0.1)
+  --help                 print this message
+
+Any other option is given to DiscoveryServer or DiscoveryClient, in kebab
+case, e.g. --broadcast-port 8000 --namespace my-app --encrypt
+--transports broadcast,ipv6. Boolean options can be unset with --no-<name>.
+`;
+
+// options of the command-line tool, not given to the constructors
+const CLI_OPTIONS = ['json', 'timeout', 'payloadFile', 'help', 'logLevel', 'logJson'];
+
+// never followed by a value
+const FLAGS = [
+  'json',
+  'help',
+  'logJson',
+  'verbose',
+  'encrypt',
+  'mdns',
+  'stream',
+  'rejectForeign',
+  'adaptiveKeepalive',
+  'multicastLoopback',
+];
+
+// lists of values, separated by commas
+const LIST_OPTIONS = ['transports', 'interfaces'];
+
+// never converted to numbers or booleans, e.g. `--id 0042`, as are the
+// `--payload.<key>` entries
+const STRING_OPTIONS = [
+  'id',
+  'idFile',
+  'name',
+  'group',
+  'namespace',
+  'secret',
+  'serverName',
+  'payloadFile',
+  'capture',
+  'inventory',
+];
+
+const EVENT_COLUMNS = [
+  { key: 'time', title: 'TIME', width: 10 },
+  { key: 'event', title: 'EVENT', width: 16 },
+  { key: 'id', title: 'ID', width: 24 },
+  { key: 'address', title: 'ADDRESS', width: 24 },
+  { key: 'details', title: 'DETAILS' },
+];
+
+const SERVER_COLUMNS = [
+  { key: 'id', title: 'ID', width: 24 },
+  { key: 'name', title: 'NAME', width: 16 },
+  { key: 'group', title: 'GROUP', width: 12 },
+  { key: 'priority', title: 'PRIORITY', width: 10 },
+  { key: 'address', title: 'ADDRESS', width: 24 },
+  { key: 'rtt', title: 'RTT (ms)' },
+];
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function parseValue(value) {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  } else if (value === 'null') {
+    return null;
+  } else if (value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  } else if (value[0] === '{' || value[0] === '[') {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      throw new Error(`Invalid JSON value ${value}`);
+    }
+  }
+
+  return value;
+}
+
+// `--payload.role speaker` sets `options.payload.role`
+function setOption(options, path, value) {
+  const keys = path.split('.').map(toCamelCase);
+  const name = keys.pop();
+  let target = options;
+
+  for (let key of keys) {
+    if (target[key] === null || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+
+    target = target[key];
+  }
+
+  if (LIST_OPTIONS.indexOf(name) !== -1 && typeof value === 'string' && value !== 'all') {
+    value = value.split(',');
+  }
+
+  target[name] = value;
+}
+
+/**
+ * Parse the arguments of the command line.
+ *
+ * @param {Array<String>} argv - Arguments, without the node and script paths.
+ * @return {Object} - `{ command, args, options }`, `args` being the
+ *  positional arguments following the command.
+ */
+export function parseArgs(argv) {
+  const args = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg.indexOf('--') !== 0) {
+      args.push(arg);
+      continue;
+    }
+
+    const separator = arg.indexOf('=');
+    let path = separator !== -1 ? arg.slice(2, separator) : arg.slice(2);
+    let value;
+
+    const isString = STRING_OPTIONS.indexOf(toCamelCase(path)) !== -1 || path.indexOf('payload.') === 0;
+    const parse = value => isString ? value : parseValue(value);
+
+    if (separator !== -1) {
+      value = parse(arg.slice(separator + 1));
+    } else if (path.indexOf('no-') === 0) {
+      path = path.slice(3);
+      value = false;
+    } else if (
+      FLAGS.indexOf(toCamelCase(path)) === -1 &&
+      i + 1 < argv.length &&
+      argv[i + 1].indexOf('--') !== 0
+    ) {
+      i += 1;
+      value = parse(argv[i]);
+    } else {
+      value = true;
+    }
+
+    setOption(options, path, value);
+  }
+
+  return { command: args.length > 0 ? args[0] : null, args: args.slice(1), options };
+}
+
+function getConstructorOptions(options) {
+  const constructorOptions = Object.assign({}, options);
+
+  CLI_OPTIONS.forEach(name => delete constructorOptions[name]);
+
+  if (options.logLevel !== undefined || options.logJson !== undefined) {
+    constructorOptions.logger = createConsoleLogger({
+      level: options.logLevel || 'info',
+      json: !!options.logJson,
+    });
+  }
+
+  return constructorOptions;
+}
+
+function getPayload({ payload = {}, payloadFile = null }) {
+  const base = payloadFile !== null ? JSON.parse(fs.readFileSync(payloadFile, 'utf8')) : {};
+
+  if (payload === null || typeof payload !== 'object') {
+    throw new Error('Payload must be a JSON object');
+  }
+
+  return Object.assign(base, payload);
+}
+
+function formatCell(value) {
+  if (value === undefined || value === null) {
+    return '-';
+  }
+
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// print rows as NDJSON, or as a table with fixed column widths so that rows
+// can be printed as they come
+function createPrinter(output, json, columns) {
+  let header = false;
+
+  return row => {
+    if (json) {
+      output.write(JSON.stringify(row) + '\n');
+      return;
+    }
+
+    const format = cells => {
+      return cells.map((cell, index) => {
+        const { width } = columns[index];
+        return width !== undefined ? (cell + ' ').padEnd(width) : cell;
+      }).join('') + '\n';
+    };
+
+    if (!header) {
+      output.write(format(columns.map(column => column.title)));
+      header = true;
+    }
+
+    output.write(format(columns.map(column => formatCell(row[column.key]))));
+  };
+}
+
+function createEventPrinter(output, json) {
+  const print = createPrinter(output, json, EVENT_COLUMNS);
+
+  return (event, id = null, rinfo = null, details = null) => {
+    const time = new Date().toISOString();
+
+    print({
+      // tables only show the time of the day
+      time: json ? time : time.slice(11, 19),
+      event,
+      id,
+      address: rinfo !== null ? rinfo.address + ':' + rinfo.port : null,
+      details,
+    });
+  };
+}
+
+/**
+ * Broadcast a discovery request and collect the answers of the servers.
+ *
+ * @param {Object} [options] - See DiscoveryClient for `broadcastPort`,
+ *  `broadcastAddress`, `transport`, `multicastAddress`, `interfaces`,
+ *  `namespace`, `secret` and `clock`.
+ * @param {Number} [options.timeout=1000] - Time to wait for the answers (ms).
+ * @return {Promise} - Resolves with the servers
+ *  (`{ id, name, group, priority, namespace, address, port, rtt }`, `rtt`
+ *  in milliseconds), fastest first.
+ */
+export function scan({
+  broadcastPort = BROADCAST_PORT,
+  broadcastAddress = BROADCAST_ADDRESS,
+  transport = 'broadcast',
+  multicastAddress = null,
+  interfaces = null,
+  namespace = null,
+  secret = null,
+  timeout = 1000,
+  clock = systemClock,
+} = {}) {
+  if (typeof transport === 'string') {
+    transport = new UdpTransport({ type: transport, broadcastAddress, multicastAddress, interfaces });
+  }
+
+  const auth = secret !== null ? new Authenticator({ secret, role: 'client', clock }) : null;
+  // unrelated to the message ids of any client
+  const messageId = crypto.randomBytes(4).readUInt32BE(0);
+  const servers = new Map(); // address:port -> server
+  let sendTime = null;
+
+  transport.on('message', (buffer, rinfo) => {
+    let msg;
+
+    try {
+      msg = decode(buffer);
+    } catch (err) {
+      return;
+    }
+
+    if (
+      msg === null ||
+      msg.type !== 'DISCOVER_ACK' ||
+      msg.messageId !== messageId ||
+      (auth !== null && auth.verify(msg) !== null)
+    ) {
+      return;
+    }
+
+    const key = rinfo.address + ':' + rinfo.port;
+    const {
+      id = null,
+      name = null,
+      group = null,
+      priority = 0,
+      namespace = null,
+    } = msg.payload || {};
+
+    // a server may be reached through several interfaces
+    if (!servers.has(key)) {
+      servers.set(key, {
+        id,
+        name,
+        group,
+        priority,
+        namespace,
+        address: rinfo.address,
+        port: rinfo.port,
+        rtt: Math.round((clock.now() - sendTime) * 1e6) / 1e3,
+      });
+    }
+  });
+
+  return transport.bind(0)
+    .then(() => new Promise(resolve => {
+      let payload = { namespace };
+
+      if (auth !== null) {
+        payload = auth.sign('DISCOVER_REQ', messageId, payload);
+      }
+
+      sendTime = clock.now();
+      transport.broadcast(encode('DISCOVER_REQ', messageId, payload), broadcastPort);
+      clock.setTimeout(resolve, timeout);
+    }))
+    .then(() => transport.close())
+    .then(() => Array.from(servers.values()).sort((a, b) => a.rtt - b.rtt));
+}
+
+/**
+ * Start a server printing the events of its clients.
+ *
+ * @param {Object} [options] - DiscoveryServer options, and `json`.
+ * @param {stream.Writable} [output=process.stdout]
+ * @return {Promise} - Resolves with the started DiscoveryServer.
+ */
+export function runServer(options = {}, output = process.stdout) {
+  const server = new DiscoveryServer(getConstructorOptions(options));
+  const print = createEventPrinter(output, options.json);
+
+  server.on('connection', client => print('connection', client.id, client.rinfo, client.payload));
+  server.on('update', (client, changes) => print('update', client.id, client.rinfo, changes));
+  server.on('address-change', client => print('address-change', client.id, client.rinfo));
+  server.on('quality', client => print('quality', client.id, client.rinfo, client.quality.state));
+  server.on('close', (client, clients, reason) => print('close', client.id, client.rinfo, reason));
+  server.on('rejected', (rinfo, reason, type) => print('rejected', null, rinfo, `${type} ${reason}`));
+  server.on('error', err => print('error', null, null, err.message));
+
+  return server.start().then(() => server);
+}
+
+/**
+ * Start a client printing its events. The payload is made of the entries of
+ * `payloadFile`, if any, and of `payload`.
+ *
+ * @param {Object} [options] - DiscoveryClient options, `json` and
+ *  `payloadFile`.
+ * @param {stream.Writable} [output=process.stdout]
+ * @return {Promise} - Resolves with the started DiscoveryClient.
+ */
+export function runClient(options = {}, output = process.stdout) {
+  const clientOptions = getConstructorOptions(options);
+
+  clientOptions.payload = getPayload(options);
+
+  const client = new DiscoveryClient(clientOptions);
+  const print = createEventPrinter(output, options.json);
+
+  client.on('connection', rinfo => print('connection', client.id, rinfo, client.payload));
+  client.on('close', reason => print('close', client.id, null, reason));
+  client.on('quality', quality => print('quality', client.id, client.server, quality.state));
+  client.on('message', (buffer, rinfo) => print('message', client.id, rinfo, buffer.toString()));
+  client.on('error', err => print('error', client.id, null, err.message));
+
+  return client.start().then(() => client);
+}
+
+function createError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+
+  return err;
+}
+
+// `POST /clients/:id/message` on the HTTP endpoint of a running server
+function postMessage(id, message, { httpPort, httpHost = '127.0.0.1' }) {
+  return new Promise((resolve, reject) => {
+    const path = `/clients/${encodeURIComponent(id)}/message`;
+    const req = http.request({ host: httpHost, port: httpPort, method: 'POST', path }, res => {
+      const chunks = [];
+
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        let body;
+
+        try {
+          body = JSON.parse(Buffer.concat(chunks).toString());
+        } catch (err) {
+          reject(new Error(`Invalid answer of the server (status ${res.statusCode})`));
+          return;
+        }
+
+        switch (res.statusCode) {
+          case 200:
+          case 504:
+            resolve(body);
+            break;
+          case 404:
+            reject(createError('ENOTCONNECTED', `Client "${id}" not connected`));
+            break;
+          case 413:
+            reject(createError('EMSGSIZE', body.error));
+            break;
+          default:
+            reject(new Error(body.error));
+            break;
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.end(message);
+  });
+}
+
+/**
+ * Send a message to a client (see `server.sendToClient`).
+ *
+ * With `httpPort`, the message is sent by the running server exposing its
+ * HTTP endpoint on this port. Otherwise a server is started, waits for the
+ * client to connect and is stopped once the message is sent. As it binds
+ * the broadcast port, this must not be done on the network of a running
+ * server, whose clients may connect to it instead.
+ *
+ * @param {String} id - Id of the client.
+ * @param {String} message
+ * @param {Object} [options] - DiscoveryServer options, `json` and
+ *  `timeout`.
+ * @param {Number} [options.httpPort=null] - Port of the HTTP endpoint of the
+ *  running server.
+ * @param {String} [options.httpHost='127.0.0.1'] - Host of the HTTP endpoint
+ *  of the running server.
+ * @param {Number} [options.timeout=10000] - Time to wait for the client,
+ *  without `httpPort` (ms).
+ * @param {stream.Writable} [output=process.stdout]
+ * @return {Promise} - Resolves with the delivery report, rejects with an
+ *  `ETIMEDOUT` error if the client doesn't connect in time (or
+ *  `ENOTCONNECTED` if it is not connected to the running server), or an
+ *  `ENOTDELIVERED` error if it doesn't acknowledge the message.
+ */
+export function send(id, message, options = {}, output = process.stdout) {
+  const { timeout = 10000, clock = systemClock, httpPort = null } = options;
+  const print = createEventPrinter(output, options.json);
+
+  const checkReport = (report, rinfo) => {
+    const delivered = report.delivered.indexOf(id) !== -1;
+    print(delivered ? 'delivered' : 'failed', id, rinfo, message);
+
+    if (!delivered) {
+      throw createError('ENOTDELIVERED', `Message not delivered to "${id}"`);
+    }
+
+    return report;
+  };
+
+  if (httpPort !== null) {
+    return postMessage(id, message, options).then(report => checkReport(report, null));
+  }
+
+  const server = new DiscoveryServer(getConstructorOptions(options));
+
+  const waitForClient = () => new Promise((resolve, reject) => {
+    const onConnection = client => {
+      if (client.id === id) {
+        clock.clearTimeout(timeoutId);
+        server.removeListener('connection', onConnection);
+        resolve(client);
+      }
+    };
+
+    const timeoutId = clock.setTimeout(() => {
+      server.removeListener('connection', onConnection);
+      reject(createError('ETIMEDOUT', `Client "${id}" not connected`));
+    }, timeout);
+
+    server.on('connection', onConnection);
+  });
+
+  return server.start()
+    .then(waitForClient)
+    .then(client => {
+      return server.sendToClient(id, message).then(report => checkReport(report, client.rinfo));
+    })
+    .then(
+      report => server.stop().then(() => report),
+      err => server.stop().then(() => { throw err; })
+    );
+}
+
+/**
+ * Run a command of the command-line tool.
+ *
+ * @param {Array<String>} argv - Arguments, without the node and script paths.
+ * @param {stream.Writable} [output=process.stdout]
+ * @return {Promise} - Resolves with the running server or client for the
+ *  `server` and `client` commands, so that they can be stopped, or once the
+ *  other commands are done.
+ */
+export function run(argv, output = process.stdout) {
+  // invalid arguments and options reject as well
+  return Promise.resolve().then(() => {
+    const { command, args, options } = parseArgs(argv);
+
+    if (command === null || options.help) {
+      output.write(USAGE);
+      return null;
+    }
+
+    switch (command) {
+      case 'scan': {
+        const print = createPrinter(output, options.json, SERVER_COLUMNS);
+
+        return scan(options).then(servers => {
+          servers.forEach(server => {
+            const address = server.address + ':' + server.port;
+            print(options.json ? server : Object.assign({}, server, { address }));
+          });
+
+          return null;
+        });
+      }
+      case 'server': {
+        return runServer(options, output);
+      }
+      case 'client': {
+        return runClient(options, output);
+      }
+      case 'send': {
+        if (args.length < 2) {
+          throw new Error('Usage: node-discovery send <id> <message>');
+        }
+
+        return send(args[0], args[1], options, output).then(() => null);
+      }
+      case 'replay': {
+        if (args.length < 1) {
+          throw new Error('Usage: node-discovery replay <file>');
+        }
+
+        return replayCapture(args[0], getConstructorOptions(options)).then(sent => {
+          output.write(options.json ? JSON.stringify({ sent }) + '\n' : `${sent} datagrams sent\n`);
+          return null;
+        });
+      }
+      default: {
+        throw new Error(`Unknown command "${command}", see --help`);
+      }
+    }
+  });
+}
@@ -0,0 +1,121 @@
+import { getTime } from './utils';
+
+/**
+ * Clocks provide the time and the timers used by DiscoveryServer and
+ * DiscoveryClient:
+ * - `now()`: current time in seconds (monotonic)
+ * - `date()`: current date in ms since epoch, for the timestamps compared
+ *  with other devices (e.g. signed messages)
+ * - `setTimeout(fn, ms)`, `clearTimeout(id)`
+ * - `setInterval(fn, ms)`, `clearInterval(id)`
+ *
+ * `systemClock` (the default) relies on `process.hrtime` and the global
+ * timers, `VirtualClock` allows to control the time in tests.
+ */
+export const systemClock = {
+  now: getTime,
+  date: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: id => clearTimeout(id),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: id => clearInterval(id),
+};
+
+/**
+ * Clock whose time only moves forward when `advance` is called, running the
+ * timers due in order, so that timeouts and retries can be tested
+ * deterministically.
+ *
+ * @example
+ * import { VirtualClock } from '@ircam/node-discovery';
+ *
+ * const clock = new VirtualClock();
+ * const server = new DiscoveryServer({ clock, transports: [network.createTransport()] });
+ *
+ * clock.advance(10000); // server.disconnectTimeout elapsed
+ */
+export class VirtualClock {
+  constructor(start = 0, startDate = Date.now()) {
+    this._time = start; // ms
+    this._startDate = startDate - start; // ms since epoch, at time 0
+    this._timers = new Map(); // id -> { time, fn, interval }
+    this._timerId = 0;
+
+    // allow to pass the methods around, as for `systemClock`
+    this.now = this.now.bind(this);
+    this.date = this.date.bind(this);
+    this.setTimeout = this.setTimeout.bind(this);
+    this.clearTimeout = this.clearTimeout.bind(this);
+    this.setInterval = this.setInterval.bind(this);
+    this.clearInterval = this.clearInterval.bind(this);
+  }
+
+  now() {
+    return this._time * 0.001;
+  }
+
+  date() {
+    return this._startDate + this._time;
+  }
+
+  setTimeout(fn, ms = 0) {
+    this._timerId += 1;
+    this._timers.set(this._timerId, { time: this._time + Math.max(0, ms), fn, interval: null });
+
+    return this._timerId;
+  }
+
+  clearTimeout(id) {
+    this._timers.delete(id);
+  }
+
+  setInterval(fn, ms) {
+    const id = this.setTimeout(fn, ms);
+    this._timers.get(id).interval = Math.max(1, ms);
+
+    return id;
+  }
+
+  clearInterval(id) {
+    this._timers.delete(id);
+  }
+
+  /**
+   * Move the time forward, running the timers due on the way (including
+   * the ones they create).
+   *
+   * @param {Number} [ms=0]
+   */
+  advance(ms = 0) {
+    const end = this._time + ms;
+
+    while (true) {
+      let nextId = null;
+      let next = null;
+
+      // earliest timer, in creation order for the same time
+      for (let [id, timer] of this._timers.entries()) {
+        if (timer.time <= end && (next === null || timer.time < next.time)) {
+          nextId = id;
+          next = timer;
+        }
+      }
+
+      if (next === null) {
+        break;
+      }
+
+      this._time = next.time;
+
+      if (next.interval !== null) {
+        next.time += next.interval;
+      } else {
+        this._timers.delete(nextId);
+      }
+
+      next.fn();
+    }
+
+    this._time = end;
+  }
+}
@@ -1 +1,12 @@
+import os from 'os';
+import path from 'path';
+
 export const BROADCAST_PORT = 8090;
+export const BROADCAST_ADDRESS = '255.255.255.255';
+export const MULTICAST_ADDRESS = '239.255.80.90';
+export const MULTICAST_ADDRESS_IPV6 = 'ff02::8090';
+export const MDNS_ADDRESS = '224.0.0.251';
+export const MDNS_PORT = 5353;
+export const MDNS_SERVICE = '_node-discovery._udp.local';
+// file storing the id of a client device, see DiscoveryClient `idFile`
+export const ID_FILE = path.join(os.homedir(), '.node-discovery-id');
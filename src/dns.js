@@ -0,0 +1,254 @@
+/**
+ * Minimal DNS message encoding and decoding, as needed by the mDNS / DNS-SD
+ * mode (RFC 6762, RFC 6763).
+ *
+ * Records are `{ name, type, class, ttl, data }` objects, where `data`
+ * depends on the type:
+ * - `A`: address string
+ * - `PTR`: domain name
+ * - `SRV`: `{ priority, weight, port, target }`
+ * - `TXT`: object of string values
+ * - other types: raw Buffer
+ *
+ * Names are encoded without compression, compressed names are decoded.
+ */
+
+export const TYPES = {
+  A: 1,
+  PTR: 12,
+  TXT: 16,
+  AAAA: 28,
+  SRV: 33,
+  ANY: 255,
+};
+
+export const CLASS_IN = 1;
+// "unicast response" bit of questions, "cache flush" bit of records
+export const CLASS_FLAG = 0x8000;
+export const FLAG_RESPONSE = 0x8400; // response, authoritative answer
+
+const typeNames = {};
+Object.keys(TYPES).forEach(name => typeNames[TYPES[name]] = name);
+
+// unknown types are kept as numbers
+const getTypeCode = type => typeof type === 'number' ? type : TYPES[type];
+
+function encodeName(name) {
+  const labels = name.split('.').filter(label => label !== '');
+  const buffers = labels.map(label => {
+    const buffer = Buffer.from(label);
+    return Buffer.concat([Buffer.from([buffer.length]), buffer]);
+  });
+
+  buffers.push(Buffer.from([0]));
+
+  return Buffer.concat(buffers);
+}
+
+function encodeData(record) {
+  const data = record.data;
+
+  switch (record.type) {
+    case 'A':
+      return Buffer.from(data.split('.').map(byte => parseInt(byte)));
+    case 'PTR':
+      return encodeName(data);
+    case 'SRV': {
+      const header = Buffer.alloc(6);
+      header.writeUInt16BE(data.priority || 0, 0);
+      header.writeUInt16BE(data.weight || 0, 2);
+      header.writeUInt16BE(data.port, 4);
+
+      return Buffer.concat([header, encodeName(data.target)]);
+    }
+    case 'TXT': {
+      const strings = Object.keys(data).map(key => {
+        const buffer = Buffer.from(key + '=' + data[key]);
+        return Buffer.concat([Buffer.from([buffer.length]), buffer]);
+      });
+
+      // empty TXT records contain a single empty string
+      return strings.length > 0 ? Buffer.concat(strings) : Buffer.from([0]);
+    }
+    default:
+      return data;
+  }
+}
+
+/**
+ * Encode a DNS message.
+ *
+ * @param {Object} message
+ * @param {Number} [message.id=0]
+ * @param {Number} [message.flags=0]
+ * @param {Array<Object>} [message.questions=[]] - `{ name, type, class }`
+ * @param {Array<Object>} [message.answers=[]]
+ * @param {Array<Object>} [message.additionals=[]]
+ * @return {Buffer}
+ */
+export function encodePacket({ id = 0, flags = 0, questions = [], answers = [], additionals = [] }) {
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(flags, 2);
+  header.writeUInt16BE(questions.length, 4);
+  header.writeUInt16BE(answers.length, 6);
+  header.writeUInt16BE(0, 8);
+  header.writeUInt16BE(additionals.length, 10);
+
+  const buffers = [header];
+
+  for (let question of questions) {
+    const fields = Buffer.alloc(4);
+    fields.writeUInt16BE(getTypeCode(question.type), 0);
+    fields.writeUInt16BE(question.class || CLASS_IN, 2);
+
+    buffers.push(encodeName(question.name), fields);
+  }
+
+  for (let record of answers.concat(additionals)) {
+    const data = encodeData(record);
+    const fields = Buffer.alloc(10);
+    fields.writeUInt16BE(getTypeCode(record.type), 0);
+    fields.writeUInt16BE(record.class || CLASS_IN, 2);
+    fields.writeUInt32BE(record.ttl, 4);
+    fields.writeUInt16BE(data.length, 8);
+
+    buffers.push(encodeName(record.name), fields, data);
+  }
+
+  return Buffer.concat(buffers);
+}
+
+// return `{ name, offset }`, offset being the end of the name in the message
+function decodeName(buffer, offset) {
+  const labels = [];
+  let end = null;
+  let jumps = 0;
+
+  while (true) {
+    const length = buffer.readUInt8(offset);
+
+    if (length === 0) {
+      offset += 1;
+      break;
+    }
+
+    if ((length & 0xc0) === 0xc0) {
+      // compression pointer, guard against loops
+      if (++jumps > 16) {
+        throw new Error('Too many compression pointers');
+      }
+
+      if (end === null) {
+        end = offset + 2;
+      }
+
+      offset = buffer.readUInt16BE(offset) & 0x3fff;
+      continue;
+    }
+
+    if (offset + 1 + length > buffer.length) {
+      throw new Error('Truncated name');
+    }
+
+    labels.push(buffer.toString('utf8', offset + 1, offset + 1 + length));
+    offset += 1 + length;
+  }
+
+  return { name: labels.join('.'), offset: end !== null ? end : offset };
+}
+
+function decodeData(type, buffer, offset, length) {
+  switch (type) {
+    case 'A':
+      return Array.from(buffer.slice(offset, offset + 4)).join('.');
+    case 'PTR':
+      return decodeName(buffer, offset).name;
+    case 'SRV':
+      return {
+        priority: buffer.readUInt16BE(offset),
+        weight: buffer.readUInt16BE(offset + 2),
+        port: buffer.readUInt16BE(offset + 4),
+        target: decodeName(buffer, offset + 6).name,
+      };
+    case 'TXT': {
+      const data = {};
+      const end = offset + length;
+
+      while (offset < end) {
+        const size = buffer.readUInt8(offset);
+        const str = buffer.toString('utf8', offset + 1, offset + 1 + size);
+        const index = str.indexOf('=');
+
+        if (str !== '') {
+          data[index === -1 ? str : str.slice(0, index)] = index === -1 ? '' : str.slice(index + 1);
+        }
+
+        offset += 1 + size;
+      }
+
+      return data;
+    }
+    default:
+      return buffer.slice(offset, offset + length);
+  }
+}
+
+/**
+ * Decode a DNS message.
+ *
+ * @param {Buffer} buffer
+ * @return {Object} - `{ id, flags, questions, answers, additionals }`, where
+ *  `additionals` also contains the authority records.
+ * @throws {Error} - If the message is malformed.
+ */
+export function decodePacket(buffer) {
+  try {
+    const id = buffer.readUInt16BE(0);
+    const flags = buffer.readUInt16BE(2);
+    const counts = [4, 6, 8, 10].map(offset => buffer.readUInt16BE(offset));
+    const questions = [];
+    const records = [];
+    let offset = 12;
+
+    for (let i = 0; i < counts[0]; i++) {
+      const decoded = decodeName(buffer, offset);
+      const type = typeNames[buffer.readUInt16BE(decoded.offset)] || buffer.readUInt16BE(decoded.offset);
+
+      questions.push({ name: decoded.name, type, class: buffer.readUInt16BE(decoded.offset + 2) });
+      offset = decoded.offset + 4;
+    }
+
+    for (let i = 0; i < counts[1] + counts[2] + counts[3]; i++) {
+      const decoded = decodeName(buffer, offset);
+      const type = typeNames[buffer.readUInt16BE(decoded.offset)] || buffer.readUInt16BE(decoded.offset);
+      const length = buffer.readUInt16BE(decoded.offset + 8);
+      const dataOffset = decoded.offset + 10;
+
+      if (dataOffset + length > buffer.length) {
+        throw new Error('Truncated record');
+      }
+
+      records.push({
+        name: decoded.name,
+        type,
+        class: buffer.readUInt16BE(decoded.offset + 2),
+        ttl: buffer.readUInt32BE(decoded.offset + 4),
+        data: decodeData(type, buffer, dataOffset, length),
+      });
+
+      offset = dataOffset + length;
+    }
+
+    return {
+      id,
+      flags,
+      questions,
+      answers: records.slice(0, counts[1]),
+      additionals: records.slice(counts[1]),
+    };
+  } catch (err) {
+    // buffer reads throw RangeErrors on truncated messages
+    throw new Error('Malformed DNS message: ' + err.message);
+  }
+}
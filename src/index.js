@@ -2,5 +2,14 @@ import * as _config from './config';
 
 export { default as DiscoveryClient } from './DiscoveryClient';
 export { default as DiscoveryServer } from './DiscoveryServer';
+export { default as JsonFileStore } from './JsonFileStore';
+export { ProtocolError, PROTOCOL_VERSION, MAX_MESSAGE_SIZE, MAX_PAYLOAD_SIZE } from './protocol';
+export { RequestError } from './RpcChannel';
+export { getInterfaces } from './utils';
+export { systemClock, VirtualClock } from './clock';
+export { default as UdpTransport } from './UdpTransport';
+export { MemoryNetwork, MemoryTransport } from './MemoryNetwork';
+export { createConsoleLogger, withFields, silentLogger, LEVELS } from './logger';
+export { readCapture, replayCapture } from './PacketCapture';
 export const config = _config;
 
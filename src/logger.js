@@ -0,0 +1,124 @@
+/**
+ * Loggers used by DiscoveryServer, DiscoveryClient and their helpers (see
+ * their `logger` option).
+ *
+ * A logger is any object with `debug`, `info`, `warn` and `error` methods,
+ * called with a message and an object of structured fields, e.g.
+ * `logger.debug('receive', { direction: 'in', type: 'KEEPALIVE_REQ',
+ * messageId: 42, peer: '192.168.1.12:8090' })`. Levels are used as follows:
+ * - `debug`: packets, and messages that are ignored
+ * - `info`: state transitions, connections and disconnections
+ * - `warn`: refused and malformed messages
+ * - `error`: errors of the sockets and of the inventory
+ */
+
+export const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Logger discarding everything, used when no `logger` is given.
+ */
+export const silentLogger = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+function formatValue(value) {
+  if (typeof value === 'string') {
+    return /\s/.test(value) ? JSON.stringify(value) : value;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Create a logger writing a line per record, as text or as NDJSON.
+ *
+ * @example
+ * import { DiscoveryServer, createConsoleLogger } from '@ircam/node-discovery';
+ *
+ * const logger = createConsoleLogger({ level: 'debug', json: true });
+ * const server = new DiscoveryServer({ logger });
+ *
+ * @param {Object} [options]
+ * @param {String} [options.level='info'] - Minimum level of the records,
+ *  see `LEVELS`.
+ * @param {Boolean} [options.json=false] - Write NDJSON records
+ *  (`{ time, level, message, ...fields }`) instead of text.
+ * @param {stream.Writable} [options.output=process.stderr]
+ * @return {Object} - Logger.
+ */
+export function createConsoleLogger({
+  level = 'info',
+  json = false,
+  output = process.stderr,
+} = {}) {
+  const minLevel = LEVELS.indexOf(level);
+
+  if (minLevel === -1) {
+    throw new Error(`Invalid level "${level}"`);
+  }
+
+  const logger = {};
+
+  LEVELS.forEach((name, index) => {
+    if (index < minLevel) {
+      logger[name] = () => {};
+      return;
+    }
+
+    logger[name] = (message, fields = {}) => {
+      const time = new Date().toISOString();
+      let line;
+
+      if (json) {
+        line = JSON.stringify(Object.assign({ time, level: name, message }, fields));
+      } else {
+        const entries = Object.keys(fields)
+          .filter(key => fields[key] !== undefined)
+          .map(key => `${key}=${formatValue(fields[key])}`);
+
+        line = [time, name.toUpperCase(), message].concat(entries).join(' ');
+      }
+
+      output.write(line + '\n');
+    };
+  });
+
+  return logger;
+}
+
+/**
+ * Create a logger adding fields to every record of another logger, e.g. to
+ * identify the node in the logs of a fleet.
+ *
+ * @param {Object} logger
+ * @param {Object} fields
+ * @return {Object} - Logger.
+ */
+export function withFields(logger, fields) {
+  const child = {};
+
+  LEVELS.forEach(name => {
+    child[name] = (message, recordFields = {}) => {
+      logger[name](message, Object.assign({}, fields, recordFields));
+    };
+  });
+
+  return child;
+}
+
+/**
+ * Logger from the `logger` and legacy `verbose` options, `verbose` logging
+ * everything to the console.
+ *
+ * @private
+ */
+export function getLogger(logger = null, verbose = false) {
+  if (logger !== null) {
+    return logger;
+  }
+
+  return verbose ? createConsoleLogger({ level: 'debug' }) : silentLogger;
+}
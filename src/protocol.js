@@ -0,0 +1,282 @@
+/**
+ * Wire format shared by DiscoveryServer and DiscoveryClient.
+ *
+ * Each protocol message is a single datagram made of a fixed size header
+ * followed by an (optionally empty) payload:
+ *
+ * ```
+ *  0       2         3      4          5           9          13
+ *  | magic | version | type | encoding | messageId | length    | payload...
+ *  | 2B    | uint8   | uint8| uint8    | uint32 BE | uint32 BE | length B
+ * ```
+ *
+ * The magic bytes (`0xd1 0x5c`) are not a valid utf-8 sequence, so a framed
+ * message can never be mistaken for an application text message. Datagrams
+ * that carry neither the magic bytes nor a legacy text frame are considered
+ * as application messages and forwarded as is.
+ *
+ * Legacy text frames (e.g. `CONNECT_REQ 12 {"name": "Living Room"}`) sent by
+ * devices running a previous version of the library are still decoded, and
+ * flagged with `legacy: true` so that the server can answer in kind. Clients
+ * only send framed messages, so servers must be upgraded before clients.
+ *
+ * `CONNECT_REQ` and `KEEPALIVE_REQ` payloads are `{ payload, revision }`
+ * objects, where `payload` is the client payload. Keepalives omit the client
+ * payload when the server already knows its current `revision`.
+ *
+ * `KEEPALIVE_REQ` also carry the send `time` of the client, echoed in the
+ * `KEEPALIVE_ACK` with the receive and transmit times of the server, so that
+ * the client can estimate the round-trip time and the offset of the clocks.
+ *
+ * `MESSAGE` carry application messages sent by the server to connected
+ * clients, as a base64 encoded `data` entry, and are acknowledged by a
+ * `MESSAGE_ACK` with the same message id.
+ *
+ * `CONNECT_ACK` of servers opening TCP streams carry the `{ port, token }`
+ * of the stream of the connection, see the `stream` option of
+ * DiscoveryServer.
+ *
+ * Once an encrypted connection is established, every datagram exchanged
+ * between the client and the server (protocol or application message) is
+ * encrypted and sent as the binary payload of an `ENCRYPTED` message.
+ *
+ * Datagrams larger than the `maxDatagramSize` option (e.g. a client with a
+ * large payload), encrypted or not, are split in `FRAGMENT` messages, see
+ * FragmentChannel.
+ */
+
+import { isPlainObject } from './utils';
+
+export const PROTOCOL_VERSION = 1;
+
+// bytes, max size of a datagram reassembled from fragments
+export const MAX_DATAGRAM_SIZE = 1024 * 1024;
+
+// bytes, room left in a datagram for the header, the other entries of the
+// payload, the signature and encryption
+const OVERHEAD = 1024;
+
+// bytes, max size of the application messages carried by `MESSAGE`, once
+// base64 encoded
+export const MAX_MESSAGE_SIZE = 3 * Math.floor((MAX_DATAGRAM_SIZE - OVERHEAD) / 4);
+
+// bytes, max size of the payload of a client, serialized as JSON
+export const MAX_PAYLOAD_SIZE = MAX_DATAGRAM_SIZE - OVERHEAD;
+
+const MAGIC = Buffer.from([0xd1, 0x5c]);
+const HEADER_SIZE = 13;
+
+const types = [
+  'DISCOVER_REQ',
+  'DISCOVER_ACK',
+  'CONNECT_REQ',
+  'CONNECT_ACK',
+  'KEEPALIVE_REQ',
+  'KEEPALIVE_ACK',
+  'ERROR',
+  'REQUEST',
+  'RESPONSE',
+  'ENCRYPTED',
+  'DISCONNECT',
+  'MESSAGE',
+  'MESSAGE_ACK',
+  'FRAGMENT',
+  'FRAGMENT_ACK',
+];
+
+// type name <-> type code
+const typeCodes = {};
+types.forEach((type, index) => typeCodes[type] = index + 1);
+
+// payload encodings
+const ENCODING_NONE = 0;
+const ENCODING_JSON = 1;
+const ENCODING_BINARY = 2;
+
+// messages understood by devices running the text protocol
+const LEGACY_TYPES = [
+  'DISCOVER_REQ',
+  'DISCOVER_ACK',
+  'CONNECT_REQ',
+  'CONNECT_ACK',
+  'KEEPALIVE_REQ',
+  'KEEPALIVE_ACK',
+  'ERROR',
+];
+
+/**
+ * Error thrown when decoding a datagram that looks like a protocol message
+ * but cannot be understood.
+ *
+ * `code` is one of:
+ * - `'EMALFORMED'`: truncated datagram, unknown type or invalid payload
+ * - `'EVERSION'`: message sent with an unsupported protocol version
+ * - `'EDECRYPT'`: encrypted message that cannot be decrypted
+ * - `'EREPLAY'`: encrypted message already received
+ */
+export class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    // restore prototype chain, broken by transpiled `extends Error`
+    Object.setPrototypeOf(this, ProtocolError.prototype);
+
+    this.name = 'ProtocolError';
+    this.code = code;
+  }
+}
+
+/**
+ * Encode a protocol message.
+ *
+ * @param {String} type - Type of the message (e.g. `'CONNECT_REQ'`).
+ * @param {Number} messageId - Id of the message.
+ * @param {Object|Buffer} [payload=null] - Payload of the message, Buffers are
+ *  sent as binary data, anything else is serialized as JSON.
+ * @return {Buffer}
+ */
+export function encode(type, messageId, payload = null) {
+  const code = typeCodes[type];
+
+  if (code === undefined) {
+    throw new ProtocolError('EMALFORMED', `Unknown message type "${type}"`);
+  }
+
+  let encoding = ENCODING_NONE;
+  let body = Buffer.alloc(0);
+
+  if (Buffer.isBuffer(payload)) {
+    encoding = ENCODING_BINARY;
+    body = payload;
+  } else if (payload !== null && payload !== undefined) {
+    encoding = ENCODING_JSON;
+    body = Buffer.from(JSON.stringify(payload));
+  }
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(header, 0);
+  header.writeUInt8(PROTOCOL_VERSION, 2);
+  header.writeUInt8(code, 3);
+  header.writeUInt8(encoding, 4);
+  header.writeUInt32BE(messageId >>> 0, 5);
+  header.writeUInt32BE(body.length, 9);
+
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Encode a message using the legacy text protocol, to answer devices that
+ * are not yet aware of the framed protocol.
+ *
+ * @param {String} type - Type of the message.
+ * @param {Number} messageId - Id of the message.
+ * @param {Object} [payload=null] - Payload of the message.
+ * @return {Buffer}
+ */
+export function encodeLegacy(type, messageId, payload = null) {
+  let msg = type + ' ' + messageId;
+
+  if (type === 'ERROR') {
+    msg += ' ' + payload.type;
+  } else if (type === 'CONNECT_REQ' || type === 'KEEPALIVE_REQ') {
+    msg += ' ' + JSON.stringify(payload.payload || {});
+  }
+
+  return Buffer.from(msg);
+}
+
+function decodeLegacy(buffer) {
+  const str = buffer.toString();
+  const index = str.indexOf(' ');
+  const type = index === -1 ? str : str.slice(0, index);
+
+  if (LEGACY_TYPES.indexOf(type) === -1) {
+    return null;
+  }
+
+  const args = str.slice(index + 1).split(' ');
+  const messageId = parseInt(args[0]);
+
+  if (index === -1 || isNaN(messageId)) {
+    throw new ProtocolError('EMALFORMED', `Invalid legacy message "${str}"`);
+  }
+
+  // payload may contain spaces, so don't rely on the split
+  const rest = args.slice(1).join(' ');
+  let payload = null;
+
+  if (type === 'ERROR') {
+    payload = { type: rest };
+  } else if (type === 'CONNECT_REQ' || type === 'KEEPALIVE_REQ') {
+    // legacy devices send their whole payload, without revision
+    let parsed = {};
+
+    try {
+      parsed = JSON.parse(rest);
+    } catch(e) {}
+
+    // e.g. `null`, that is not a payload
+    payload = { payload: isPlainObject(parsed) ? parsed : {} };
+  }
+
+  return { type, messageId, payload, legacy: true };
+}
+
+/**
+ * Decode a datagram.
+ *
+ * @param {Buffer} buffer - Received datagram.
+ * @return {Object|null} - `{ type, messageId, payload, version, legacy }`, or
+ *  `null` if the datagram is not a protocol message.
+ * @throws {ProtocolError} - If the datagram is a malformed protocol message
+ *  or uses an unsupported protocol version.
+ */
+export function decode(buffer) {
+  if (buffer.length < MAGIC.length || MAGIC.compare(buffer, 0, MAGIC.length) !== 0) {
+    return decodeLegacy(buffer);
+  }
+
+  if (buffer.length < HEADER_SIZE) {
+    throw new ProtocolError('EMALFORMED', `Truncated header (${buffer.length} bytes)`);
+  }
+
+  const version = buffer.readUInt8(2);
+
+  if (version !== PROTOCOL_VERSION) {
+    throw new ProtocolError('EVERSION', `Unsupported protocol version ${version}`);
+  }
+
+  const type = types[buffer.readUInt8(3) - 1];
+  const encoding = buffer.readUInt8(4);
+  const messageId = buffer.readUInt32BE(5);
+  const length = buffer.readUInt32BE(9);
+
+  if (type === undefined) {
+    throw new ProtocolError('EMALFORMED', `Unknown message type ${buffer.readUInt8(3)}`);
+  }
+
+  if (buffer.length - HEADER_SIZE !== length) {
+    throw new ProtocolError('EMALFORMED', `Invalid payload length (expected ${length} bytes, got ${buffer.length - HEADER_SIZE})`);
+  }
+
+  const body = buffer.slice(HEADER_SIZE);
+  let payload = null;
+
+  switch (encoding) {
+    case ENCODING_NONE:
+      break;
+    case ENCODING_JSON:
+      try {
+        payload = JSON.parse(body.toString());
+      } catch (err) {
+        throw new ProtocolError('EMALFORMED', `Invalid JSON payload for ${type}`);
+      }
+      break;
+    case ENCODING_BINARY:
+      payload = body;
+      break;
+    default:
+      throw new ProtocolError('EMALFORMED', `Unknown payload encoding ${encoding}`);
+  }
+
+  return { type, messageId, payload, version, legacy: false };
+}
@@ -0,0 +1,144 @@
+import crypto from 'crypto';
+import net from 'net';
+
+/**
+ * TCP streams opened alongside discovery connections (see the `stream`
+ * option of DiscoveryServer).
+ *
+ * The server advertises `{ port, token }` in its `CONNECT_ACK`, the client
+ * then connects to this port and sends the token followed by a newline, so
+ * that the server can associate the socket to the client. Anything sent
+ * after belongs to the application. A token is only valid for a single
+ * socket of a single connection.
+ *
+ * As the `CONNECT_ACK` is not encrypted, the token of an encrypted (or
+ * signed) connection is followed by a proof, `token proof\n`, that only the
+ * client of the connection can compute (see `createStreamProof`).
+ */
+
+// bytes, token and proof are short hex strings
+const MAX_LINE_SIZE = 160;
+
+/**
+ * Proof of the knowledge of the keys of a connection (or of the shared
+ * secret if the connection is not encrypted), sent with the token.
+ *
+ * @param {String} token
+ * @param {Object} [keys]
+ * @param {Session} [keys.session=null] - Session of the connection.
+ * @param {String} [keys.secret=null] - Shared secret.
+ * @return {String|null} - `null` if the connection is neither encrypted nor
+ *  signed.
+ */
+export function createStreamProof(token, { session = null, secret = null } = {}) {
+  const data = 'stream ' + token;
+
+  if (session !== null) {
+    return session.sign(data);
+  } else if (secret !== null) {
+    return crypto.createHmac('sha256', secret).update(data).digest('hex');
+  }
+
+  return null;
+}
+
+/**
+ * Check the proof sent with a token, see `createStreamProof`.
+ *
+ * @param {String|null} proof - Received proof.
+ * @param {String|null} expected - Proof of the connection.
+ * @return {Boolean}
+ */
+export function checkStreamProof(proof, expected) {
+  if (expected === null) {
+    return true;
+  }
+
+  if (proof === null) {
+    return false;
+  }
+
+  const received = Buffer.from(proof);
+  const buffer = Buffer.from(expected);
+
+  // e.g. non-ASCII characters, `timingSafeEqual` throws on different lengths
+  if (received.length !== buffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(received, buffer);
+}
+
+/**
+ * Open the stream of a connection.
+ *
+ * @param {Object} options
+ * @param {String} options.address - Address of the server.
+ * @param {Number} options.port - Port advertised by the server.
+ * @param {String} options.token - Token advertised by the server.
+ * @param {String} [options.proof=null] - See `createStreamProof`.
+ * @return {net.Socket}
+ */
+export function connectStream({ address, port, token, proof = null }) {
+  const socket = net.connect({ host: address, port });
+
+  socket.write(token + (proof !== null ? ' ' + proof : '') + '\n');
+
+  return socket;
+}
+
+/**
+ * Read the token (and proof) sent by a client at the beginning of a stream.
+ * Data sent after the token is left in the socket for the application.
+ *
+ * @param {net.Socket} socket
+ * @param {Number} timeout - Time to wait for the token (ms).
+ * @param {Function} callback - Called with the token and the proof (`null`
+ *  if none), if a token is received before `timeout`.
+ */
+export function readStreamToken(socket, timeout, callback) {
+  let buffer = Buffer.alloc(0);
+
+  const onReadable = () => {
+    let chunk;
+
+    while ((chunk = socket.read()) !== null) {
+      buffer = Buffer.concat([buffer, chunk]);
+      const end = buffer.indexOf('\n');
+
+      if (end !== -1) {
+        socket.removeListener('readable', onReadable);
+        socket.setTimeout(0);
+
+        if (end + 1 < buffer.length) {
+          socket.unshift(buffer.slice(end + 1));
+        }
+
+        const [token, proof = null] = buffer.slice(0, end).toString().split(' ');
+
+        callback(token, proof);
+        return;
+      }
+
+      if (buffer.length > MAX_LINE_SIZE) {
+        socket.destroy();
+        return;
+      }
+    }
+  };
+
+  socket.setTimeout(timeout, () => socket.destroy());
+  socket.on('readable', onReadable);
+}
+
+/**
+ * Close a stream, letting pending data be sent unless the peer doesn't
+ * close its side before `timeout`.
+ *
+ * @param {net.Socket} socket
+ * @param {Number} timeout - ms
+ */
+export function endStream(socket, timeout) {
+  socket.end();
+  socket.setTimeout(timeout, () => socket.destroy());
+}
@@ -1,4 +1,171 @@
+import os from 'os';
+
 export const getTime = () => {
   const hrtime = process.hrtime();
   return hrtime[0] + hrtime[1] * 1e-9;
 }
+
+/**
+ * Whether a value is a plain object, i.e. a valid client payload.
+ *
+ * @param {*} value
+ * @return {Boolean}
+ */
+export const isPlainObject = value => {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * Shallow diff between two payloads.
+ *
+ * @param {Object} prev - Previous payload.
+ * @param {Object} next - New payload.
+ * @return {Object} - New values of the changed entries, removed entries are
+ *  set to `undefined`.
+ */
+export const diffPayload = (prev, next) => {
+  const changes = {};
+  const keys = new Set(Object.keys(prev).concat(Object.keys(next)));
+
+  for (let key of keys) {
+    // values come from JSON, so comparing their serialization is enough
+    if (JSON.stringify(prev[key]) !== JSON.stringify(next[key])) {
+      changes[key] = next[key];
+    }
+  }
+
+  return changes;
+}
+
+const toInt = address => {
+  return address.split('.').reduce((acc, byte) => (acc << 8) + parseInt(byte), 0) >>> 0;
+}
+
+const toAddress = int => [24, 16, 8, 0].map(shift => (int >>> shift) & 0xff).join('.');
+
+// 16 bytes of an IPv6 address, without its scope
+const toBytes6 = address => {
+  const halves = address.split('%')[0].split('::');
+  const groups = halves.map(half => half === '' ? [] : half.split(':'));
+  const last = groups[groups.length - 1];
+
+  // IPv4 suffix, e.g. `::ffff:192.168.1.2`
+  if (last.length > 0 && last[last.length - 1].indexOf('.') !== -1) {
+    const int = toInt(last.pop());
+    last.push((int >>> 16).toString(16), (int & 0xffff).toString(16));
+  }
+
+  const words = groups.length === 1 ? groups[0] : groups[0].concat(
+    new Array(8 - groups[0].length - groups[1].length).fill('0'),
+    groups[1]
+  );
+
+  const bytes = Buffer.alloc(16);
+  words.forEach((word, index) => bytes.writeUInt16BE(parseInt(word, 16), index * 2));
+
+  return bytes;
+}
+
+const sameSubnet6 = (address, info) => {
+  const bytes = toBytes6(address);
+  const local = toBytes6(info.address);
+  const netmask = toBytes6(info.netmask);
+
+  for (let i = 0; i < 16; i++) {
+    if ((bytes[i] & netmask[i]) !== (local[i] & netmask[i])) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * List the network interfaces of the machine.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.family='IPv4'] - `'IPv4'` or `'IPv6'`.
+ * @param {Array<String>} [options.names=null] - Only list these interfaces
+ *  (e.g. `['eth0', 'wlan0']`), internal or not.
+ * @param {Boolean} [options.internal=false] - Also list internal interfaces
+ *  (i.e. loopback) when `names` is not set.
+ * @return {Array<Object>} - `{ name, address, netmask, broadcast }` entries,
+ *  `broadcast` being the directed broadcast address of the interface subnet
+ *  (`null` for IPv6).
+ */
+export const getInterfaces = ({ family = 'IPv4', names = null, internal = false } = {}) => {
+  const interfaces = os.networkInterfaces();
+  const list = [];
+
+  for (let name of Object.keys(interfaces)) {
+    for (let info of interfaces[name]) {
+      // `family` is a number in some node versions
+      if (info.family !== family && info.family !== parseInt(family.slice(3))) {
+        continue;
+      }
+
+      if (names !== null ? names.indexOf(name) === -1 : info.internal && !internal) {
+        continue;
+      }
+
+      let broadcast = null;
+
+      if (family === 'IPv4') {
+        broadcast = toAddress((toInt(info.address) | ~toInt(info.netmask)) >>> 0);
+      }
+
+      list.push({ name, address: info.address, netmask: info.netmask, broadcast });
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Find the interface whose subnet contains an address, or the interface of a
+ * scoped IPv6 address (e.g. `fe80::1%eth0`).
+ *
+ * @param {String} address
+ * @param {Array<Object>} interfaces - As returned by `getInterfaces`, IPv4
+ *  and IPv6 entries may be mixed.
+ * @return {Object|null}
+ */
+export const findInterface = (address, interfaces) => {
+  // IPv4 peers of dual-stack sockets
+  if (/^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(address)) {
+    address = address.slice(7);
+  }
+
+  if (address.indexOf(':') !== -1) {
+    const name = address.split('%')[1];
+
+    if (name !== undefined) {
+      return { name, address: null, netmask: null, broadcast: null };
+    }
+
+    // global and unique local addresses are not scoped
+    for (let info of interfaces) {
+      if (info.address.indexOf(':') !== -1 && sameSubnet6(address, info)) {
+        return info;
+      }
+    }
+
+    return null;
+  }
+
+  const int = toInt(address);
+
+  for (let info of interfaces) {
+    if (info.address.indexOf(':') !== -1) {
+      continue;
+    }
+
+    const netmask = toInt(info.netmask);
+
+    if (((int & netmask) >>> 0) === ((toInt(info.address) & netmask) >>> 0)) {
+      return info;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,185 @@
+import test from 'tape';
+import Authenticator from '../src/Authenticator';
+import { DiscoveryServer, MemoryNetwork, VirtualClock } from '../src/index';
+import { encode, decode } from '../src/protocol';
+import { setupMemoryNetwork } from './helpers';
+
+// server with a secret and a raw peer sending handcrafted messages, signed
+// by `auth` as a client knowing the secret
+function setup(options = {}) {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock });
+  const server = new DiscoveryServer(Object.assign({
+    id: 'server',
+    secret: 'secret',
+    transports: [network.createTransport()],
+    clock,
+  }, options));
+
+  const auth = new Authenticator({ secret: 'secret', role: 'client', clock });
+  const peer = network.createTransport();
+  const received = [];
+  const rejected = [];
+
+  peer.on('message', buffer => received.push(decode(buffer)));
+  server.on('rejected', (rinfo, reason, type) => rejected.push([reason, type]));
+
+  const sendBuffer = buffer => {
+    peer.send(buffer, server.broadcastPort, server.transports[0].address);
+    clock.advance(0);
+  };
+
+  const sign = (type, messageId, payload = {}) => encode(type, messageId, auth.sign(type, messageId, payload));
+  const send = (type, messageId, payload) => sendBuffer(sign(type, messageId, payload));
+
+  return Promise.all([server.start(), peer.bind(9000)])
+    .then(() => ({ clock, server, received, rejected, sign, send, sendBuffer }));
+}
+
+test('auth: clients must know the secret', t => {
+  const { clock, server, client } = setupMemoryNetwork({
+    server: { secret: 'secret' },
+    client: { secret: 'secret' },
+  });
+  const packets = [];
+
+  server.on('packet', ({ direction, type, payload }) => packets.push([direction, type, payload]));
+
+  Promise.all([server.start(), client.start()])
+    .then(() => {
+      clock.advance(1000);
+
+      t.equal(client.state, 'connected');
+      t.ok(packets.length > 0);
+      t.ok(packets.every(([direction, type, payload]) => payload.auth !== undefined), 'messages are signed');
+
+      const [, , ack] = packets.find(([direction, type]) => type === 'DISCOVER_ACK');
+      t.equal(typeof ack.challenge, 'string', 'discovery acks carry a challenge');
+
+      return Promise.all([client.stop(), server.stop()]);
+    })
+    .then(() => {
+      // wrong secret, or none
+      const wrong = setupMemoryNetwork({
+        server: { secret: 'secret' },
+        client: { secret: 'other' },
+      });
+      const none = setupMemoryNetwork({ server: { secret: 'secret' } });
+      const rejected = [];
+
+      wrong.server.on('rejected', (rinfo, reason) => rejected.push(reason));
+      none.server.on('rejected', (rinfo, reason) => rejected.push(reason));
+
+      return Promise.all([wrong.server.start(), wrong.client.start(), none.server.start(), none.client.start()])
+        .then(() => {
+          wrong.clock.advance(1000);
+          none.clock.advance(1000);
+
+          t.notEqual(wrong.client.state, 'connected');
+          t.notEqual(none.client.state, 'connected');
+          t.equal(wrong.server.clients.size + none.server.clients.size, 0);
+          t.ok(rejected.indexOf('signature') !== -1, 'wrong secret');
+          t.ok(rejected.indexOf('unsigned') !== -1, 'no secret');
+
+          return Promise.all([wrong.client.stop(), wrong.server.stop(), none.client.stop(), none.server.stop()]);
+        });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('auth: connection requests need the challenge of the discovery', t => {
+  setup().then(({ clock, server, received, rejected, send }) => {
+    send('CONNECT_REQ', 1, { id: 'device', challenge: 'deadbeefdeadbeef' });
+
+    t.deepEqual(rejected, [['challenge', 'CONNECT_REQ']], 'no discovery');
+    t.equal(received.length, 0);
+
+    send('DISCOVER_REQ', 2, { namespace: null });
+
+    t.equal(received[0].type, 'DISCOVER_ACK');
+
+    const { challenge } = received[0].payload;
+
+    send('CONNECT_REQ', 3, { id: 'device', challenge: 'deadbeefdeadbeef' });
+    t.deepEqual(rejected[1], ['challenge', 'CONNECT_REQ'], 'wrong challenge');
+
+    // challenges expire with the replay window
+    clock.advance(31000);
+    send('CONNECT_REQ', 4, { id: 'device', challenge });
+    t.deepEqual(rejected[2], ['challenge', 'CONNECT_REQ'], 'expired challenge');
+
+    send('DISCOVER_REQ', 5, { namespace: null });
+    send('CONNECT_REQ', 6, { id: 'device', challenge: received[1].payload.challenge });
+
+    t.equal(rejected.length, 3);
+    t.equal(received[2].type, 'CONNECT_ACK');
+    t.ok(server.clients.has('device'));
+
+    return server.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('auth: unsigned, forged, expired and replayed messages are rejected', t => {
+  setup().then(({ clock, server, received, rejected, sign, sendBuffer }) => {
+    const other = new Authenticator({ secret: 'other', role: 'client', clock });
+    const expired = sign('DISCOVER_REQ', 4, { namespace: null });
+
+    // older than the replay window
+    clock.advance(60000);
+
+    const request = sign('DISCOVER_REQ', 1, { namespace: null });
+
+    sendBuffer(encode('DISCOVER_REQ', 2, { namespace: null }));
+    sendBuffer(encode('DISCOVER_REQ', 3, other.sign('DISCOVER_REQ', 3, { namespace: null })));
+    sendBuffer(expired);
+    sendBuffer(request);
+    sendBuffer(request);
+
+    t.deepEqual(rejected.map(([reason]) => reason), ['unsigned', 'signature', 'expired', 'replay']);
+    t.equal(received.length, 1, 'valid request is answered once');
+    t.equal(received[0].messageId, 1);
+    t.equal(server.metrics.dropped.replay, 1, 'rejections are counted');
+
+    return server.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('auth: clients ignore errors that are not signed by the server', t => {
+  const { clock, network, server, client } = setupMemoryNetwork({
+    server: { secret: 'secret' },
+    client: { secret: 'secret' },
+  });
+  const peer = network.createTransport();
+  const states = [];
+
+  client.on('state', state => states.push(state));
+
+  Promise.all([server.start(), client.start(), peer.bind(0)])
+    .then(() => {
+      clock.advance(1000);
+
+      t.equal(client.state, 'connected');
+
+      const other = new Authenticator({ secret: 'other', role: 'server', clock });
+      const payload = { type: 'KEEPALIVE_REQ', code: 'ENOTCONNECTED', message: 'Client not connected' };
+      const count = states.length;
+
+      // errors are accepted in clear, the attacker only needs the message id
+      peer.send(encode('ERROR', client.messageId, payload), client.port, client.transport.address);
+      peer.send(encode('ERROR', client.messageId, other.sign('ERROR', client.messageId, payload)),
+        client.port, client.transport.address);
+      clock.advance(10);
+
+      t.equal(client.state, 'connected', 'spoofed errors are ignored');
+      t.equal(states.length, count);
+
+      return Promise.all([peer.close(), client.stop(), server.stop()]);
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
@@ -0,0 +1,258 @@
+import test from 'tape';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DiscoveryServer, MemoryNetwork, VirtualClock } from '../src/index';
+import { parseArgs, scan, runServer, runClient, send, run } from '../src/cli';
+import { advanceUntil, getFreeTcpPort } from './helpers';
+
+// writable stream collecting the printed lines
+function createOutput() {
+  const lines = [];
+
+  return {
+    lines,
+    write: chunk => chunk.split('\n').filter(line => line !== '').forEach(line => lines.push(line)),
+    json: () => lines.map(line => JSON.parse(line)),
+  };
+}
+
+test('cli: options are parsed from flags', t => {
+  const { command, args, options } = parseArgs([
+    'send', 'device', 'hello',
+    '--broadcast-port', '9000',
+    '--transports', 'broadcast,ipv6',
+    '--encrypt',
+    '--name=main',
+    '--payload.role', 'speaker',
+    '--payload.volume', '0.5',
+    '--no-multicast-loopback',
+    '--accept', '{"role":"speaker"}',
+  ]);
+
+  t.equal(command, 'send');
+  t.deepEqual(args, ['device', 'hello'], 'positional arguments');
+  t.deepEqual(options, {
+    broadcastPort: 9000,
+    transports: ['broadcast', 'ipv6'],
+    encrypt: true,
+    name: 'main',
+    payload: { role: 'speaker', volume: '0.5' },
+    multicastLoopback: false,
+    accept: { role: 'speaker' },
+  });
+
+  t.deepEqual(parseArgs(['client', '--interfaces', 'all']).options, { interfaces: 'all' });
+  t.deepEqual(parseArgs(['client', '--id', '0042', '--secret=1234', '--namespace', 'true', '--priority', '2']).options, {
+    id: '0042',
+    secret: '1234',
+    namespace: 'true',
+    priority: 2,
+  }, 'string options are not converted');
+  t.deepEqual(parseArgs(['client', '--id-file', '1234']).options, { idFile: '1234' });
+  t.deepEqual(parseArgs(['client', '--no-id-file']).options, { idFile: false }, 'new id on each start');
+  t.equal(parseArgs([]).command, null);
+  t.throws(() => parseArgs(['--payload', '{oops']), /Invalid JSON/);
+  t.end();
+});
+
+test('cli: scan lists the servers', t => {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock, delay: 2 });
+  const servers = ['main', 'backup'].map((name, index) => new DiscoveryServer({
+    clock,
+    id: name,
+    name,
+    priority: 1 - index,
+    transports: [network.createTransport()],
+  }));
+  const other = new DiscoveryServer({ clock, namespace: 'other', transports: [network.createTransport()] });
+
+  Promise.all(servers.concat(other).map(server => server.start()))
+    .then(() => {
+      return advanceUntil(clock, scan({ clock, transport: network.createTransport(), timeout: 100 }), 10);
+    })
+    .then(list => {
+      t.deepEqual(list.map(server => server.id).sort(), ['backup', 'main'], 'servers of the namespace');
+      t.equal(list[0].rtt, 4, 'round-trip time in ms');
+      t.equal(list[0].port, servers[0].broadcastPort);
+      t.equal(typeof list[0].address, 'string');
+
+      return Promise.all(servers.concat(other).map(server => server.stop()));
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('cli: server and client print their events', t => {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock, delay: 1 });
+  const serverOutput = createOutput();
+  const clientOutput = createOutput();
+  const file = path.join(os.tmpdir(), `node-discovery-payload-${process.pid}.json`);
+  let server;
+  let client;
+
+  fs.writeFileSync(file, JSON.stringify({ role: 'speaker', volume: 1 }));
+
+  runServer({ clock, json: true, transports: [network.createTransport()] }, serverOutput)
+    .then(instance => {
+      server = instance;
+
+      return runClient({
+        clock,
+        json: true,
+        id: 'device',
+        payloadFile: file,
+        payload: { volume: 0.5 },
+        transport: network.createTransport(),
+      }, clientOutput);
+    })
+    .then(instance => {
+      client = instance;
+      clock.advance(1000);
+
+      const [connection] = serverOutput.json();
+      t.equal(connection.event, 'connection');
+      t.equal(connection.id, 'device');
+      t.equal(connection.address, client.transport.address + ':' + client.transport.port);
+      t.deepEqual(connection.details, { role: 'speaker', volume: 0.5 }, 'payload from file and flags');
+      t.equal(clientOutput.json()[0].event, 'connection');
+
+      client.setPayload({ volume: 0.2 });
+      clock.advance(10);
+      server.disconnect('device', 'maintenance');
+      clock.advance(10);
+
+      t.deepEqual(serverOutput.json().slice(1).map(row => [row.event, row.details]), [
+        ['update', { volume: 0.2 }],
+        ['close', 'maintenance'],
+      ]);
+      t.deepEqual(clientOutput.json()[1].details, 'maintenance');
+
+      return Promise.all([client.stop(), server.stop()]);
+    })
+    .then(() => {
+      fs.unlinkSync(file);
+      t.end();
+    })
+    .catch(t.end);
+});
+
+test('cli: tables', t => {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock, delay: 1 });
+  const output = createOutput();
+  let server;
+
+  runServer({ clock, transports: [network.createTransport()] }, output)
+    .then(instance => {
+      server = instance;
+      return runClient({ clock, id: 'device', transport: network.createTransport() }, createOutput());
+    })
+    .then(client => {
+      clock.advance(1000);
+
+      t.deepEqual(output.lines[0].split(/\s+/), ['TIME', 'EVENT', 'ID', 'ADDRESS', 'DETAILS'], 'header');
+      t.deepEqual(output.lines[1].split(/\s+/).slice(1), [
+        'connection',
+        'device',
+        client.transport.address + ':' + client.transport.port,
+        '{}',
+      ]);
+
+      return Promise.all([client.stop(), server.stop()]);
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('cli: send a message to a client', t => {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock, delay: 1 });
+  const clientOutput = createOutput();
+  const output = createOutput();
+  let client;
+
+  runClient({ clock, json: true, id: 'device', transport: network.createTransport() }, clientOutput)
+    .then(instance => {
+      client = instance;
+
+      return advanceUntil(clock, send('device', 'hello', {
+        clock,
+        json: true,
+        transports: [network.createTransport()],
+      }, output));
+    })
+    .then(report => {
+      clock.advance(10);
+
+      t.deepEqual(report.delivered, ['device']);
+      t.equal(output.json()[0].event, 'delivered');
+      t.deepEqual(clientOutput.json().map(row => row.event), ['connection', 'message', 'close']);
+      t.equal(clientOutput.json()[1].details, 'hello');
+
+      return advanceUntil(clock, send('unknown', 'hello', {
+        clock,
+        timeout: 1000,
+        transports: [network.createTransport()],
+      }, output));
+    })
+    .then(() => t.fail('should reject'), err => t.equal(err.code, 'ETIMEDOUT', 'client not connected'))
+    .then(() => client.stop())
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('cli: send a message through a running server', t => {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock, delay: 1 });
+  const output = createOutput();
+  let server;
+  let client;
+  let httpPort;
+
+  getFreeTcpPort()
+    .then(port => {
+      httpPort = port;
+
+      return Promise.all([
+        runServer({ clock, httpPort, transports: [network.createTransport()] }, createOutput()),
+        runClient({ clock, id: '0042', transport: network.createTransport() }, createOutput()),
+      ]);
+    })
+    .then(instances => {
+      [server, client] = instances;
+      clock.advance(1000);
+
+      return advanceUntil(clock, run(['send', '0042', 'hello', '--http-port', String(httpPort), '--json'], output));
+    })
+    .then(() => {
+      t.equal(output.json()[0].event, 'delivered');
+      t.equal(output.json()[0].id, '0042');
+      t.equal(server.clients.size, 1, 'client stays connected to the server');
+
+      return send('unknown', 'hello', { httpPort }, output);
+    })
+    .then(() => t.fail('should reject'), err => t.equal(err.code, 'ENOTCONNECTED'))
+    .then(() => Promise.all([client.stop(), server.stop()]))
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('cli: usage and errors', t => {
+  const output = createOutput();
+
+  run(['--help'], output)
+    .then(result => {
+      t.equal(result, null);
+      t.ok(/^Usage: node-discovery/.test(output.lines[0]));
+
+      return run(['unknown'], output);
+    })
+    .then(() => t.fail('should reject'), err => t.ok(/Unknown command/.test(err.message)))
+    .then(() => run(['send', 'device'], output))
+    .then(() => t.fail('should reject'), err => t.ok(/Usage/.test(err.message)))
+    .then(() => t.end())
+    .catch(t.end);
+});
@@ -1,30 +1,726 @@
-const { DiscoveryClient } = require('../dist/index');
-const { BROADCAST_PORT } = require('../dist/config');
+import test from 'tape';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DiscoveryClient, DiscoveryServer, MemoryNetwork, VirtualClock } from '../src/index';
+import { encode, decode } from '../src/protocol';
 
-const num = process.argv[2];
-const port = BROADCAST_PORT + parseInt(num);
+const CLIENT_PORT = 9000;
 
-console.log('client will be on port:', port);
+// raw peer playing a server, bound to the broadcast port of the client
+function createPeer(clock, network, client) {
+  const peer = network.createTransport();
+  const received = [];
 
-const client = new DiscoveryClient({
-  verbose: true,
-  port: port,
-  payload: { hostname: `pouet-${num}.local` },
+  peer.on('message', buffer => received.push(decode(buffer)));
+
+  const reply = (type, messageId, payload = null) => {
+    peer.send(encode(type, messageId, payload), CLIENT_PORT, client.transport.address);
+    clock.advance(0);
+  };
+
+  const last = type => received.filter(msg => msg.type === type).pop();
+
+  return peer.bind(client.broadcastPort).then(() => ({ peer, received, reply, last }));
+}
+
+// client on an in-memory network, and a raw peer playing the server,
+// datagrams being delivered on `clock.advance`
+function setup(options = {}) {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock });
+  const client = new DiscoveryClient(Object.assign({
+    id: 'device',
+    port: CLIENT_PORT,
+    transport: network.createTransport(),
+    backoffJitter: 0, // deterministic retries
+    clock,
+  }, options));
+
+  return createPeer(clock, network, client)
+    .then(({ peer, received, reply, last }) => {
+      return client.start().then(() => {
+        clock.advance(0);
+        return { clock, network, client, peer, received, reply, last };
+      });
+    });
+}
+
+// code of the error thrown by `fn`, if any
+function errorCode(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err.code;
+  }
+
+  return null;
+}
+
+// answer the discovery and the connection request
+function connect(env) {
+  const { clock, reply, last } = env;
+
+  reply('DISCOVER_ACK', last('DISCOVER_REQ').messageId, { id: 'server', priority: 0 });
+  clock.advance(env.client.discoverWindow);
+  reply('CONNECT_ACK', last('CONNECT_REQ').messageId);
+
+  return env;
+}
+
+test('client: discovery and connection', t => {
+  setup().then(env => {
+    const { client, received, last } = env;
+    const connections = [];
+    const stats = [];
+
+    client.on('connection', rinfo => connections.push(rinfo));
+    client.on('stats', values => stats.push(values));
+
+    t.equal(received.length, 1);
+    t.equal(received[0].type, 'DISCOVER_REQ', 'broadcasts a discovery request');
+
+    connect(env);
+
+    const connectReq = last('CONNECT_REQ');
+    t.equal(connectReq.payload.id, 'device');
+    t.equal(connectReq.payload.revision, 0);
+    t.equal(connections.length, 1, 'emits connection');
+    t.equal(client.state, 'connected');
+    t.ok(client.servers.has('server'), 'lists the discovered server');
+
+    const keepalive = last('KEEPALIVE_REQ');
+    t.ok(keepalive, 'sends keepalives once connected');
+    t.equal(keepalive.payload.id, 'device');
+
+    const time = keepalive.payload.time;
+    env.reply('KEEPALIVE_ACK', keepalive.messageId, { time, receiveTime: time, transmitTime: time });
+
+    t.equal(stats.length, 1, 'emits stats on keepalive ack');
+    t.equal(stats[0].rtt, 0);
+
+    return client.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('client: sending requires a connection', t => {
+  setup().then(env => {
+    const { client, clock, peer } = env;
+    const messages = [];
+
+    t.equal(errorCode(() => client.send('hello')), 'ENOTCONNECTED', 'discovering');
+
+    connect(env);
+    peer.on('message', buffer => messages.push(buffer.toString()));
+    client.send('hello');
+    clock.advance(0);
+
+    t.deepEqual(messages, ['hello']);
+
+    return client.stop().then(() => {
+      t.equal(errorCode(() => client.send('hello')), 'ENOTCONNECTED', 'stopped');
+    });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('client: ignores messages with stale message ids', t => {
+  setup().then(env => {
+    const { client, clock, reply, last } = env;
+    const stats = [];
+
+    client.on('stats', values => stats.push(values));
+
+    const firstDiscoverReq = last('DISCOVER_REQ');
+    clock.advance(client.discoverInterval);
+    const discoverReq = last('DISCOVER_REQ');
+
+    t.notEqual(discoverReq.messageId, firstDiscoverReq.messageId, 'discovery is sent again');
+
+    reply('DISCOVER_ACK', firstDiscoverReq.messageId, { id: 'server' });
+    clock.advance(client.discoverWindow);
+
+    t.equal(client.servers.size, 0, 'stale discover ack is ignored');
+    t.notOk(last('CONNECT_REQ'));
+
+    reply('DISCOVER_ACK', discoverReq.messageId, { id: 'server' });
+    clock.advance(client.discoverWindow);
+
+    const connectReq = last('CONNECT_REQ');
+    t.ok(connectReq, 'connects to the server');
+
+    reply('CONNECT_ACK', connectReq.messageId - 1);
+
+    t.equal(client.state, 'disconnected', 'stale connect ack is ignored');
+
+    reply('CONNECT_ACK', connectReq.messageId);
+
+    t.equal(client.state, 'connected');
+
+    const keepalive = last('KEEPALIVE_REQ');
+    clock.advance(client.retryTimeout);
+    const retry = last('KEEPALIVE_REQ');
+
+    t.notEqual(retry.messageId, keepalive.messageId, 'keepalive is sent again');
+
+    // late answer to the first keepalive
+    reply('KEEPALIVE_ACK', keepalive.messageId, { time: 0, receiveTime: 0, transmitTime: 0 });
+
+    t.equal(stats.length, 0, 'stale keepalive ack is ignored');
+
+    reply('KEEPALIVE_ACK', retry.messageId, { time: 0, receiveTime: 0, transmitTime: 0 });
+
+    t.equal(stats.length, 1);
+
+    return client.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('client: connection requests time out', t => {
+  setup().then(env => {
+    const { client, clock, received, reply, last } = env;
+
+    reply('DISCOVER_ACK', last('DISCOVER_REQ').messageId, { id: 'server' });
+    clock.advance(client.discoverWindow);
+
+    const start = clock.now();
+    const times = [];
+
+    received.length = 0;
+    // retries are spaced by a growing interval, the server never answers
+    for (let i = 0; i < 10000; i += 100) {
+      clock.advance(100);
+
+      if (received.length > times.length) {
+        times.push(Math.round(clock.now() - start));
+      }
+
+      if (last('DISCOVER_REQ')) {
+        break;
+      }
+    }
+
+    const types = received.map(msg => msg.type);
+
+    t.deepEqual(types, ['CONNECT_REQ', 'CONNECT_REQ', 'CONNECT_REQ', 'DISCOVER_REQ'], 'gives up after disconnectTimeout');
+    t.deepEqual(times, [1, 3, 7, 10], 'retries with exponential backoff');
+    t.equal(client.servers.size, 0, 'forgets the unresponsive server');
+    t.equal(client.state, 'disconnected');
+
+    return client.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('client: error replies reset the connection', t => {
+  setup().then(env => {
+    const { client, clock, received, reply, last } = env;
+    const closed = [];
+
+    client.on('close', reason => closed.push(reason));
+
+    connect(env);
+
+    const keepalive = last('KEEPALIVE_REQ');
+    received.length = 0;
+
+    // e.g. the server restarted and doesn't know the client anymore
+    reply('ERROR', keepalive.messageId, { type: 'KEEPALIVE_REQ', code: 'ENOTCONNECTED' });
+
+    t.deepEqual(closed, ['error']);
+    t.equal(client.state, 'disconnected');
+    t.ok(last('DISCOVER_REQ'), 'discovers again right away');
+
+    reply('DISCOVER_ACK', last('DISCOVER_REQ').messageId, { id: 'server' });
+    clock.advance(client.discoverWindow);
+
+    const connectReq = last('CONNECT_REQ');
+    received.length = 0;
+
+    // e.g. the server didn't notice a restart of the client
+    reply('ERROR', connectReq.messageId, { type: 'CONNECT_REQ', code: 'EDUPLICATE' });
+
+    t.ok(client.servers.has('server'), 'server is alive, not forgotten');
+    t.ok(last('DISCOVER_REQ'), 'discovers again right away');
+
+    connect(env);
+
+    t.equal(client.state, 'connected', 'connects again');
+
+    // errors without payload are errors nonetheless
+    reply('ERROR', last('KEEPALIVE_REQ').messageId);
+
+    t.deepEqual(closed, ['error', 'error']);
+    t.equal(client.state, 'disconnected');
+
+    return client.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('client: recovers from a network partition', t => {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock, delay: 1 });
+  const server = new DiscoveryServer({ clock, transports: [network.createTransport()] });
+  const client = new DiscoveryClient({ clock, id: 'device', transport: network.createTransport() });
+  const events = [];
+
+  server.on('connection', client => events.push('server connection'));
+  server.on('close', (client, clients, reason) => events.push('server close ' + reason));
+  client.on('connection', () => events.push('client connection'));
+  client.on('close', reason => events.push('client close ' + reason));
+
+  Promise.all([server.start(), client.start()])
+    .then(() => {
+      clock.advance(1000);
+
+      t.deepEqual(events, ['server connection', 'client connection']);
+
+      events.length = 0;
+      network.partition([client.transport.address], [server.transports[0].address]);
+      clock.advance(client.disconnectTimeout + server.monitorInterval + client.keepaliveInterval);
+
+      t.deepEqual(events, ['client close timeout', 'server close timeout'], 'both sides time out');
+      t.equal(client.state, 'disconnected');
+      t.equal(server.clients.size, 0);
+
+      events.length = 0;
+      network.heal();
+      clock.advance(client.discoverInterval * 8);
+
+      t.deepEqual(events, ['server connection', 'client connection'], 'client connects again');
+      t.equal(client.state, 'connected');
+      t.ok(server.clients.has('device'));
+
+      return Promise.all([client.stop(), server.stop()]);
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('client: servers of other namespaces and refusing the client', t => {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock, delay: 1 });
+  const foreign = new DiscoveryServer({
+    clock,
+    id: 'foreign',
+    namespace: 'other',
+    rejectForeign: true,
+    transports: [network.createTransport()],
+  });
+  const server = new DiscoveryServer({
+    clock,
+    id: 'server',
+    namespace: 'app',
+    accept: { role: 'speaker' },
+    transports: [network.createTransport()],
+  });
+  const client = new DiscoveryClient({
+    clock,
+    id: 'device',
+    namespace: 'app',
+    payload: { role: 'microphone' },
+    transport: network.createTransport(),
+    backoffJitter: 0, // deterministic retries
+  });
+  const errors = [];
+  const rejected = [];
+
+  foreign.on('packet', ({ direction, type, payload }) => {
+    if (direction === 'out' && type === 'ERROR') {
+      errors.push(payload.code);
+    }
+  });
+  server.on('rejected', (rinfo, reason) => rejected.push(reason));
+
+  Promise.all([foreign.start(), server.start(), client.start()])
+    .then(() => {
+      clock.advance(5000);
+
+      t.ok(errors.length > 0 && errors.every(code => code === 'ENAMESPACE'), 'foreign clients are told');
+      t.equal(rejected[0], 'filter');
+      t.equal(client.state, 'disconnected');
+      t.ok(client.servers.get('server').rejected, 'server refusing the client is not tried again');
+      t.equal(server.clients.size + foreign.clients.size, 0);
+
+      const count = rejected.length;
+      clock.advance(5000);
+      t.equal(rejected.length, count);
+
+      // discovery has backed off meanwhile
+      client.setPayload({ role: 'speaker' });
+      clock.advance(16000);
+
+      t.equal(client.state, 'connected', 'until the payload changes');
+      t.equal(client.server.port, server.broadcastPort);
+      t.ok(server.clients.has('device'));
+
+      return Promise.all([client.stop(), server.stop(), foreign.stop()]);
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('client: keepalive interval adapts to the connection quality', t => {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock, delay: 1 });
+  const server = new DiscoveryServer({ clock, transports: [network.createTransport()] });
+  const client = new DiscoveryClient({
+    clock,
+    id: 'device',
+    transport: network.createTransport(),
+    adaptiveKeepalive: true,
+  });
+  const fixed = new DiscoveryClient({ clock, id: 'fixed', transport: network.createTransport() });
+  const qualities = [];
+
+  client.on('quality', quality => qualities.push(quality.state));
+
+  Promise.all([server.start(), client.start(), fixed.start()])
+    .then(() => {
+      clock.advance(30000);
+
+      t.equal(client.state, 'connected');
+      t.equal(client.keepaliveInterval, client.maxKeepaliveInterval, 'slows down while the connection is good');
+      t.equal(fixed.keepaliveInterval, 1000, 'unless not adaptive');
+      t.deepEqual(qualities, []);
+
+      // lose the keepalives, until the connection times out
+      network.partition([client.transport.address, fixed.transport.address], [server.transports[0].address]);
+      clock.advance(client.maxKeepaliveInterval + 3 * client.retryTimeout);
+
+      t.deepEqual(qualities, ['degraded', 'lost']);
+      t.equal(client.quality.misses, 3);
+      t.equal(client.keepaliveInterval, client.maxKeepaliveInterval / 8, 'speeds up to detect failures sooner');
+      t.equal(client.state, 'connected');
+      t.equal(fixed.keepaliveInterval, 1000);
+
+      network.heal();
+      clock.advance(10000);
+
+      t.deepEqual(qualities, ['degraded', 'lost', 'degraded', 'good'], 'recovers once the losses are old enough');
+      t.ok(client.quality.lossRate <= 0.1);
+      t.ok(client.keepaliveInterval > client.minKeepaliveInterval, 'slows down again');
+
+      return Promise.all([client.stop(), fixed.stop(), server.stop()]);
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('client: connects again after a server restart', t => {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock, delay: 1 });
+  const server = new DiscoveryServer({ clock, transports: [network.createTransport()] });
+  const client = new DiscoveryClient({ clock, id: 'device', transport: network.createTransport() });
+  const closed = [];
+
+  client.on('close', reason => closed.push(reason));
+
+  Promise.all([server.start(), client.start()])
+    .then(() => {
+      clock.advance(1000);
+      t.equal(client.state, 'connected');
+
+      return server.stop();
+    })
+    .then(() => {
+      clock.advance(10);
+
+      t.deepEqual(closed, ['server-stopped'], 'server says goodbye');
+      t.equal(client.state, 'disconnected');
+
+      return server.start();
+    })
+    .then(() => {
+      clock.advance(20000);
+
+      t.equal(client.state, 'connected', 'client connects again');
+      t.ok(server.clients.has('device'));
+
+      return Promise.all([client.stop(), server.stop()]);
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+// answer the discovery from two servers, `main` after 5ms and `backup` after
+// 10ms, and return the one the client connects to
+function select(options, main, backup) {
+  return setup(options).then(env => {
+    const { clock, network, client, last } = env;
+
+    return createPeer(clock, network, client).then(other => {
+      const { messageId } = last('DISCOVER_REQ');
+
+      clock.advance(5);
+      env.reply('DISCOVER_ACK', messageId, Object.assign({ id: 'main' }, main));
+      clock.advance(5);
+      other.reply('DISCOVER_ACK', messageId, Object.assign({ id: 'backup' }, backup));
+      clock.advance(client.discoverWindow);
+
+      const selected = last('CONNECT_REQ') ? 'main' : other.last('CONNECT_REQ') ? 'backup' : null;
+      const servers = Array.from(client.servers.keys()).sort();
+
+      return client.stop().then(() => ({ selected, servers }));
+    });
+  });
+}
+
+test('client: selects a server among the answers', t => {
+  select({}, { priority: 0 }, { priority: 1 })
+    .then(({ selected, servers }) => {
+      t.deepEqual(servers, ['backup', 'main'], 'lists every server');
+      t.equal(selected, 'backup', 'highest priority');
+
+      return select({}, { priority: 1 }, { priority: 1 });
+    })
+    .then(({ selected }) => {
+      t.equal(selected, 'main', 'lowest latency among the same priority');
+
+      return select({ serverSelection: 'latency' }, { priority: 0 }, { priority: 1 });
+    })
+    .then(({ selected }) => {
+      t.equal(selected, 'main', 'lowest latency');
+
+      return select({ serverName: 'Stage' }, { name: 'Control', priority: 1 }, { name: 'Stage' });
+    })
+    .then(({ selected, servers }) => {
+      t.equal(selected, 'backup', 'server with the given name');
+      t.deepEqual(servers, ['backup', 'main'], 'other servers are listed nonetheless');
+
+      return select({ serverName: 'Stage' }, { name: 'Control' }, { name: 'Backstage' });
+    })
+    .then(({ selected }) => {
+      t.equal(selected, null, 'no server with the given name');
+      t.end();
+    })
+    .catch(t.end);
+});
+
+test('client: fails over to the next server', t => {
+  setup().then(env => {
+    const { clock, network, client, received, last } = env;
+    const closed = [];
+
+    client.on('close', reason => closed.push(reason));
+
+    return createPeer(clock, network, client).then(backup => {
+      const { messageId } = last('DISCOVER_REQ');
+
+      env.reply('DISCOVER_ACK', messageId, { id: 'main', priority: 0 });
+      backup.reply('DISCOVER_ACK', messageId, { id: 'backup', priority: 1 });
+      clock.advance(client.discoverWindow);
+      backup.reply('CONNECT_ACK', backup.last('CONNECT_REQ').messageId);
+
+      t.equal(client.state, 'connected');
+      t.equal(client.server.address, backup.peer.address);
+
+      received.length = 0;
+      // the backup server stops answering
+      clock.advance(client.disconnectTimeout);
+
+      t.deepEqual(closed, ['timeout']);
+      t.notOk(client.servers.has('backup'), 'forgets the unresponsive server');
+      t.notOk(last('DISCOVER_REQ'), 'no discovery');
+      t.ok(last('CONNECT_REQ'), 'connects to the next server');
+
+      env.reply('CONNECT_ACK', last('CONNECT_REQ').messageId);
+
+      t.equal(client.state, 'connected');
+      t.equal(client.server.address, env.peer.address);
+
+      received.length = 0;
+      // no server left
+      clock.advance(client.disconnectTimeout);
+
+      t.deepEqual(closed, ['timeout', 'timeout']);
+      t.equal(client.servers.size, 0);
+      t.ok(last('DISCOVER_REQ'), 'discovers again');
+
+      return client.stop();
+    });
+  })
+  .then(() => t.end())
+  .catch(t.end);
 });
 
-client.on('message', (rinfo, msg) => {
-  // console.log(rinfo, msg.toString());
+test('client: discovery backs off until a server answers', t => {
+  setup().then(env => {
+    const { clock, client, received, reply, last } = env;
+    const start = clock.now();
+    const times = () => {
+      return received
+        .filter(msg => msg.type === 'DISCOVER_REQ')
+        .map(msg => Math.round(msg.time - start));
+    };
+
+    // time of reception, in seconds since the start
+    env.peer.on('message', () => received[received.length - 1].time = clock.now());
+    received.length = 0;
+
+    for (let i = 0; i < 60; i++) {
+      clock.advance(1000);
+    }
+
+    t.deepEqual(times(), [2, 6, 14, 30, 46], 'interval doubles up to maxDiscoverInterval');
+
+    connect(env);
+
+    const keepalive = last('KEEPALIVE_REQ');
+    received.length = 0;
+
+    // e.g. the server restarted, discovery starts over
+    reply('ERROR', keepalive.messageId, { type: 'KEEPALIVE_REQ', code: 'ENOTCONNECTED' });
+
+    const restart = clock.now();
+
+    for (let i = 0; i < 8; i++) {
+      clock.advance(1000);
+    }
+
+    t.deepEqual(times().map(time => time - Math.round(restart - start)), [0, 2, 6], 'backoff is reset once connected');
+
+    return client.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
 });
 
-client.start();
+test('client: retries are spread by the jitter', t => {
+  const delays = [];
+
+  setup({ backoffJitter: 0.5 }).then(env => {
+    const { clock, client, received } = env;
+    let time = clock.now();
+
+    env.peer.on('message', () => {
+      delays.push(clock.now() - time);
+      time = clock.now();
+    });
+
+    received.length = 0;
+
+    for (let i = 0; i < 1200; i++) {
+      clock.advance(100);
+    }
+
+    // seconds, without jitter
+    const expected = delays.map((delay, i) => Math.min(16, 2 * Math.pow(2, i)));
+
+    t.ok(delays.length >= 5);
+    t.ok(delays.every((delay, i) => delay >= 0.5 * expected[i] - 0.1 && delay <= 1.5 * expected[i] + 0.1),
+      'intervals vary by at most half of the delay');
+    t.ok(delays.some((delay, i) => Math.abs(delay - expected[i]) > 0.1), 'intervals are randomized');
+
+    return client.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
 
-// const exitHandler = () => client.stop();
-// // do something when app is closing
-// process.on('exit', exitHandler);
-// // catches ctrl+c event
-// process.on('SIGINT', exitHandler);
-// // catches "kill pid" (for example: nodemon restart)
-// process.on('SIGUSR1', exitHandler);
-// process.on('SIGUSR2', exitHandler);
-// // catches uncaught exceptions
-// process.on('uncaughtException', exitHandler);
+test('client: start fails if the port is in use, stop waits for start', t => {
+  const network = new MemoryNetwork({ clock: new VirtualClock() });
+  const create = () => new DiscoveryClient({ id: 'device', port: CLIENT_PORT, transport: network.createTransport('10.0.0.1') });
+  const client = create();
+  const other = create();
+  const states = [];
+  const otherStates = [];
+
+  client.on('state', state => states.push(state));
+  other.on('state', state => otherStates.push(state));
+
+  client.start()
+    .then(() => other.start())
+    .then(() => t.fail('port is in use'), err => {
+      t.equal(err.code, 'EADDRINUSE');
+      t.deepEqual(otherStates, [], 'client is not started');
+
+      return client.stop();
+    })
+    .then(() => {
+      const started = client.start();
+
+      states.length = 0;
+
+      // stop called before the socket is bound
+      return Promise.all([started, client.stop()]);
+    })
+    .then(() => {
+      t.deepEqual(states, ['discovering', 'stopped']);
+
+      return other.start();
+    })
+    .then(() => {
+      t.deepEqual(otherStates, ['discovering'], 'client released the port');
+
+      return other.stop();
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('client: the generated id is kept in idFile', t => {
+  const network = new MemoryNetwork();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-discovery-'));
+  const idFile = path.join(dir, 'id');
+  const create = options => new DiscoveryClient(Object.assign({ transport: network.createTransport() }, options));
+
+  const first = create({ idFile });
+
+  t.equal(fs.readFileSync(idFile, 'utf8'), first.id, 'id is stored on first start');
+  t.equal(create({ idFile }).id, first.id, 'same id after a restart');
+  t.equal(create({ idFile, id: 'device' }).id, 'device', 'explicit id');
+  t.notEqual(create({ idFile: null }).id, create({ idFile: null }).id, 'new id on each start');
+  t.notEqual(create({ idFile: false }).id, first.id, 'e.g. --no-id-file');
+
+  // an explicit file must be usable
+  t.throws(() => create({ idFile: path.join(dir, 'missing', 'id') }), /ENOENT/);
+
+  fs.unlinkSync(idFile);
+  fs.rmdirSync(dir);
+  t.end();
+});
+
+test('client: estimates the server time', t => {
+  // the server clock is 5 s ahead, datagrams take 5 ms each way
+  const serverClock = new VirtualClock(5000);
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock: serverClock, delay: 5 });
+  const server = new DiscoveryServer({ id: 'server', transports: [network.createTransport()], clock: serverClock });
+  const client = new DiscoveryClient({ id: 'device', transport: network.createTransport(), clock });
+
+  // the clocks move one after the other, so the estimations may be 1 ms off
+  const advance = ms => {
+    for (let i = 0; i < ms; i++) {
+      serverClock.advance(1);
+      clock.advance(1);
+    }
+  };
+  const near = (value, expected) => Math.abs(value - expected) < 0.0015;
+
+  t.equal(client.getSyncTime(), 0, 'local time until the first keepalive');
+
+  Promise.all([server.start(), client.start()])
+    .then(() => {
+      advance(3000);
+
+      t.equal(client.state, 'connected');
+      t.ok(near(client.stats.rtt, 0.01), 'round-trip time');
+      t.ok(near(client.stats.jitter, 0), 'jitter');
+      t.ok(near(client.stats.offset, 5), 'clock offset');
+      t.ok(near(client.getSyncTime(), serverClock.now()), 'server time');
+      t.equal(client.getSyncTime(1), 1 + client.stats.offset, 'conversion of a local time');
+
+      return Promise.all([client.stop(), server.stop()]);
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
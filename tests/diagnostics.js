@@ -0,0 +1,185 @@
+import test from 'tape';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createConsoleLogger, withFields, readCapture, replayCapture } from '../src/index';
+import { advanceUntil, setupMemoryNetwork } from './helpers';
+
+// logger keeping its records
+function createLogger() {
+  const records = [];
+  const logger = {};
+
+  ['debug', 'info', 'warn', 'error'].forEach(level => {
+    logger[level] = (message, fields = {}) => records.push(Object.assign({ level, message }, fields));
+  });
+
+  return { logger, records };
+}
+
+test('diagnostics: console logger', t => {
+  const lines = [];
+  const output = { write: line => lines.push(line) };
+  const text = createConsoleLogger({ level: 'info', output });
+  const json = withFields(createConsoleLogger({ level: 'debug', json: true, output }), { server: 'main' });
+
+  text.debug('receive', { type: 'KEEPALIVE_REQ' });
+  text.info('state', { from: 'connecting', to: 'connected', peer: '10.0.0.1:8090' });
+  text.warn('reject', { reason: 'not signed' });
+  json.debug('receive', { type: 'KEEPALIVE_REQ', messageId: 42 });
+
+  t.equal(lines.length, 3, 'records below the level are dropped');
+  t.ok(/ INFO state from=connecting to=connected peer=10.0.0.1:8090\n$/.test(lines[0]));
+  t.ok(/ WARN reject reason="not signed"\n$/.test(lines[1]), 'values with spaces are quoted');
+
+  const record = JSON.parse(lines[2]);
+
+  t.equal(typeof record.time, 'string');
+  delete record.time;
+  t.deepEqual(record, {
+    level: 'debug',
+    message: 'receive',
+    server: 'main',
+    type: 'KEEPALIVE_REQ',
+    messageId: 42,
+  });
+
+  t.throws(() => createConsoleLogger({ level: 'verbose' }), /Invalid level/);
+  t.end();
+});
+
+test('diagnostics: structured logs, packet and state events', t => {
+  const serverLogs = createLogger();
+  const clientLogs = createLogger();
+  const { clock, server, client } = setupMemoryNetwork({
+    server: { id: 'main', logger: serverLogs.logger },
+    client: { logger: clientLogs.logger },
+  });
+  const packets = [];
+  const clientStates = [];
+  const serverStates = [];
+
+  server.on('packet', packet => packets.push(packet));
+  client.on('state', (state, previous, reason) => clientStates.push([previous, state, reason]));
+  server.on('state', (c, state, previous, reason) => serverStates.push([c.id, previous, state, reason]));
+
+  Promise.all([server.start(), client.start()])
+    .then(() => {
+      clock.advance(1000);
+
+      t.deepEqual(clientStates, [
+        ['stopped', 'discovering', null],
+        ['discovering', 'connecting', null],
+        ['connecting', 'connected', null],
+      ]);
+      t.deepEqual(serverStates, [['device', 'disconnected', 'connected', null]]);
+
+      const types = packets.map(({ direction, type }) => direction + ' ' + type);
+
+      t.deepEqual(types.slice(0, 4), [
+        'in DISCOVER_REQ',
+        'out DISCOVER_ACK',
+        'in CONNECT_REQ',
+        'out CONNECT_ACK',
+      ]);
+      t.equal(packets[2].payload.id, 'device');
+      t.equal(packets[2].rinfo.address, client.transport.address);
+      t.equal(packets[2].messageId, packets[3].messageId);
+      t.equal(packets[2].encrypted, false);
+
+      const peer = client.transport.address + ':' + client.port;
+      const receive = serverLogs.records.find(record => record.type === 'CONNECT_REQ');
+
+      t.deepEqual(receive, {
+        level: 'debug',
+        message: 'receive',
+        server: 'main',
+        direction: 'in',
+        type: 'CONNECT_REQ',
+        messageId: packets[2].messageId,
+        peer,
+      });
+
+      const broadcast = clientLogs.records.find(record => record.type === 'DISCOVER_REQ');
+
+      t.equal(broadcast.client, 'device');
+      t.equal(broadcast.direction, 'out');
+      t.equal(broadcast.peer, null, 'broadcasts have no peer');
+
+      server.disconnect('device', 'maintenance');
+      clock.advance(10);
+
+      t.deepEqual(serverStates[1], ['device', 'connected', 'disconnected', 'maintenance']);
+      t.deepEqual(clientStates[3], ['connected', 'discovering', 'maintenance']);
+
+      const state = serverLogs.records.filter(record => record.message === 'state')[1];
+
+      t.deepEqual(state, {
+        level: 'info',
+        message: 'state',
+        server: 'main',
+        id: 'device',
+        peer,
+        from: 'connected',
+        to: 'disconnected',
+        reason: 'maintenance',
+      });
+
+      return Promise.all([client.stop(), server.stop()]);
+    })
+    .then(() => {
+      t.deepEqual(clientStates[clientStates.length - 1].slice(1), ['stopped', 'goodbye']);
+      t.end();
+    })
+    .catch(t.end);
+});
+
+test('diagnostics: packets are captured and replayed', t => {
+  const file = path.join(os.tmpdir(), `node-discovery-capture-${process.pid}.ndjson`);
+  const { clock, server, client } = setupMemoryNetwork({ server: { capture: file } });
+
+  Promise.all([server.start(), client.start()])
+    .then(() => {
+      clock.advance(3000);
+      return Promise.all([client.stop(), server.stop()]);
+    })
+    .then(() => readCapture(file))
+    .then(records => {
+      const received = records.filter(record => record.direction === 'in');
+      const sent = records.filter(record => record.direction === 'out');
+
+      t.ok(received.length > 3, 'handshake and keepalives');
+      t.ok(sent.length > 3);
+      t.equal(received[0].address, client.transport.address);
+      t.equal(received[0].port, client.port);
+      t.ok(Buffer.isBuffer(received[0].data));
+      t.ok(received[received.length - 1].time > received[0].time);
+
+      // same traffic, against another server
+      const other = setupMemoryNetwork();
+      const connections = [];
+
+      other.server.on('connection', c => connections.push(c.id));
+
+      return other.server.start()
+        .then(() => {
+          return advanceUntil(other.clock, replayCapture(records, {
+            address: other.server.transports[0].address,
+            port: other.server.broadcastPort,
+            clock: other.clock,
+            createTransport: () => other.network.createTransport(),
+          }));
+        })
+        .then(count => {
+          t.equal(count, received.length, 'received datagrams are replayed');
+          t.deepEqual(connections, ['device']);
+
+          return other.server.stop();
+        });
+    })
+    .then(() => {
+      fs.unlinkSync(file);
+      t.end();
+    })
+    .catch(t.end);
+});
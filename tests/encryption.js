@@ -0,0 +1,161 @@
+import test from 'tape';
+import { encode, decode } from '../src/protocol';
+import Authenticator from '../src/Authenticator';
+import Session, { createKeyExchange } from '../src/Session';
+import { setupMemoryNetwork } from './helpers';
+
+// both ends of an encrypted connection
+function createSessions(secret = null) {
+  const client = createKeyExchange();
+  const server = createKeyExchange();
+
+  return {
+    client: new Session('client', client, server.offer, secret),
+    server: new Session('server', server, client.offer, secret),
+  };
+}
+
+test('encryption: sessions', t => {
+  const { client, server } = createSessions();
+  const encrypted = client.encrypt(Buffer.from('hello'));
+
+  t.equal(server.decrypt(encrypted).toString(), 'hello');
+  t.equal(client.decrypt(server.encrypt(Buffer.from('world'))).toString(), 'world', 'both directions');
+  t.throws(() => client.decrypt(client.encrypt(Buffer.from('hello'))), 'each direction has its own key');
+
+  const other = createSessions();
+  t.throws(() => other.server.decrypt(client.encrypt(Buffer.from('hello'))), 'keys of another connection');
+
+  const secret = createSessions('secret');
+  const kx = [createKeyExchange(), createKeyExchange()];
+  const mismatch = new Session('server', kx[0], kx[1].offer, 'other');
+  const peer = new Session('client', kx[1], kx[0].offer, 'secret');
+
+  t.equal(secret.server.decrypt(secret.client.encrypt(Buffer.from('hello'))).toString(), 'hello');
+  t.throws(() => mismatch.decrypt(peer.encrypt(Buffer.from('hello'))), 'secrets must match');
+  t.end();
+});
+
+test('encryption: replayed messages are refused', t => {
+  const { client, server } = createSessions();
+  const messages = [];
+
+  for (let i = 0; i < 100; i++) {
+    messages.push(client.encrypt(Buffer.from(`message ${i}`)));
+  }
+
+  t.equal(server.decrypt(messages[0]).toString(), 'message 0');
+  t.throws(() => server.decrypt(messages[0]), /Replayed message/);
+
+  t.equal(server.decrypt(messages[10]).toString(), 'message 10');
+  t.equal(server.decrypt(messages[5]).toString(), 'message 5', 'reordered messages are accepted');
+  t.throws(() => server.decrypt(messages[5]), /Replayed message/);
+
+  t.equal(server.decrypt(messages[99]).toString(), 'message 99');
+  t.equal(server.decrypt(messages[40]).toString(), 'message 40', 'in the window');
+  t.throws(() => server.decrypt(messages[20]), /Replayed message/, 'older than the window');
+  t.end();
+});
+
+test('encryption: replayed datagrams are reported', t => {
+  const { clock, network, server, client } = setupMemoryNetwork({
+    server: { encrypt: true },
+    client: { encrypt: true },
+  });
+  const errors = [];
+  const sent = [];
+  const send = client.transport.send;
+
+  // record the datagrams of the client
+  client.transport.send = (buffer, port, address, callback) => {
+    sent.push(buffer);
+    send.call(client.transport, buffer, port, address, callback);
+  };
+
+  server.on('protocol-error', err => errors.push(err.code));
+
+  Promise.all([server.start(), client.start()])
+    .then(() => {
+      clock.advance(1000);
+
+      t.equal(client.state, 'connected');
+
+      const keepalive = sent.filter(buffer => decode(buffer).type === 'ENCRYPTED').pop();
+      // same address as the client
+      const attacker = network.createTransport(client.transport.address);
+      const port = client.transport.port;
+
+      return client.transport.close().then(() => attacker.bind(port)).then(() => {
+        attacker.send(keepalive, server.broadcastPort, server.transports[0].address);
+        clock.advance(10);
+
+        t.deepEqual(errors, ['EREPLAY']);
+
+        return attacker.close();
+      });
+    })
+    .then(() => Promise.all([client.stop(), server.stop()]))
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('encryption: clear errors are ignored once encrypted', t => {
+  const { clock, network, server, client } = setupMemoryNetwork({
+    server: { encrypt: true },
+    client: { encrypt: true },
+  });
+  const peer = network.createTransport();
+  const closed = [];
+
+  client.on('close', reason => closed.push(reason));
+
+  Promise.all([server.start(), client.start(), peer.bind(0)])
+    .then(() => {
+      clock.advance(1000);
+
+      t.equal(client.state, 'connected');
+
+      // the message id is read in the header of an encrypted message
+      const payload = { type: 'KEEPALIVE_REQ', code: 'ENOTCONNECTED', message: 'Client not connected' };
+      peer.send(encode('ERROR', client.messageId, payload), client.port, client.transport.address);
+      clock.advance(10);
+
+      t.equal(client.state, 'connected', 'spoofed error is ignored');
+      t.deepEqual(closed, []);
+
+      return Promise.all([peer.close(), client.stop(), server.stop()]);
+    })
+    .then(() => {
+      // errors signed with the secret are authentic
+      const env = setupMemoryNetwork({
+        server: { encrypt: true, secret: 'secret' },
+        client: { encrypt: true, secret: 'secret' },
+      });
+      const auth = new Authenticator({ secret: 'secret', role: 'server', clock: env.clock });
+      const peer = env.network.createTransport();
+      const { clock, server, client } = env;
+
+      closed.length = 0;
+      client.on('close', reason => closed.push(reason));
+
+      return Promise.all([server.start(), client.start(), peer.bind(0)])
+        .then(() => {
+          clock.advance(1000);
+
+          t.equal(client.state, 'connected');
+
+          // e.g. the server restarted and lost the keys of the connection
+          const { messageId } = client;
+          const payload = auth.sign('ERROR', messageId, { type: 'KEEPALIVE_REQ', code: 'ENOTCONNECTED' });
+
+          peer.send(encode('ERROR', messageId, payload), client.port, client.transport.address);
+          clock.advance(10);
+
+          t.deepEqual(closed, ['error'], 'signed error is accepted');
+
+          return Promise.all([peer.close(), client.stop(), server.stop()]);
+        });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
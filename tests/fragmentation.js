@@ -0,0 +1,222 @@
+import test from 'tape';
+import { DiscoveryClient, MemoryNetwork, VirtualClock, MAX_PAYLOAD_SIZE } from '../src/index';
+import { encode, decode } from '../src/protocol';
+import FragmentChannel from '../src/FragmentChannel';
+import { setupMemoryNetwork } from './helpers';
+
+// payload much larger than a datagram
+function createInventory(size) {
+  const sensors = [];
+
+  for (let i = 0; i < size; i++) {
+    sensors.push({ id: `sensor-${i}`, type: 'temperature', unit: 'celsius' });
+  }
+
+  return { sensors };
+}
+
+// record the datagrams sent by a transport, `drop` allowing to lose some
+function spy(transport, drop = () => false) {
+  const sent = [];
+  const send = transport.send;
+
+  transport.send = (buffer, port, address, callback) => {
+    const msg = decode(buffer);
+    sent.push({ size: buffer.length, msg });
+
+    if (drop(msg)) {
+      if (callback) {
+        callback();
+      }
+
+      return;
+    }
+
+    send.call(transport, buffer, port, address, callback);
+  };
+
+  return sent;
+}
+
+test('fragmentation: large payloads', t => {
+  const payload = createInventory(1000);
+  const { clock, server, client } = setupMemoryNetwork({ client: { payload } });
+  const sent = spy(client.transport);
+
+  Promise.all([server.start(), client.start()])
+    .then(() => {
+      clock.advance(1000);
+
+      t.equal(client.state, 'connected');
+      t.deepEqual(server.clients.get('device').payload, payload, 'payload is reassembled');
+
+      const sizes = sent.map(datagram => datagram.size);
+      t.ok(Math.max.apply(null, sizes) <= 1400, 'datagrams are smaller than maxDatagramSize');
+      t.ok(sent.filter(datagram => datagram.msg.type === 'FRAGMENT').length > 10, 'payload is fragmented');
+
+      return Promise.all([client.stop(), server.stop()]);
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('fragmentation: configurable datagram size', t => {
+  const payload = createInventory(100);
+  const { clock, server, client } = setupMemoryNetwork({
+    server: { maxDatagramSize: 500 },
+    client: { payload, maxDatagramSize: 500 },
+  });
+  const sent = spy(client.transport);
+
+  Promise.all([server.start(), client.start()])
+    .then(() => {
+      clock.advance(1000);
+
+      t.deepEqual(server.clients.get('device').payload, payload);
+      t.ok(Math.max.apply(null, sent.map(datagram => datagram.size)) <= 500);
+
+      return Promise.all([client.stop(), server.stop()]);
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('fragmentation: only missing fragments are sent again', t => {
+  const payload = createInventory(200);
+  const { clock, server, client } = setupMemoryNetwork({ client: { payload } });
+  let dropped = false;
+
+  // lose the 3rd fragment of the connection request once
+  const sent = spy(client.transport, msg => {
+    if (!dropped && msg.type === 'FRAGMENT' && msg.payload.readUInt16BE(0) === 2) {
+      dropped = true;
+      return true;
+    }
+
+    return false;
+  });
+
+  Promise.all([server.start(), client.start()])
+    .then(() => {
+      clock.advance(500);
+
+      const fragments = sent.filter(datagram => datagram.msg.type === 'FRAGMENT');
+      const count = fragments[0].msg.payload.readUInt16BE(2);
+      const resent = fragments.slice(count).map(datagram => datagram.msg.payload.readUInt16BE(0));
+
+      t.deepEqual(resent, [2], 'only the lost fragment is resent');
+      t.equal(client.state, 'connected');
+      t.deepEqual(server.clients.get('device').payload, payload);
+
+      return Promise.all([client.stop(), server.stop()]);
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('fragmentation: incomplete datagrams are dropped', t => {
+  const { clock, server, client } = setupMemoryNetwork();
+  const messages = [];
+
+  client.on('message', buffer => messages.push(buffer));
+
+  Promise.all([server.start(), client.start()])
+    .then(() => {
+      clock.advance(1000);
+
+      // the last fragment never reaches the client
+      spy(server.transports[0], msg => msg.type === 'FRAGMENT' && msg.payload.readUInt16BE(0) === 3);
+      server.send(Buffer.alloc(5000), client.transport.port, client.transport.address);
+      clock.advance(2000);
+
+      t.deepEqual(messages, [], 'message is not emitted');
+      t.equal(client.state, 'connected');
+
+      return Promise.all([client.stop(), server.stop()]);
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('fragmentation: limits', t => {
+  const sent = [];
+  const channel = new FragmentChannel({
+    send: (buffer, peer) => sent.push(decode(buffer)),
+    clock: new VirtualClock(),
+  });
+
+  // first fragment of a datagram made of two
+  const fragment = messageId => {
+    return decode(encode('FRAGMENT', messageId, Buffer.from([0, 0, 0, 2, 0xff])));
+  };
+
+  const peerA = { address: '10.0.0.1', port: 9000 };
+  const peerB = { address: '10.0.0.2', port: 9000 };
+
+  for (let messageId = 0; messageId < 70; messageId++) {
+    channel.receiveFragment(fragment(messageId), peerA, '10.0.0.1:9000');
+  }
+
+  channel.receiveFragment(fragment(0), peerB, '10.0.0.2:9000');
+
+  t.equal(channel._received.size, 65, 'incomplete datagrams are bounded per peer');
+  t.ok(channel._received.has('10.0.0.2:9000:0'), 'other peers are not starved');
+
+  // fragments of a sent datagram
+  channel.sendDatagram(Buffer.alloc(3000), peerB, '10.0.0.2:9000');
+  sent.length = 0;
+
+  ['oops', { 0: 1 }, ['length', '0', 0.5]].forEach(missing => {
+    channel.receiveAck(decode(encode('FRAGMENT_ACK', 0, { missing })), '10.0.0.2:9000');
+  });
+
+  t.deepEqual(sent, [], 'malformed acks are ignored');
+
+  channel.cancel();
+  t.end();
+});
+
+test('fragmentation: payloads too large are refused', t => {
+  const network = new MemoryNetwork();
+  const payload = { data: 'x'.repeat(MAX_PAYLOAD_SIZE) };
+
+  t.throws(() => new DiscoveryClient({ id: 'device', payload, transport: network.createTransport() }), /Payload too large/);
+
+  const client = new DiscoveryClient({ id: 'device', payload: { role: 'speaker' }, transport: network.createTransport() });
+
+  t.throws(() => client.setPayload(payload), /Payload too large/);
+  t.deepEqual(client.payload, { role: 'speaker' }, 'payload is unchanged');
+  t.equal(client.payloadRevision, 0);
+  t.end();
+});
+
+test('fragmentation: large encrypted messages', t => {
+  const { clock, server, client } = setupMemoryNetwork({
+    server: { encrypt: true, secret: 'secret' },
+    client: { encrypt: true, secret: 'secret' },
+  });
+  const message = Buffer.alloc(100000, 'a');
+  const messages = [];
+
+  client.on('message', buffer => messages.push(buffer));
+
+  Promise.all([server.start(), client.start()])
+    .then(() => {
+      clock.advance(1000);
+      t.equal(client.state, 'connected');
+
+      const report = server.sendToClient('device', message);
+      clock.advance(100);
+
+      return report;
+    })
+    .then(({ delivered }) => {
+      t.deepEqual(delivered, ['device']);
+      t.equal(messages.length, 1);
+      t.ok(messages[0].equals(message), 'message is reassembled and decrypted');
+
+      return Promise.all([client.stop(), server.stop()]);
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
@@ -0,0 +1,79 @@
+import dgram from 'dgram';
+import net from 'net';
+import { DiscoveryClient, DiscoveryServer, MemoryNetwork, VirtualClock } from '../../src/index';
+
+// helpers shared by the tests, this directory is not matched by the
+// `tests/**.js` pattern of `npm test`
+
+// free UDP port, so that tests don't depend on BROADCAST_PORT
+export function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4');
+
+    socket.once('error', reject);
+    socket.bind(0, '127.0.0.1', () => {
+      const { port } = socket.address();
+      socket.close(() => resolve(port));
+    });
+  });
+}
+
+// free TCP port, e.g. for streams and the HTTP endpoint
+export function getFreeTcpPort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// resolves with the arguments of the next `event`
+export function once(emitter, event) {
+  return new Promise(resolve => emitter.once(event, (...args) => resolve(args)));
+}
+
+// let pending I/O and promises (e.g. transport binding) resolve
+export function flush() {
+  return new Promise(resolve => setTimeout(resolve, 1));
+}
+
+// advance the clock until a promise settles, giving up after `maxSteps`
+export function advanceUntil(clock, promise, step = 10, maxSteps = 1000) {
+  let done = false;
+
+  // never leave a rejection unhandled while looping
+  promise.then(() => done = true, () => done = true);
+
+  const loop = remaining => flush().then(() => {
+    if (done || remaining === 0) {
+      return promise;
+    }
+
+    clock.advance(step);
+    return loop(remaining - 1);
+  });
+
+  return loop(maxSteps);
+}
+
+// server and client on an in-memory network, datagrams being delivered on
+// `clock.advance`
+export function setupMemoryNetwork(options = {}) {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock, delay: 1 });
+  const server = new DiscoveryServer(Object.assign({
+    clock,
+    transports: [network.createTransport()],
+  }, options.server));
+  const client = new DiscoveryClient(Object.assign({
+    clock,
+    id: 'device',
+    transport: network.createTransport(),
+  }, options.client));
+
+  return { clock, network, server, client };
+}
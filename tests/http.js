@@ -0,0 +1,236 @@
+import test from 'tape';
+import http from 'http';
+import { DiscoveryClient, DiscoveryServer, MemoryNetwork, VirtualClock } from '../src/index';
+import { encode, MAX_MESSAGE_SIZE } from '../src/protocol';
+import { getFreeTcpPort, advanceUntil } from './helpers';
+
+// discovery on an in-memory network, HTTP on the loopback
+function setup() {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock, delay: 1 });
+
+  return getFreeTcpPort().then(httpPort => {
+    const server = new DiscoveryServer({
+      clock,
+      httpPort,
+      transports: [network.createTransport()],
+    });
+    const client = new DiscoveryClient({
+      clock,
+      id: 'device',
+      payload: { role: 'speaker' },
+      transport: network.createTransport(),
+    });
+
+    return server.start()
+      .then(() => client.start())
+      .then(() => ({ clock, network, server, client, httpPort }));
+  });
+}
+
+function request(port, method, path, body = null) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path }, res => {
+      const chunks = [];
+
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString();
+        const json = /json/.test(res.headers['content-type']);
+
+        resolve({ status: res.statusCode, headers: res.headers, body: json ? JSON.parse(text) : text });
+      });
+    });
+
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('http: clients', t => {
+  setup().then(env => {
+    const { clock, server, client, httpPort } = env;
+
+    clock.advance(1000);
+
+    return request(httpPort, 'GET', '/clients')
+      .then(({ status, body }) => {
+        t.equal(status, 200);
+        t.equal(body.length, 1);
+        t.equal(body[0].id, 'device');
+        t.equal(body[0].online, true);
+        t.deepEqual(body[0].payload, { role: 'speaker' });
+        t.equal(body[0].rinfo.address, client.transport.address);
+        t.ok(Math.abs(body[0].lastSeen - Date.now()) < 60000, 'lastSeen is a date');
+        t.notOk('session' in body[0], 'keys are not exposed');
+
+        return request(httpPort, 'GET', '/clients/device');
+      })
+      .then(({ status, body }) => {
+        t.equal(status, 200);
+        t.equal(body.history.connections, 1);
+
+        return request(httpPort, 'GET', '/clients/unknown');
+      })
+      .then(({ status }) => {
+        t.equal(status, 404);
+
+        server.disconnect('device');
+
+        return request(httpPort, 'GET', '/clients');
+      })
+      .then(({ body }) => {
+        t.deepEqual(body, [], 'only connected clients by default');
+
+        return request(httpPort, 'GET', '/clients?offline=true');
+      })
+      .then(({ body }) => {
+        t.equal(body[0].id, 'device');
+        t.equal(body[0].online, false);
+        t.equal(body[0].history.disconnectReason, 'kicked');
+
+        return request(httpPort, 'GET', '/unknown');
+      })
+      .then(({ status }) => {
+        t.equal(status, 404);
+
+        return request(httpPort, 'GET', '//[');
+      })
+      .then(({ status }) => {
+        t.equal(status, 400, 'malformed request target');
+
+        return request(httpPort, 'GET', '/clients/%E0');
+      })
+      .then(({ status }) => {
+        t.equal(status, 400, 'malformed escape');
+        t.equal(server.clients.size, 0, 'server keeps running');
+
+        return Promise.all([client.stop(), server.stop()]);
+      });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('http: server-sent events', t => {
+  setup().then(env => {
+    const { clock, server, client, httpPort } = env;
+    let text = '';
+
+    return new Promise(resolve => {
+      http.get({ host: '127.0.0.1', port: httpPort, path: '/events' }, res => {
+        t.equal(res.headers['content-type'], 'text/event-stream');
+
+        res.on('data', chunk => text += chunk);
+        res.on('end', resolve);
+
+        // wait for the headers to be sent before anything happens
+        clock.advance(1000);
+        client.setPayload({ volume: 0.5 });
+        clock.advance(10);
+        server.disconnect('device', 'maintenance');
+        client.stop().then(() => server.stop());
+      });
+    })
+    .then(() => {
+      const events = text.split('\n\n')
+        .filter(block => block.indexOf('event: ') === 0)
+        .map(block => {
+          const [event, data] = block.split('\n');
+          return { event: event.slice(7), data: JSON.parse(data.slice(6)) };
+        });
+
+      t.deepEqual(events.map(({ event }) => event), ['connection', 'update', 'close']);
+      t.equal(events[0].data.client.id, 'device');
+      t.deepEqual(events[1].data.changes, { volume: 0.5 });
+      t.equal(events[2].data.reason, 'maintenance');
+      t.equal(events[2].data.client.online, false);
+    });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('http: messages', t => {
+  setup().then(env => {
+    const { clock, server, client, httpPort } = env;
+    const messages = [];
+
+    client.on('message', buffer => messages.push(buffer.toString()));
+    clock.advance(1000);
+
+    return advanceUntil(clock, request(httpPort, 'POST', '/clients/device/message', 'lights-off'))
+      .then(({ status, body }) => {
+        t.equal(status, 200);
+        t.deepEqual(body, { delivered: ['device'], failed: [] });
+        t.deepEqual(messages, ['lights-off']);
+
+        return request(httpPort, 'POST', '/clients/unknown/message', 'lights-off');
+      })
+      .then(({ status }) => {
+        t.equal(status, 404, 'client not connected');
+
+        return request(httpPort, 'GET', '/clients/device/message');
+      })
+      .then(({ status, headers }) => {
+        t.equal(status, 405);
+        t.equal(headers.allow, 'POST');
+
+        return request(httpPort, 'POST', '/clients/device/message', Buffer.alloc(MAX_MESSAGE_SIZE + 1));
+      })
+      .then(({ status, body }) => {
+        t.equal(status, 413, 'message too large');
+        t.equal(body.error, 'Message too large');
+
+        server.sendToClient = () => Promise.reject(new Error('Delivery failed'));
+
+        return request(httpPort, 'POST', '/clients/device/message', 'lights-off');
+      })
+      .then(({ status, body }) => {
+        t.equal(status, 500, 'delivery error');
+        t.equal(body.error, 'Delivery failed');
+
+        return Promise.all([client.stop(), server.stop()]);
+      });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('http: metrics', t => {
+  setup().then(env => {
+    const { clock, network, server, client, httpPort } = env;
+    const peer = network.createTransport();
+
+    return peer.bind(9000).then(() => {
+      const send = (type, payload) => {
+        peer.send(encode(type, 0, payload), server.broadcastPort, server.transports[0].address);
+      };
+
+      clock.advance(1000);
+      // foreign namespace, and keepalive of an unknown client
+      send('DISCOVER_REQ', { namespace: 'other' });
+      send('KEEPALIVE_REQ', { id: 'unknown', revision: 0 });
+      clock.advance(10);
+
+      return request(httpPort, 'GET', '/metrics');
+    })
+    .then(({ status, headers, body }) => {
+      const lines = body.split('\n');
+
+      t.equal(status, 200);
+      t.ok(/^text\/plain/.test(headers['content-type']));
+      t.ok(lines.indexOf('# TYPE discovery_clients_connected gauge') !== -1);
+      t.ok(lines.indexOf('discovery_clients_connected 1') !== -1);
+      t.ok(lines.indexOf('discovery_handshakes_total{type="discover"} 2') !== -1);
+      t.ok(lines.indexOf('discovery_handshakes_total{type="connect"} 1') !== -1);
+      t.ok(lines.indexOf('discovery_errors_total{code="ENOTCONNECTED"} 1') !== -1);
+      t.ok(lines.indexOf('discovery_dropped_packets_total{reason="namespace"} 1') !== -1);
+      t.deepEqual(server.metrics.dropped, { namespace: 1 });
+
+      return Promise.all([client.stop(), server.stop()]);
+    });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
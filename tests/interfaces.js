@@ -0,0 +1,177 @@
+import os from 'os';
+import test from 'tape';
+import { DiscoveryServer, DiscoveryClient, MemoryNetwork, VirtualClock, UdpTransport } from '../src/index';
+import { getInterfaces, findInterface } from '../src/utils';
+
+// interfaces of a machine with Ethernet, Wi-Fi and a Docker bridge
+const INTERFACES = {
+  lo: [
+    { address: '127.0.0.1', netmask: '255.0.0.0', family: 'IPv4', internal: true },
+    { address: '::1', netmask: 'ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff', family: 'IPv6', internal: true },
+  ],
+  eth0: [
+    { address: '10.0.0.1', netmask: '255.255.255.0', family: 'IPv4', internal: false },
+    { address: '10.0.0.100', netmask: '255.255.255.0', family: 'IPv4', internal: false },
+    { address: '2001:db8:1::1', netmask: 'ffff:ffff:ffff:ffff::', family: 'IPv6', internal: false },
+    { address: 'fe80::1', netmask: 'ffff:ffff:ffff:ffff::', family: 'IPv6', internal: false },
+  ],
+  wlan0: [
+    { address: '10.1.0.1', netmask: '255.255.0.0', family: 'IPv4', internal: false },
+    { address: '2001:db8:2::1', netmask: 'ffff:ffff:ffff:ffff::', family: 'IPv6', internal: false },
+  ],
+  docker0: [
+    // `family` is a number in some node versions
+    { address: '172.17.0.1', netmask: '255.255.0.0', family: 4, internal: false },
+  ],
+};
+
+// run `fn` with the interfaces above, restored once the returned promise
+// settles
+function withInterfaces(fn) {
+  const networkInterfaces = os.networkInterfaces;
+  const restore = () => os.networkInterfaces = networkInterfaces;
+
+  os.networkInterfaces = () => INTERFACES;
+
+  return Promise.resolve()
+    .then(fn)
+    .then(value => {
+      restore();
+      return value;
+    }, err => {
+      restore();
+      throw err;
+    });
+}
+
+// server reached through eth0 only, clients created on the given addresses
+function setup(addresses) {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock, delay: 1 });
+  const server = new DiscoveryServer({
+    id: 'server',
+    networkInterface: 'eth0',
+    transports: [network.createTransport('10.0.0.1'), network.createTransport('2001:db8:1::1')],
+    clock,
+  });
+
+  const clients = addresses.map(address => new DiscoveryClient({
+    id: address,
+    transport: network.createTransport(address),
+    clock,
+  }));
+
+  return { clock, server, clients };
+}
+
+test('interfaces: enumeration and lookup', t => {
+  withInterfaces(() => {
+    t.deepEqual(getInterfaces(), [
+      { name: 'eth0', address: '10.0.0.1', netmask: '255.255.255.0', broadcast: '10.0.0.255' },
+      { name: 'eth0', address: '10.0.0.100', netmask: '255.255.255.0', broadcast: '10.0.0.255' },
+      { name: 'wlan0', address: '10.1.0.1', netmask: '255.255.0.0', broadcast: '10.1.255.255' },
+      { name: 'docker0', address: '172.17.0.1', netmask: '255.255.0.0', broadcast: '172.17.255.255' },
+    ], 'external IPv4 interfaces with their directed broadcast address');
+
+    t.deepEqual(getInterfaces({ internal: true }).map(info => info.name), ['lo', 'eth0', 'eth0', 'wlan0', 'docker0']);
+    t.deepEqual(getInterfaces({ names: ['lo', 'wlan0'] }).map(info => info.address), ['127.0.0.1', '10.1.0.1'],
+      'selected interfaces, internal or not');
+    t.deepEqual(getInterfaces({ family: 'IPv6' }).map(info => [info.address, info.broadcast]), [
+      ['2001:db8:1::1', null],
+      ['fe80::1', null],
+      ['2001:db8:2::1', null],
+    ]);
+
+    const interfaces = getInterfaces({ internal: true }).concat(getInterfaces({ family: 'IPv6', internal: true }));
+    const find = address => {
+      const info = findInterface(address, interfaces);
+      return info !== null ? info.name : null;
+    };
+
+    t.equal(find('10.0.0.42'), 'eth0');
+    t.equal(find('10.1.200.3'), 'wlan0');
+    t.equal(find('127.0.0.1'), 'lo');
+    t.equal(find('192.168.1.2'), null, 'routed address');
+    t.equal(find('fe80::2%wlan0'), 'wlan0', 'scoped IPv6 address');
+    t.equal(find('2001:db8:2::42'), 'wlan0', 'unscoped IPv6 address');
+    t.equal(find('2001:db8:3::42'), null, 'routed IPv6 address');
+    t.equal(find('::ffff:172.17.0.2'), 'docker0', 'IPv4-mapped address');
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('interfaces: broadcast on the directed broadcast address of each interface', t => {
+  const destinations = [];
+  const broadcast = transport => new Promise(resolve => {
+    destinations.length = 0;
+    transport.socket.send = (buffer, offset, length, port, address, callback) => {
+      destinations.push(address + ':' + port);
+      callback();
+    };
+
+    transport.broadcast(Buffer.from('hello'), 9000, resolve);
+  });
+
+  withInterfaces(() => {
+    const all = new UdpTransport({ interfaces: 'all' });
+    const selected = new UdpTransport({ interfaces: ['eth0', 'lo'] });
+    const none = new UdpTransport({ interfaces: ['eth1'] });
+    const transports = [all, selected, none];
+
+    return Promise.all(transports.map(transport => transport.bind(0)))
+      .then(() => broadcast(all))
+      .then(() => {
+        t.deepEqual(destinations, ['10.0.0.255:9000', '10.1.255.255:9000', '172.17.255.255:9000'],
+          'once per subnet');
+
+        return broadcast(selected);
+      })
+      .then(() => {
+        t.deepEqual(destinations, ['127.255.255.255:9000', '10.0.0.255:9000']);
+
+        return broadcast(none);
+      })
+      .then(() => {
+        t.deepEqual(destinations, ['255.255.255.255:9000'], 'default interface if none is available');
+
+        return Promise.all(transports.map(transport => transport.close()));
+      });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('interfaces: server only answers clients reached through its interface', t => {
+  withInterfaces(() => {
+    const { clock, server, clients } = setup(['10.0.0.2', '10.1.0.2', '2001:db8:1::2', '2001:db8:2::2']);
+    const [eth0, wlan0, eth0IPv6, wlan0IPv6] = clients;
+
+    return Promise.all([server.start()].concat(clients.map(client => client.start())))
+      .then(() => {
+        clock.advance(1000);
+
+        t.equal(eth0.state, 'connected');
+        t.equal(eth0IPv6.state, 'connected', 'unscoped IPv6 peers are matched by subnet');
+        t.notEqual(wlan0.state, 'connected');
+        t.notEqual(wlan0IPv6.state, 'connected');
+        t.deepEqual(Array.from(server.clients.keys()), ['10.0.0.2', '2001:db8:1::2']);
+        t.equal(server.clients.get('10.0.0.2').interface, 'eth0', 'server reports the interface of the client');
+        t.equal(eth0.servers.get('server').interface, 'eth0', 'client reports the interface of the server');
+
+        return Promise.all([server.stop()].concat(clients.map(client => client.stop())));
+      });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('interfaces: options of the UDP transports', t => {
+  const client = new DiscoveryClient({ id: 'device', interfaces: ['wlan0', 'eth0'] });
+  const server = new DiscoveryServer({ id: 'server', networkInterface: 'eth0', transports: ['broadcast', 'ipv6'] });
+
+  t.deepEqual(client.transport.interfaces, ['wlan0', 'eth0'], 'client broadcasts on the selected interfaces');
+  t.deepEqual(server.transports.map(transport => transport.interfaces), [['eth0'], ['eth0']],
+    'server only uses its interface');
+  t.end();
+});
@@ -0,0 +1,181 @@
+import test from 'tape';
+import { DiscoveryServer, DiscoveryClient } from '../src/index';
+import { getFreePort, once } from './helpers';
+
+function create(port) {
+  const server = new DiscoveryServer({
+    broadcastPort: port,
+    id: 'server',
+    monitorInterval: 100,
+  });
+
+  const client = new DiscoveryClient({
+    id: 'client',
+    port: 0, // ephemeral
+    broadcastPort: port,
+    broadcastAddress: '127.0.0.1',
+    discoverInterval: 100,
+    discoverWindow: 20,
+    keepaliveInterval: 50,
+    payload: { role: 'speaker' },
+  });
+
+  return { server, client };
+}
+
+test('loopback: discovery, connection and keepalives', t => {
+  let server;
+  let client;
+
+  getFreePort()
+    .then(port => {
+      ({ server, client } = create(port));
+      return server.start();
+    })
+    .then(() => {
+      const connected = Promise.all([once(server, 'connection'), once(client, 'connection')]);
+
+      return client.start().then(() => connected);
+    })
+    .then(([[entry, clients], [rinfo]]) => {
+      t.equal(entry.id, 'client', 'server knows the client id');
+      t.deepEqual(entry.payload, { role: 'speaker' }, 'server receives the client payload');
+      t.equal(clients.size, 1, 'server lists the client');
+      t.equal(rinfo.port, server.broadcastPort, 'client is connected to the server port');
+      t.equal(client.state, 'connected');
+      t.ok(client.servers.has('server'), 'client lists the discovered server');
+
+      return once(client, 'stats');
+    })
+    .then(([stats]) => {
+      t.ok(stats.rtt >= 0, 'keepalive round-trip time is measured');
+
+      // estimations are shared with the next keepalive
+      return once(server, 'stats');
+    })
+    .then(([entry]) => {
+      t.ok(entry.rtt >= 0, 'server receives the client estimations');
+
+      const updated = once(server, 'update');
+      client.setPayload({ volume: 0.5 });
+
+      return updated;
+    })
+    .then(([entry, changes]) => {
+      t.deepEqual(changes, { volume: 0.5 }, 'server receives the payload changes');
+      t.deepEqual(entry.payload, { role: 'speaker', volume: 0.5 });
+
+      const closed = once(server, 'close');
+
+      return client.stop().then(() => closed);
+    })
+    .then(([entry, clients, reason]) => {
+      t.equal(reason, 'goodbye', 'stopped client says goodbye');
+      t.equal(clients.size, 0);
+
+      return server.stop();
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('loopback: server stop notifies the client', t => {
+  let server;
+  let client;
+
+  getFreePort()
+    .then(port => {
+      ({ server, client } = create(port));
+      return server.start();
+    })
+    .then(() => client.start())
+    .then(() => client.waitForConnection({ timeout: 2000 }))
+    .then(() => {
+      const closed = once(client, 'close');
+
+      return server.stop().then(() => closed);
+    })
+    .then(([reason]) => {
+      t.equal(reason, 'server-stopped');
+      t.equal(client.state, 'disconnected');
+
+      return client.stop();
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('loopback: payloads larger than a datagram', t => {
+  let server;
+  let client;
+
+  getFreePort()
+    .then(port => {
+      ({ server, client } = create(port));
+      return server.start();
+    })
+    .then(() => client.start())
+    .then(() => client.waitForConnection({ timeout: 2000 }))
+    .then(() => {
+      const updated = once(server, 'update');
+      // above the 64 KB limit of UDP datagrams
+      client.setPayload({ config: 'x'.repeat(100000) });
+
+      return updated;
+    })
+    .then(([entry, changes]) => {
+      t.equal(changes.config.length, 100000, 'payload is reassembled');
+
+      return Promise.all([client.stop(), server.stop()]);
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('loopback: broadcast, multicast and IPv6 clients of the same server', t => {
+  let server;
+  let clients;
+
+  getFreePort()
+    .then(port => {
+      server = new DiscoveryServer({
+        broadcastPort: port,
+        id: 'server',
+        transports: ['broadcast', 'multicast', 'ipv6'],
+        monitorInterval: 100,
+      });
+
+      const options = {
+        port: 0, // ephemeral
+        broadcastPort: port,
+        discoverInterval: 100,
+        discoverWindow: 20,
+        keepaliveInterval: 50,
+      };
+
+      clients = [
+        new DiscoveryClient(Object.assign({ id: 'broadcast', broadcastAddress: '127.0.0.1' }, options)),
+        new DiscoveryClient(Object.assign({ id: 'multicast', transport: 'multicast' }, options)),
+        new DiscoveryClient(Object.assign({ id: 'ipv6', transport: 'ipv6' }, options)),
+      ];
+
+      return server.start();
+    })
+    .then(() => {
+      t.deepEqual(server.transports.map(transport => transport.type), ['multicast', 'ipv6'],
+        'multicast socket also receives broadcasts');
+
+      return Promise.all(clients.map(client => {
+        return client.start().then(() => client.waitForConnection({ timeout: 2000 }));
+      }));
+    })
+    .then(() => {
+      t.deepEqual(Array.from(server.clients.keys()).sort(), ['broadcast', 'ipv6', 'multicast']);
+      t.equal(server.getClient('multicast').rinfo.family, 'IPv4');
+      t.equal(server.getClient('ipv6').rinfo.family, 'IPv6', 'answered on the IPv6 socket');
+
+      return Promise.all(clients.map(client => client.stop()).concat(server.stop()));
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
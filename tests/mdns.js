@@ -0,0 +1,125 @@
+import test from 'tape';
+import MdnsResponder from '../src/MdnsResponder';
+import { encodePacket, CLASS_IN, CLASS_FLAG } from '../src/dns';
+import { DiscoveryServer, DiscoveryClient } from '../src/index';
+import { getFreePort, once } from './helpers';
+
+// mDNS on the loopback: queries are sent in unicast to a free port, so that
+// the tests don't depend on the system responder or on multicast routes
+
+test('mdns: discovery through DNS-SD', t => {
+  Promise.all([getFreePort(), getFreePort()])
+    .then(([port, mdnsPort]) => {
+      const server = new DiscoveryServer({
+        broadcastPort: port,
+        id: 'server',
+        name: 'Living Room',
+        mdns: true,
+        mdnsAddress: '127.0.0.1',
+        mdnsPort,
+      });
+
+      const client = new DiscoveryClient({
+        id: 'client',
+        port: 0, // ephemeral
+        discovery: 'mdns',
+        mdnsAddress: '127.0.0.1',
+        mdnsPort,
+        discoverInterval: 100,
+        discoverWindow: 20,
+        keepaliveInterval: 50,
+      });
+
+      const connected = Promise.all([once(server, 'connection'), once(client, 'connection')]);
+
+      return server.start()
+        .then(() => client.start())
+        .then(() => connected)
+        .then(([[entry], [rinfo]]) => {
+          t.equal(entry.id, 'client');
+          t.equal(rinfo.port, port, 'client connects to the advertised port');
+          t.equal(client.state, 'connected');
+          t.equal(client.servers.get('server').name, 'Living Room');
+
+          return Promise.all([client.stop(), server.stop()]);
+        });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('mdns: queries received while stopping are ignored', t => {
+  const query = encodePacket({
+    questions: [{ name: '_node-discovery._udp.local', type: 'PTR', class: CLASS_IN | CLASS_FLAG }],
+  });
+  let responder;
+
+  getFreePort()
+    .then(mdnsPort => {
+      responder = new MdnsResponder({
+        service: '_node-discovery._udp.local',
+        instance: 'server',
+        port: 8091,
+        address: '127.0.0.1',
+        mdnsPort,
+        hostname: 'host',
+      });
+
+      return responder.start();
+    })
+    .then(() => {
+      const socket = responder.socket;
+      const stopped = responder.stop();
+
+      // the socket is closed once the goodbye announcement is sent
+      socket.emit('message', query, { address: '127.0.0.1', port: 9000 });
+
+      return stopped;
+    })
+    .then(() => {
+      t.equal(responder.socket, null, 'responder is stopped');
+      t.end();
+    })
+    .catch(t.end);
+});
+
+test('mdns: socket errors are emitted by the server and the client', t => {
+  Promise.all([getFreePort(), getFreePort()])
+    .then(([port, mdnsPort]) => {
+      // sockets are not allowed to broadcast, sends fail with EACCES
+      const server = new DiscoveryServer({
+        broadcastPort: port,
+        id: 'server',
+        mdns: true,
+        mdnsAddress: '255.255.255.255',
+        mdnsPort,
+      });
+
+      const client = new DiscoveryClient({
+        id: 'client',
+        port: 0, // ephemeral
+        discovery: 'mdns',
+        mdnsAddress: '255.255.255.255',
+        mdnsPort,
+      });
+
+      const serverErrors = [];
+      const clientErrors = [];
+      const errors = Promise.all([once(server, 'error'), once(client, 'error')]);
+
+      server.on('error', err => serverErrors.push(err.code));
+      client.on('error', err => clientErrors.push(err.code));
+
+      return server.start()
+        .then(() => client.start())
+        .then(() => errors)
+        .then(() => {
+          t.equal(serverErrors[0], 'EACCES', 'announcement failed');
+          t.equal(clientErrors[0], 'EACCES', 'query failed');
+
+          return Promise.all([client.stop(), server.stop()]);
+        });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
@@ -0,0 +1,160 @@
+import test from 'tape';
+import { DiscoveryClient, DiscoveryServer, MemoryNetwork, VirtualClock, MAX_MESSAGE_SIZE } from '../src/index';
+
+// server and connected clients on an in-memory network
+function setup(payloads) {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock, delay: 1 });
+  const server = new DiscoveryServer({ clock, transports: [network.createTransport()] });
+  const received = {}; // id -> messages
+  const clients = Object.keys(payloads).map(id => {
+    const client = new DiscoveryClient({
+      id,
+      clock,
+      payload: payloads[id],
+      transport: network.createTransport(),
+    });
+
+    received[id] = [];
+    client.on('message', buffer => received[id].push(buffer.toString()));
+
+    return client;
+  });
+
+  return server.start()
+    .then(() => Promise.all(clients.map(client => client.start())))
+    .then(() => {
+      clock.advance(1000);
+      return { clock, network, server, clients, received };
+    });
+}
+
+function stop({ server, clients }) {
+  return Promise.all(clients.map(client => client.stop()).concat(server.stop()));
+}
+
+test('messaging: broadcast to every connected client', t => {
+  setup({ a: { room: 'A' }, b: { room: 'B' } }).then(env => {
+    const { server, clock, received } = env;
+    const delivered = server.broadcast('hello');
+
+    clock.advance(10);
+
+    return delivered.then(report => {
+      t.deepEqual(report.delivered.sort(), ['a', 'b'], 'every client acked');
+      t.deepEqual(report.failed, []);
+      t.deepEqual(received, { a: ['hello'], b: ['hello'] });
+
+      return stop(env);
+    });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('messaging: send to a subset of the clients', t => {
+  setup({ a: { room: 'A' }, b: { room: 'B' }, c: { room: 'A' } }).then(env => {
+    const { server, clock, received } = env;
+    const byPayload = server.sendTo({ room: 'A' }, 'room A');
+    const byFunction = server.sendTo(payload => payload.room === 'B', Buffer.from('room B'));
+    const byId = server.sendToClient('c', 'to c');
+
+    clock.advance(10);
+
+    return Promise.all([byPayload, byFunction, byId]).then(([roomA, roomB, toC]) => {
+      t.deepEqual(roomA.delivered.sort(), ['a', 'c']);
+      t.deepEqual(roomB.delivered, ['b']);
+      t.deepEqual(toC.delivered, ['c']);
+      t.deepEqual(received, { a: ['room A'], b: ['room B'], c: ['room A', 'to c'] });
+
+      return server.sendToClient('unknown', 'hello');
+    })
+    .then(report => {
+      t.deepEqual(report, { delivered: [], failed: ['unknown'] }, 'unknown clients are reported as failed');
+
+      return server.sendTo({ room: 'A' }, Buffer.alloc(MAX_MESSAGE_SIZE + 1));
+    })
+    .then(report => {
+      t.deepEqual(report, { delivered: [], failed: ['a', 'c'] }, 'messages too large are reported as failed');
+      t.deepEqual(received.a, ['room A']);
+
+      return stop(env);
+    });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('messaging: messages are sent again until acknowledged', t => {
+  setup({ a: {}, b: {} }).then(env => {
+    const { server, clients, clock, network, received } = env;
+    const serverAddress = server.transports[0].address;
+    const [a, b] = clients;
+
+    // `a` can be reached again after a while, `b` can't be reached anymore
+    network.partition([a.transport.address, b.transport.address], [serverAddress]);
+
+    const report = server.broadcast('hello', { timeout: 100, retries: 2 });
+
+    clock.advance(150);
+    network.heal();
+    network.partition([b.transport.address], [serverAddress]);
+    clock.advance(200);
+
+    return report.then(({ delivered, failed }) => {
+      t.deepEqual(delivered, ['a'], 'delivered on retry');
+      t.deepEqual(failed, ['b'], 'failed after all retries');
+      t.deepEqual(received.a, ['hello']);
+      t.deepEqual(received.b, []);
+
+      network.heal();
+      return stop(env);
+    });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('messaging: duplicated messages are emitted once', t => {
+  setup({ a: {} }).then(env => {
+    const { server, clock, network, received } = env;
+
+    network.duplicate = 1;
+    const report = server.broadcast('hello');
+
+    clock.advance(10);
+
+    return report.then(({ delivered }) => {
+      t.deepEqual(delivered, ['a']);
+      t.deepEqual(received.a, ['hello']);
+
+      network.duplicate = 0;
+      return stop(env);
+    });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('messaging: clients disconnected before acknowledging', t => {
+  setup({ a: {}, b: {} }).then(env => {
+    const { server, clients, clock, network } = env;
+
+    network.partition([clients[1].transport.address], [server.transports[0].address]);
+
+    const report = server.broadcast('hello', { timeout: 1000, retries: 10 });
+
+    clock.advance(10);
+    server.disconnect('b');
+
+    return report.then(({ delivered, failed }) => {
+      t.deepEqual(delivered, ['a']);
+      t.deepEqual(failed, ['b'], 'reported as failed right away');
+
+      network.heal();
+      return stop(env);
+    });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
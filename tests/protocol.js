@@ -0,0 +1,116 @@
+import test from 'tape';
+import { encode, encodeLegacy, decode, PROTOCOL_VERSION } from '../src/protocol';
+import { setupMemoryNetwork } from './helpers';
+
+// code of the error thrown by `fn`, if any
+function errorCode(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err.name + ' ' + err.code;
+  }
+
+  return null;
+}
+
+test('protocol: framed messages', t => {
+  const json = decode(encode('CONNECT_REQ', 42, { id: 'device', payload: { name: 'Living Room' } }));
+
+  t.deepEqual(json, {
+    type: 'CONNECT_REQ',
+    messageId: 42,
+    payload: { id: 'device', payload: { name: 'Living Room' } },
+    version: PROTOCOL_VERSION,
+    legacy: false,
+  });
+
+  const binary = decode(encode('FRAGMENT', 0xffffffff, Buffer.from([1, 2, 3])));
+
+  t.equal(binary.messageId, 0xffffffff, 'message ids are uint32');
+  t.deepEqual(binary.payload, Buffer.from([1, 2, 3]), 'binary payload');
+  t.equal(decode(encode('DISCOVER_REQ', 1)).payload, null, 'empty payload');
+  t.equal(decode(Buffer.from('lights-off')), null, 'application messages are not decoded');
+  t.equal(errorCode(() => encode('UNKNOWN', 1)), 'ProtocolError EMALFORMED');
+  t.end();
+});
+
+test('protocol: legacy messages', t => {
+  const connect = decode(Buffer.from('CONNECT_REQ 12 {"name": "Living Room", "tags": ["a b"]}'));
+
+  t.deepEqual(connect, {
+    type: 'CONNECT_REQ',
+    messageId: 12,
+    payload: { payload: { name: 'Living Room', tags: ['a b'] } },
+    legacy: true,
+  }, 'payloads may contain spaces');
+
+  t.deepEqual(decode(Buffer.from('KEEPALIVE_REQ 2 null')).payload, { payload: {} }, 'payloads are objects');
+  t.deepEqual(decode(Buffer.from('KEEPALIVE_REQ 3 {oops')).payload, { payload: {} }, 'invalid JSON');
+  t.deepEqual(decode(Buffer.from('ERROR 4 KEEPALIVE_REQ')).payload, { type: 'KEEPALIVE_REQ' });
+  t.equal(decode(Buffer.from('DISCOVER_REQ 5')).payload, null);
+  t.equal(decode(Buffer.from('FRAGMENT 6')), null, 'only legacy types are decoded');
+
+  t.equal(errorCode(() => decode(Buffer.from('CONNECT_REQ'))), 'ProtocolError EMALFORMED', 'missing message id');
+  t.equal(errorCode(() => decode(Buffer.from('CONNECT_REQ abc {}'))), 'ProtocolError EMALFORMED');
+
+  t.equal(encodeLegacy('CONNECT_ACK', 12).toString(), 'CONNECT_ACK 12');
+  t.equal(encodeLegacy('ERROR', 4, { type: 'KEEPALIVE_REQ' }).toString(), 'ERROR 4 KEEPALIVE_REQ');
+  t.end();
+});
+
+test('protocol: malformed messages', t => {
+  const valid = encode('KEEPALIVE_REQ', 7, { id: 'device' });
+  const alter = (offset, value) => {
+    const buffer = Buffer.from(valid);
+    buffer.writeUInt8(value, offset);
+    return buffer;
+  };
+
+  t.equal(errorCode(() => decode(valid.slice(0, 5))), 'ProtocolError EMALFORMED', 'truncated header');
+  t.equal(errorCode(() => decode(valid.slice(0, valid.length - 1))), 'ProtocolError EMALFORMED', 'truncated payload');
+  t.equal(errorCode(() => decode(Buffer.concat([valid, Buffer.from('x')]))), 'ProtocolError EMALFORMED', 'bad length');
+  t.equal(errorCode(() => decode(alter(2, PROTOCOL_VERSION + 1))), 'ProtocolError EVERSION');
+  t.equal(errorCode(() => decode(alter(3, 0))), 'ProtocolError EMALFORMED', 'unknown type');
+  t.equal(errorCode(() => decode(alter(3, 200))), 'ProtocolError EMALFORMED', 'unknown type');
+  t.equal(errorCode(() => decode(alter(4, 9))), 'ProtocolError EMALFORMED', 'unknown encoding');
+  t.equal(errorCode(() => decode(alter(13, 0x7d))), 'ProtocolError EMALFORMED', 'invalid JSON');
+  t.end();
+});
+
+test('protocol: protocol errors are emitted', t => {
+  const { clock, network, server, client } = setupMemoryNetwork();
+  const peer = network.createTransport();
+  const serverErrors = [];
+  const clientErrors = [];
+
+  server.on('protocol-error', (err, rinfo) => serverErrors.push([err.code, rinfo.address]));
+  client.on('protocol-error', (err, rinfo) => clientErrors.push([err.code, rinfo.address]));
+
+  Promise.all([server.start(), client.start(), peer.bind(0)])
+    .then(() => {
+      clock.advance(1000);
+
+      const version = encode('DISCOVER_REQ', 1, { namespace: null });
+      version.writeUInt8(PROTOCOL_VERSION + 1, 2);
+
+      peer.send(version, server.broadcastPort, server.transports[0].address);
+      peer.send(encode('DISCOVER_REQ', 1).slice(0, 8), client.port, client.transport.address);
+      clock.advance(10);
+
+      t.deepEqual(serverErrors, [['EVERSION', peer.address]]);
+      t.deepEqual(clientErrors, [['EMALFORMED', peer.address]]);
+      t.equal(client.state, 'connected', 'malformed messages are dropped');
+
+      // servers never answer in text
+      const servers = client.servers.size;
+
+      peer.send(Buffer.from('DISCOVER_ACK ' + client.messageId), client.port, client.transport.address);
+      clock.advance(10);
+
+      t.equal(client.servers.size, servers, 'legacy messages are ignored by clients');
+
+      return Promise.all([peer.close(), client.stop(), server.stop()]);
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
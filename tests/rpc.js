@@ -0,0 +1,286 @@
+import test from 'tape';
+import { DiscoveryClient, VirtualClock } from '../src/index';
+import RpcChannel from '../src/RpcChannel';
+import { encode } from '../src/protocol';
+import { advanceUntil, flush, once, setupMemoryNetwork } from './helpers';
+
+// server and client `device`, connected
+function setup() {
+  const env = setupMemoryNetwork();
+
+  return Promise.all([env.server.start(), env.client.start()])
+    .then(() => {
+      env.clock.advance(1000);
+      return env;
+    });
+}
+
+// resolves with the rejection of a request
+function rejection(clock, promise) {
+  return advanceUntil(clock, promise).then(() => {
+    throw new Error('Request should fail');
+  }, err => err);
+}
+
+test('rpc: requests in both directions', t => {
+  setup()
+    .then(({ clock, server, client }) => {
+      const contexts = [];
+
+      server.handle('add', ({ a, b }, context) => {
+        contexts.push(context.id);
+        return a + b;
+      });
+
+      client.handle('getVolume', () => Promise.resolve(0.5));
+
+      return advanceUntil(clock, client.request('add', { a: 1, b: 2 }))
+        .then(result => {
+          t.equal(result, 3);
+          t.deepEqual(contexts, ['device'], 'server handlers are called with the client');
+
+          return advanceUntil(clock, server.request('device', 'getVolume'));
+        })
+        .then(result => {
+          t.equal(result, 0.5, 'waits for handlers returning a promise');
+
+          return Promise.all([client.stop(), server.stop()]);
+        });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('rpc: retried requests are executed once', t => {
+  setup()
+    .then(({ clock, network, server, client }) => {
+      const addresses = [[client.transport.address], [server.transports[0].address]];
+      let calls = 0;
+      let resolveHandler;
+
+      server.handle('count', () => {
+        calls += 1;
+        return new Promise(resolve => resolveHandler = resolve);
+      });
+
+      const request = client.request('count', null, { timeout: 100, retries: 3 });
+
+      clock.advance(1);
+      t.equal(calls, 1);
+
+      // sent again while the handler is running
+      clock.advance(101);
+      t.equal(calls, 1, 'running request is not executed again');
+
+      // the response is lost
+      network.partition(addresses[0], addresses[1]);
+      resolveHandler(calls);
+
+      return flush()
+        .then(() => {
+          network.heal();
+          return advanceUntil(clock, request);
+        })
+        .then(result => {
+          t.equal(result, 1, 'response is sent again on retry');
+          t.equal(calls, 1, 'handled request is not executed again');
+
+          return Promise.all([client.stop(), server.stop()]);
+        });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('rpc: errors', t => {
+  setup()
+    .then(({ clock, network, server, client }) => {
+      server.handle('fail', () => {
+        const err = new Error('Not ready');
+        err.code = 'ENOTREADY';
+        throw err;
+      });
+
+      server.handle('reject', () => Promise.reject(new Error('Failed')));
+
+      return rejection(clock, client.request('unknown'))
+        .then(err => {
+          t.equal(err.name, 'RequestError');
+          t.equal(err.code, 'ENOMETHOD', 'no handler');
+
+          return rejection(clock, client.request('fail'));
+        })
+        .then(err => {
+          t.equal(err.code, 'ENOTREADY', 'code of the thrown error');
+          t.equal(err.message, 'Not ready');
+
+          return rejection(clock, client.request('reject'));
+        })
+        .then(err => {
+          t.equal(err.code, 'EREMOTE');
+          t.equal(err.message, 'Failed');
+
+          return rejection(clock, server.request('unknown', 'getVolume'));
+        })
+        .then(err => {
+          t.equal(err.code, 'ENOTCONNECTED');
+
+          network.partition([client.transport.address], [server.transports[0].address]);
+
+          return rejection(clock, server.request('device', 'getVolume', null, { timeout: 100, retries: 1 }));
+        })
+        .then(err => {
+          t.equal(err.code, 'ETIMEDOUT', 'no response after the retries');
+
+          network.heal();
+
+          return Promise.all([client.stop(), server.stop()]);
+        });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('rpc: pending requests fail when the connection closes', t => {
+  setup()
+    .then(({ clock, network, server, client }) => {
+      let resolveHandler;
+      const packets = [];
+      const reconnected = once(client, 'connection');
+
+      client.handle('slow', () => new Promise(resolve => resolveHandler = resolve));
+      client.on('packet', packet => packets.push(packet.direction + ' ' + packet.type));
+
+      const request = server.request('device', 'slow');
+
+      clock.advance(1);
+      server.disconnect('device', 'maintenance');
+
+      return rejection(clock, request)
+        .then(err => {
+          t.equal(err.code, 'ECLOSED');
+
+          clock.advance(1);
+          t.notEqual(client.state, 'connected', 'client is disconnected');
+
+          // the client handler resolves after the connection closed
+          resolveHandler('late');
+
+          return advanceUntil(clock, reconnected);
+        })
+        .then(() => {
+          t.equal(packets.indexOf('out RESPONSE'), -1, 'late response is dropped');
+          t.equal(client.state, 'connected', 'client connects again');
+
+          const request = server.request('device', 'slow', null, { timeout: 10000 });
+
+          // same device, connecting from another address
+          const other = new DiscoveryClient({ clock, id: 'device', transport: network.createTransport() });
+
+          return other.start()
+            .then(() => rejection(clock, request))
+            .then(err => {
+              t.equal(err.code, 'ECLOSED', 'requests to the previous address fail');
+              t.equal(server.getClient('device').rinfo.address, other.transport.address);
+
+              return Promise.all([other.stop(), client.stop(), server.stop()]);
+            });
+        });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('rpc: requests and responses of other hosts are ignored', t => {
+  setup()
+    .then(({ clock, network, server, client }) => {
+      const intruder = network.createTransport();
+      const requests = [];
+      const calls = [];
+      let resolveHandler;
+
+      server.on('packet', ({ direction, type, messageId }) => {
+        if (direction === 'out' && type === 'REQUEST') {
+          requests.push(messageId);
+        }
+      });
+
+      client.handle('slow', () => new Promise(resolve => resolveHandler = resolve));
+      client.handle('volume', params => calls.push(params));
+
+      const sendTo = (address, port, type, messageId, payload) => {
+        intruder.send(encode(type, messageId, payload), port, address);
+        clock.advance(10);
+      };
+
+      const toServer = (type, messageId, payload) => {
+        sendTo(server.transports[0].address, server.broadcastPort, type, messageId, payload);
+      };
+
+      return intruder.bind(0)
+        .then(() => {
+          const request = server.request('device', 'slow', null, { timeout: 10000 });
+          let settled = false;
+
+          request.then(() => settled = true, () => settled = true);
+          clock.advance(10);
+
+          toServer('RESPONSE', requests[0], { result: 'spoofed' });
+          // connected as another client
+          toServer('CONNECT_REQ', 1, { id: 'intruder', payload: {}, revision: 0 });
+          toServer('RESPONSE', requests[0], { error: { code: 'EREMOTE', message: 'spoofed' } });
+
+          t.ok(server.clients.has('intruder'));
+
+          return flush()
+            .then(() => {
+              t.notOk(settled, 'responses of other hosts are ignored');
+
+              resolveHandler('real');
+
+              return advanceUntil(clock, request);
+            });
+        })
+        .then(result => {
+          t.equal(result, 'real', 'response of the client');
+
+          sendTo(client.transport.address, client.port, 'REQUEST', 1, { method: 'volume', params: 0 });
+
+          return flush();
+        })
+        .then(() => {
+          t.deepEqual(calls, [], 'clients only handle requests of their server');
+
+          return Promise.all([intruder.close(), client.stop(), server.stop()]);
+        });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('rpc: handled requests are forgotten per peer', t => {
+  const clock = new VirtualClock();
+  const sent = [];
+  const resolvers = [];
+  const rpc = new RpcChannel({
+    send: (type, messageId, payload, peer) => sent.push(peer),
+    clock,
+  });
+
+  rpc.handle('slow', () => new Promise(resolve => resolvers.push(resolve)));
+
+  // keys may contain colons, e.g. addresses used as ids
+  rpc.receiveRequest({ messageId: 1, payload: { method: 'slow' } }, 'a', '1.2.3.4:5');
+  rpc.receiveRequest({ messageId: 1, payload: { method: 'slow' } }, 'b', '1.2.3.4:50');
+  rpc.receiveRequest({ messageId: 2, payload: { method: 'slow' } }, 'c', '1.2.3.4');
+  rpc.cancel('1.2.3.4');
+
+  resolvers.forEach(resolve => resolve());
+
+  flush()
+    .then(() => {
+      t.deepEqual(sent, ['a', 'b'], 'only the responses to the closed peer are dropped');
+      t.end();
+    })
+    .catch(t.end);
+});
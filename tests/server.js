@@ -1,53 +1,579 @@
-const { DiscoveryServer } = require('../dist/index');
-
-const server = new DiscoveryServer({ verbose: true });
-
-server.addListener('connection', (client, clients) => {
-  // console.log('connection: client', client);
-  // console.log('connection: clients', clients.size);
-});
-
-server.addListener('close', (client, clients) => {
-  // console.log('close: client', client);
-  // console.log('close: clients', clients.size);
-});
-
-server.start();
-
-const exitHandler = () => {
-  try {
-    server.stop();
-  } catch (error) {
-    // no throwing any more
-  }
-};
-
-// do something when app is closing
-process.on('exit', () =>
-           {
-             console.log('exit');
-             exitHandler();
-           });
-// catches ctrl+c event
-process.on('SIGINT', () =>
-           {
-             console.log('SIGINT');
-             exitHandler();
-           });
-// catches "kill pid" (for example: nodemon restart)
-process.on('SIGUSR1', () =>
-           {
-             console.log('SIGUSR1');
-             exitHandler();
-           });
-process.on('SIGUSR2', () =>
-           {
-             console.log('SIGUSR2');
-             exitHandler();
-           });
-// catches uncaught exceptions
-process.on('uncaughtException', () =>
-           {
-             console.log('Uncaught exception');
-             exitHandler();
-           });
+import test from 'tape';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DiscoveryServer, MemoryNetwork, VirtualClock } from '../src/index';
+import { encode, decode } from '../src/protocol';
+
+// server on an in-memory network, and a raw peer sending handcrafted
+// messages, datagrams being delivered on `clock.advance`
+function setup(options = {}) {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock });
+  const server = new DiscoveryServer(Object.assign({
+    id: 'server',
+    transports: [network.createTransport()],
+    clock,
+  }, options));
+
+  const peer = network.createTransport();
+  const received = [];
+
+  peer.on('message', buffer => received.push(decode(buffer)));
+
+  const send = (type, messageId, payload = null) => {
+    peer.send(encode(type, messageId, payload), server.broadcastPort, server.transports[0].address);
+    clock.advance(0);
+  };
+
+  return Promise.all([server.start(), peer.bind(9000)])
+    .then(() => ({ clock, network, server, peer, received, send }));
+}
+
+// connect the peer as client `device`
+function connect(env) {
+  env.send('CONNECT_REQ', 1, { id: 'device', payload: { role: 'speaker' }, revision: 0 });
+  return env;
+}
+
+test('server: discovery and connection', t => {
+  setup().then(({ server, peer, received, send }) => {
+    const connections = [];
+    server.on('connection', (client, clients) => connections.push(client));
+
+    send('DISCOVER_REQ', 0, { namespace: null });
+
+    t.equal(received.length, 1);
+    t.equal(received[0].type, 'DISCOVER_ACK');
+    t.equal(received[0].messageId, 0, 'ack has the message id of the request');
+    t.equal(received[0].payload.id, 'server', 'ack advertises the server id');
+
+    send('CONNECT_REQ', 1, { id: 'device', payload: { role: 'speaker' }, revision: 0 });
+
+    t.equal(received[1].type, 'CONNECT_ACK');
+    t.equal(received[1].messageId, 1);
+    t.equal(connections.length, 1, 'emits connection');
+    t.equal(connections[0].id, 'device');
+    t.deepEqual(connections[0].payload, { role: 'speaker' });
+    t.equal(connections[0].rinfo.address, peer.address);
+    t.ok(server.clients.has('device'));
+
+    send('KEEPALIVE_REQ', 2, { id: 'device', revision: 0, time: 12 });
+
+    t.equal(received[2].type, 'KEEPALIVE_ACK');
+    t.equal(received[2].messageId, 2);
+    t.equal(received[2].payload.time, 12, 'ack echoes the client time');
+    t.equal(typeof received[2].payload.receiveTime, 'number');
+
+    return server.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('server: ignores discovery requests from other namespaces', t => {
+  setup({ namespace: 'app' }).then(({ server, received, send }) => {
+    const rejected = [];
+    server.on('rejected', (rinfo, reason) => rejected.push(reason));
+
+    send('DISCOVER_REQ', 0, { namespace: 'other' });
+
+    t.equal(received.length, 0, 'no answer');
+    t.deepEqual(rejected, ['namespace']);
+
+    send('DISCOVER_REQ', 1, { namespace: 'app' });
+
+    t.equal(received.length, 1);
+    t.equal(received[0].type, 'DISCOVER_ACK');
+
+    return server.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('server: tells clients of other namespaces if rejectForeign', t => {
+  setup({ namespace: 'app', rejectForeign: true }).then(({ server, received, send }) => {
+    send('DISCOVER_REQ', 0, { namespace: 'other' });
+    send('CONNECT_REQ', 1, { id: 'device', namespace: null, revision: 0 });
+
+    t.deepEqual(received.map(msg => [msg.type, msg.messageId, msg.payload.code]), [
+      ['ERROR', 0, 'ENAMESPACE'],
+      ['ERROR', 1, 'ENAMESPACE'],
+    ]);
+    t.equal(server.clients.size, 0);
+
+    return server.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('server: handshakes are rate limited', t => {
+  setup({ handshakeRate: 10, handshakeBurst: 3 }).then(({ clock, server, received, send }) => {
+    const rejected = [];
+    server.on('rejected', (rinfo, reason, type) => rejected.push([reason, type]));
+
+    for (let i = 0; i < 5; i++) {
+      send('DISCOVER_REQ', i, { namespace: null });
+    }
+
+    t.deepEqual(received.map(msg => msg.messageId), [0, 1, 2], 'burst is answered');
+    t.deepEqual(rejected, [['rate-limit', 'DISCOVER_REQ'], ['rate-limit', 'DISCOVER_REQ']]);
+
+    send('CONNECT_REQ', 5, { id: 'device', payload: {}, revision: 0 });
+
+    t.equal(received.length, 3);
+    t.deepEqual(rejected[2], ['rate-limit', 'CONNECT_REQ'], 'connection requests are limited too');
+
+    // one handshake every 100ms
+    clock.advance(100);
+    send('CONNECT_REQ', 6, { id: 'device', payload: {}, revision: 0 });
+    send('KEEPALIVE_REQ', 7, { id: 'device', revision: 0 });
+    send('KEEPALIVE_REQ', 8, { id: 'device', revision: 0 });
+
+    t.deepEqual(received.slice(3).map(msg => msg.type), ['CONNECT_ACK', 'KEEPALIVE_ACK', 'KEEPALIVE_ACK'],
+      'other messages are not limited');
+    t.equal(server.metrics.dropped['rate-limit'], 3);
+    t.deepEqual(server.metrics.handshakes, { discover: 5, connect: 2 }, 'dropped handshakes are counted');
+
+    return server.stop();
+  })
+  .then(() => setup({ handshakeRate: null }))
+  .then(({ server, received, send }) => {
+    for (let i = 0; i < 200; i++) {
+      send('DISCOVER_REQ', i, { namespace: null });
+    }
+
+    t.equal(received.length, 200, 'no limit');
+
+    return server.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('server: duplicate connection request', t => {
+  setup().then(env => {
+    const { server, received, send } = connect(env);
+    const closed = [];
+    server.on('close', (client, clients, reason) => closed.push(reason));
+
+    // e.g. the client restarted without saying goodbye
+    send('CONNECT_REQ', 2, { id: 'device', payload: {}, revision: 0 });
+
+    t.deepEqual(closed, ['duplicate-connect'], 'client is disconnected');
+    t.equal(server.clients.size, 0);
+
+    const error = received[received.length - 1];
+    t.equal(error.type, 'ERROR');
+    t.equal(error.messageId, 2, 'error has the message id of the request');
+    t.equal(error.payload.code, 'EDUPLICATE');
+    t.equal(error.payload.type, 'CONNECT_REQ');
+
+    return server.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('server: duplicate id from another address', t => {
+  setup({ duplicateId: 'reject' }).then(env => {
+    const { server, network, clock } = connect(env);
+    const other = network.createTransport();
+    const received = [];
+
+    other.on('message', buffer => received.push(decode(buffer)));
+
+    return other.bind(9000).then(() => {
+      const msg = encode('CONNECT_REQ', 0, { id: 'device', payload: {}, revision: 0 });
+      other.send(msg, server.broadcastPort, server.transports[0].address);
+      clock.advance(0);
+
+      t.equal(received[0].type, 'ERROR');
+      t.equal(received[0].payload.code, 'EDUPLICATEID');
+      t.equal(server.clients.get('device').rinfo.address, env.peer.address, 'first client is kept');
+
+      return server.stop();
+    });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('server: known id from a new address', t => {
+  setup().then(env => {
+    const { server, network, clock, peer } = connect(env);
+    const changes = [];
+    const events = [];
+
+    server.on('address-change', (client, previous) => changes.push([client.id, previous.port, client.rinfo.port]));
+    server.on('connection', () => events.push('connection'));
+    server.on('close', () => events.push('close'));
+
+    // e.g. the device restarted on another port, or got a new DHCP lease
+    const restarted = network.createTransport(peer.address);
+    const moved = network.createTransport();
+    const send = (transport, type, messageId, payload) => {
+      transport.send(encode(type, messageId, payload), server.broadcastPort, server.transports[0].address);
+      clock.advance(0);
+    };
+
+    return Promise.all([restarted.bind(9001), moved.bind(9000)]).then(() => {
+      send(restarted, 'CONNECT_REQ', 0, { id: 'device', payload: { role: 'speaker' }, revision: 0 });
+
+      t.deepEqual(changes, [['device', 9000, 9001]], 'connection request from a new port');
+
+      send(moved, 'KEEPALIVE_REQ', 1, { id: 'device', revision: 0 });
+
+      t.equal(changes.length, 2, 'keepalive from a new address');
+      t.equal(server.getClient('device').rinfo.address, moved.address);
+      t.deepEqual(events, [], 'client is neither closed nor connected again');
+      t.equal(server.clients.size, 1);
+      t.equal(server.getClient('device').history.connections, 2);
+
+      return server.stop();
+    });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('server: keepalive from an unknown client', t => {
+  setup().then(({ server, received, send }) => {
+    let connected = false;
+    server.on('connection', () => connected = true);
+
+    // e.g. the server restarted
+    send('KEEPALIVE_REQ', 5, { id: 'device', revision: 0, time: 0 });
+
+    t.equal(received.length, 1);
+    t.equal(received[0].type, 'ERROR');
+    t.equal(received[0].messageId, 5);
+    t.equal(received[0].payload.code, 'ENOTCONNECTED');
+    t.notOk(connected, 'client is not connected');
+    t.equal(server.clients.size, 0);
+
+    return server.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('server: stale keepalive message ids', t => {
+  setup().then(env => {
+    const { server, received, send } = connect(env);
+    const keepalive = messageId => {
+      send('KEEPALIVE_REQ', messageId, { id: 'device', revision: 0, time: 0, interval: 1000 });
+    };
+
+    keepalive(2);
+    keepalive(4); // keepalive 3 lost
+
+    const { quality } = server.clients.get('device');
+    t.equal(quality.lossRate, 1 / 3, 'gap is counted as lost');
+
+    keepalive(3); // late
+    keepalive(4); // duplicated
+
+    t.equal(server.clients.get('device').quality.lossRate, 1 / 3, 'reordered and duplicated keepalives are ignored');
+    t.equal(received.filter(msg => msg.type === 'KEEPALIVE_ACK').length, 4, 'but still answered');
+
+    keepalive(5);
+
+    t.equal(server.clients.get('device').quality.lossRate, 1 / 4);
+
+    return server.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('server: clients time out', t => {
+  setup({ monitorInterval: 1000, disconnectTimeout: 10000 }).then(env => {
+    const { server, clock, send } = connect(env);
+    const closed = [];
+    const qualities = [];
+
+    server.on('close', (client, clients, reason) => closed.push(reason));
+    server.on('quality', client => qualities.push(client.quality.state));
+
+    send('KEEPALIVE_REQ', 2, { id: 'device', revision: 0, time: 0, interval: 1000 });
+    clock.advance(4000);
+
+    t.deepEqual(qualities, [], 'silence is tolerated for a few keepalives');
+
+    clock.advance(1000);
+
+    t.deepEqual(qualities, ['lost'], 'connection is lost after a few missed keepalives');
+    t.deepEqual(closed, []);
+
+    clock.advance(5000);
+
+    t.deepEqual(closed, [], 'disconnect timeout not elapsed yet');
+
+    clock.advance(1000);
+
+    t.deepEqual(closed, ['timeout'], 'client is disconnected');
+    t.equal(server.clients.size, 0);
+
+    return server.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('server: payloads that are not objects are ignored', t => {
+  const accepted = [];
+
+  setup({ accept: payload => accepted.push(payload) > 0 }).then(({ server, received, send }) => {
+    send('CONNECT_REQ', 1, { id: 'device', payload: null, revision: 0 });
+
+    t.deepEqual(accepted, [{}], 'filter receives an empty payload');
+    t.deepEqual(server.getClient('device').payload, {});
+
+    send('KEEPALIVE_REQ', 2, { id: 'device', payload: { role: 'speaker' }, revision: 1 });
+    send('KEEPALIVE_REQ', 3, { id: 'device', payload: null, revision: 2 });
+
+    t.equal(received[2].type, 'KEEPALIVE_ACK');
+    t.deepEqual(server.getClient('device').payload, { role: 'speaker' }, 'payload is kept');
+
+    t.deepEqual(server.getClients({ role: 'speaker' }).map(client => client.id), ['device']);
+
+    return server.stop();
+  })
+  .then(() => setup())
+  .then(({ clock, server, peer, received }) => {
+    // legacy devices send text frames
+    const legacy = str => {
+      peer.send(Buffer.from(str), server.broadcastPort, server.transports[0].address);
+      clock.advance(0);
+    };
+    const key = peer.address + ':' + peer.port;
+
+    legacy('CONNECT_REQ 1 null');
+
+    t.deepEqual(server.getClient(key).payload, {}, 'legacy client is connected');
+
+    legacy('KEEPALIVE_REQ 2 {"role": "speaker"}');
+    legacy('KEEPALIVE_REQ 3 null');
+    legacy('KEEPALIVE_REQ 4 [1, 2]');
+
+    t.equal(received.length, 4, 'keepalives are acknowledged');
+    t.deepEqual(server.getClient(key).payload, {});
+    t.deepEqual(server.getClients({}).map(client => client.id), [key]);
+
+    return server.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('server: stop notifies the clients', t => {
+  setup().then(env => {
+    const { server, clock, received } = connect(env);
+    const closed = [];
+    server.on('close', (client, clients, reason) => closed.push(reason));
+
+    return server.stop().then(() => {
+      clock.advance(0);
+
+      t.deepEqual(closed, ['server-stopped']);
+      t.equal(received[received.length - 1].type, 'DISCONNECT');
+      t.equal(received[received.length - 1].payload.reason, 'server-stopped');
+    });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('server: start fails if the port is in use, stop waits for start', t => {
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock });
+  const create = () => new DiscoveryServer({ id: 'server', transports: [network.createTransport('10.0.0.1')], clock });
+  const server = create();
+  const other = create();
+
+  server.start()
+    .then(() => {
+      // the failed start is awaited too
+      const stopped = other.stop();
+
+      return other.start()
+        .then(() => t.fail('port is in use'), err => t.equal(err.code, 'EADDRINUSE'))
+        .then(() => stopped);
+    })
+    .then(() => server.stop())
+    .then(() => {
+      const started = server.start();
+
+      // stop called before the socket is bound
+      return Promise.all([started, server.stop()]);
+    })
+    .then(() => other.start())
+    .then(() => {
+      t.pass('server released the port');
+
+      return other.stop();
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('server: client registry', t => {
+  setup().then(env => {
+    const { server, network, clock } = connect(env);
+    const other = network.createTransport();
+    const offline = [];
+
+    server.on('offline', client => offline.push(client));
+
+    return other.bind(9000).then(() => {
+      const msg = encode('CONNECT_REQ', 0, { id: 'screen', payload: { role: 'display', battery: 0.1 }, revision: 0 });
+      other.send(msg, server.broadcastPort, server.transports[0].address);
+      clock.advance(0);
+
+      t.deepEqual(server.getClients().map(client => client.id), ['device', 'screen']);
+      t.deepEqual(server.getClients({ role: 'speaker' }).map(client => client.id), ['device'], 'filter by payload entries');
+      t.deepEqual(server.getClients(payload => payload.battery < 0.2).map(client => client.id), ['screen'], 'filter by function');
+      t.deepEqual(server.getClients({ role: 'light' }), []);
+
+      const client = server.getClient('device');
+      t.equal(client, server.clients.get('device'), 'returns connected clients');
+      t.equal(client.online, true);
+      t.equal(client.history.connections, 1);
+      t.equal(typeof client.history.firstSeen, 'number');
+      t.equal(server.getClient('unknown'), null);
+
+      server.disconnect('device', 'maintenance');
+
+      t.equal(offline.length, 1, 'emits offline on disconnection');
+      t.equal(offline[0].id, 'device');
+
+      const device = server.getClient('device');
+      t.equal(device.online, false, 'remembers disconnected devices');
+      t.deepEqual(device.payload, { role: 'speaker' });
+      t.equal(device.history.disconnectReason, 'maintenance');
+      t.equal(typeof device.history.lastDisconnection, 'number');
+
+      t.deepEqual(server.getClients({ role: 'speaker' }), [], 'only connected clients by default');
+      t.deepEqual(server.getClients({ role: 'speaker' }, { offline: true }).map(client => client.id), ['device']);
+
+      env.send('CONNECT_REQ', 2, { id: 'device', payload: { role: 'speaker' }, revision: 0 });
+
+      t.equal(server.getClient('device').online, true);
+      t.equal(server.getClient('device').history.connections, 2, 'counts connections');
+
+      return server.stop();
+    });
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
+
+test('server: inventory is remembered across restarts', t => {
+  const file = path.join(os.tmpdir(), `node-discovery-inventory-${process.pid}.json`);
+  let firstSeen;
+
+  setup({ inventory: file })
+    .then(env => {
+      const { server } = connect(env);
+      firstSeen = server.getClient('device').history.firstSeen;
+
+      return server.stop();
+    })
+    .then(() => {
+      const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+      t.deepEqual(records.map(record => record.id), ['device'], 'devices are saved');
+
+      return setup({ inventory: file });
+    })
+    .then(env => {
+      const { server } = env;
+      const device = server.getClient('device');
+
+      t.ok(device, 'devices are loaded on start');
+      t.equal(device.online, false);
+      t.deepEqual(device.payload, { role: 'speaker' });
+      t.equal(device.history.disconnectReason, 'server-stopped');
+
+      connect(env);
+
+      t.equal(server.getClient('device').history.connections, 2);
+      t.equal(server.getClient('device').history.firstSeen, firstSeen, 'history is kept');
+
+      return server.stop();
+    })
+    .then(() => {
+      fs.unlinkSync(file);
+      t.end();
+    })
+    .catch(t.end);
+});
+
+test('server: offline devices are emitted on start', t => {
+  const store = {
+    load: () => Promise.resolve([{ id: 'device', payload: { role: 'speaker' } }]),
+    save: () => Promise.resolve(),
+  };
+  const clock = new VirtualClock();
+  const network = new MemoryNetwork({ clock });
+  const server = new DiscoveryServer({ clock, inventory: store, transports: [network.createTransport()] });
+  const offline = [];
+
+  server.on('offline', client => offline.push(client));
+
+  server.start()
+    .then(() => {
+      t.deepEqual(offline.map(client => client.id), ['device']);
+      t.equal(offline[0].history.connections, 0);
+
+      return server.stop();
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('server: devices offline for the longest time are forgotten', t => {
+  setup({ inventorySize: 2 }).then(({ server, network, clock, send }) => {
+    const known = () => server.getClients(null, { offline: true }).map(client => client.id).sort();
+
+    ['a', 'b', 'c'].forEach((id, i) => {
+      send('CONNECT_REQ', i, { id, payload: {}, revision: 0 });
+      server.disconnect(id);
+    });
+
+    t.deepEqual(known(), ['b', 'c'], 'first disconnected device is forgotten');
+
+    send('CONNECT_REQ', 3, { id: 'd', payload: {}, revision: 0 });
+
+    const other = network.createTransport();
+
+    return other.bind(9000).then(() => {
+      other.send(encode('CONNECT_REQ', 0, { id: 'e', payload: {}, revision: 0 }),
+        server.broadcastPort, server.transports[0].address);
+      clock.advance(0);
+
+      t.deepEqual(known(), ['d', 'e'], 'connected devices are kept');
+      t.deepEqual(server.getClients().map(client => client.id).sort(), ['d', 'e']);
+
+      return server.stop();
+    });
+  })
+  .then(() => {
+    const store = {
+      load: () => Promise.resolve(['a', 'b', 'c'].map(id => ({ id, payload: {} }))),
+      save: () => Promise.resolve(),
+    };
+
+    return setup({ inventory: store, inventorySize: 2 });
+  })
+  .then(({ server }) => {
+    t.deepEqual(server.getClients(null, { offline: true }).map(client => client.id), ['b', 'c'],
+      'loaded devices are limited too');
+
+    return server.stop();
+  })
+  .then(() => t.end())
+  .catch(t.end);
+});
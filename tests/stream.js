@@ -0,0 +1,207 @@
+import test from 'tape';
+import net from 'net';
+import { DiscoveryServer, DiscoveryClient } from '../src/index';
+import { getFreePort, getFreeTcpPort, once } from './helpers';
+
+// streams are real TCP connections, so these tests run on the loopback
+function setup(options = {}, onServer = () => {}) {
+  return Promise.all([getFreePort(), getFreeTcpPort()]).then(([port, streamPort]) => {
+    const server = new DiscoveryServer(Object.assign({
+      broadcastPort: port,
+      id: 'server',
+      monitorInterval: 100,
+      stream: true,
+      streamPort,
+    }, options));
+
+    const client = new DiscoveryClient(Object.assign({
+      id: 'client',
+      port: 0, // ephemeral
+      broadcastPort: port,
+      broadcastAddress: '127.0.0.1',
+      discoverInterval: 100,
+      discoverWindow: 20,
+      keepaliveInterval: 50,
+    }, options));
+
+    onServer(server);
+
+    // streams of both sides, once open
+    const streams = Promise.all([once(server, 'stream'), once(client, 'stream')]);
+
+    return server.start()
+      .then(() => client.start())
+      .then(() => streams)
+      .then(([[entry, serverSocket], [clientSocket]]) => {
+        return { server, client, entry, serverSocket, clientSocket };
+      });
+  });
+}
+
+test('stream: opened after the connection', t => {
+  setup()
+    .then(({ server, client, entry, serverSocket, clientSocket }) => {
+      t.equal(entry.id, 'client', 'server knows the client of the stream');
+      t.equal(client.stream, clientSocket);
+
+      const received = once(serverSocket, 'data');
+      clientSocket.write('hello');
+
+      return received
+        .then(([data]) => {
+          t.equal(data.toString(), 'hello', 'server receives the client data');
+
+          const received = once(clientSocket, 'data');
+          serverSocket.write('world');
+
+          return received;
+        })
+        .then(([data]) => {
+          t.equal(data.toString(), 'world', 'client receives the server data');
+
+          const closed = once(serverSocket, 'close');
+
+          return Promise.all([client.stop(), closed]);
+        })
+        .then(() => {
+          t.equal(client.stream, null, 'stream is closed with the connection');
+
+          return server.stop();
+        });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('stream: opened again on reconnection', t => {
+  setup()
+    .then(({ server, client, clientSocket }) => {
+      const closed = once(clientSocket, 'close');
+      const reopened = Promise.all([once(server, 'stream'), once(client, 'stream')]);
+
+      server.disconnect('client', 'maintenance');
+
+      return closed
+        .then(() => reopened)
+        .then(([[entry, serverSocket], [socket]]) => {
+          t.equal(entry.id, 'client');
+          t.notEqual(socket, clientSocket, 'new stream');
+          t.equal(client.stream, socket);
+
+          return Promise.all([client.stop(), server.stop()]);
+        });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('stream: connection closed with the stream', t => {
+  setup()
+    .then(({ server, client, serverSocket }) => {
+      const closed = Promise.all([once(server, 'close'), once(client, 'close')]);
+      const reopened = once(client, 'stream');
+
+      serverSocket.destroy();
+
+      return closed
+        .then(([[entry, clients, serverReason], [clientReason]]) => {
+          t.equal(serverReason, 'stream-closed');
+          t.equal(clientReason, 'stream-closed');
+
+          return reopened;
+        })
+        .then(() => {
+          t.equal(client.state, 'connected', 'client connects again');
+
+          return Promise.all([client.stop(), server.stop()]);
+        });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('stream: unknown tokens are refused', t => {
+  setup()
+    .then(({ server, client }) => {
+      const socket = net.connect({ host: '127.0.0.1', port: server.streamPort });
+      let streams = 0;
+
+      server.on('stream', () => streams += 1);
+      socket.write('0123456789abcdef\n');
+
+      return once(socket, 'close').then(() => {
+        t.equal(streams, 0, 'no stream is emitted');
+        t.equal(server.clients.size, 1, 'connected client is kept');
+
+        return Promise.all([client.stop(), server.stop()]);
+      });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('stream: tokens of encrypted connections need a proof', t => {
+  let intruder = null;
+
+  // the token is advertised in clear, an intruder can use it right away
+  const intercept = server => {
+    server.on('packet', ({ direction, type, payload }) => {
+      if (direction === 'out' && type === 'CONNECT_ACK' && intruder === null) {
+        intruder = net.connect({ host: '127.0.0.1', port: server.streamPort });
+        intruder.write(payload.stream.token + '\n');
+      }
+    });
+  };
+
+  let streams = 0;
+
+  setup({ encrypt: true }, server => {
+    intercept(server);
+    server.on('stream', () => streams += 1);
+  })
+    .then(({ server, client, entry, serverSocket, clientSocket }) => {
+      t.equal(entry.id, 'client');
+      t.ok(intruder !== null);
+
+      return once(intruder, 'close').then(() => {
+        t.equal(streams, 1, 'intruder stream is refused');
+        t.equal(client.stream, clientSocket, 'client stream is open');
+
+        const received = once(serverSocket, 'data');
+        clientSocket.write('hello');
+
+        return received;
+      })
+      .then(([data]) => {
+        t.equal(data.toString(), 'hello', 'stream of the client is kept');
+
+        return Promise.all([client.stop(), server.stop()]);
+      });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});
+
+test('stream: proofs that are not hex strings are refused', t => {
+  let intruder = null;
+
+  setup({ encrypt: true }, server => {
+    server.on('packet', ({ direction, type, payload }) => {
+      if (direction === 'out' && type === 'CONNECT_ACK' && intruder === null) {
+        intruder = net.connect({ host: '127.0.0.1', port: server.streamPort });
+        // as many characters as a valid proof, but not as many bytes
+        intruder.write(payload.stream.token + ' ' + 'é'.repeat(64) + '\n');
+      }
+    });
+  })
+    .then(({ server, client, clientSocket }) => {
+      return once(intruder, 'close').then(() => {
+        t.equal(client.stream, clientSocket, 'client stream is open');
+        t.ok(server.clients.has('client'), 'server keeps running');
+
+        return Promise.all([client.stop(), server.stop()]);
+      });
+    })
+    .then(() => t.end())
+    .catch(t.end);
+});